@@ -0,0 +1,48 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PORT = process.env.PORT || 3000;
+
+export const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+export const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'db.json');
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+
+// Storage backend used by backend/storage (see adapters registered there)
+export const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'json';
+// How many rotated copies of the database to keep, and how often to take one
+export const BACKUP_COUNT = Number(process.env.BACKUP_COUNT || 3);
+export const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_MS || 10 * 60 * 1000);
+
+// Upload limits: bytes per file and files per request
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 200 * 1024 * 1024);
+export const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 20);
+
+// URL tracks: how long to wait for the remote server, and how much of the file
+// to read for tags and duration when one is added
+export const REMOTE_TIMEOUT_MS = Number(process.env.REMOTE_TIMEOUT_MS || 15000);
+export const REMOTE_PROBE_BYTES = Number(process.env.REMOTE_PROBE_BYTES || 512 * 1024);
+// Let URL tracks point at loopback, private-network and link-local addresses
+// (e.g. a NAS on the LAN). Off by default: the server would fetch whatever
+// internal address a playlist names.
+export const REMOTE_ALLOW_PRIVATE = process.env.REMOTE_ALLOW_PRIVATE === '1';
+
+// Loudness estimates for tracks without ReplayGain tags decode the whole file
+// (in a worker thread); bigger or longer files are not measured
+export const LOUDNESS_MAX_BYTES = Number(process.env.LOUDNESS_MAX_BYTES || 100 * 1024 * 1024);
+export const LOUDNESS_MAX_SECONDS = Number(process.env.LOUDNESS_MAX_SECONDS || 20 * 60);
+
+// Extracted cover art, deduplicated by content hash (resized variants in subfolders)
+export const ARTWORK_DIR = process.env.ARTWORK_DIR || path.join(__dirname, 'artwork');
+
+// Folders scanned and watched for music, separated like PATH (":" or ";" on Windows)
+export const LIBRARY_ROOTS = (process.env.LIBRARY_ROOTS || '')
+  .split(path.delimiter).map(s => s.trim()).filter(Boolean).map(p => path.resolve(p));
+export const LIBRARY_WATCH = process.env.LIBRARY_WATCH !== '0';
+
+// Accounts: how long a browser login lasts, and whether anyone may create a
+// listener account (the first account is always an admin and can add others)
+export const LOGIN_TTL_DAYS = Number(process.env.LOGIN_TTL_DAYS || 30);
+export const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === '1';
@@ -0,0 +1,109 @@
+// Cover art: pulled from embedded tags or a sidecar image next to the audio,
+// stored once per content hash under ARTWORK_DIR as `<sha1>.<ext>`. Tracks keep
+// the stored file name in `track.artwork`; resized variants are made on demand.
+// Pictures come from untrusted files, so only JPEG, PNG, WebP and GIF are
+// accepted and every one is re-encoded (as JPEG or PNG) before it is stored.
+
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ARTWORK_DIR } from '../config.js';
+
+export const ARTWORK_SIZES = { sm: 64, md: 256, lg: 640 };
+
+const SIDECAR_NAMES = ['cover', 'folder', 'front', 'album'];
+const SIDECAR_EXTS = ['.jpg', '.jpeg', '.png', '.webp'];
+// sharp's name for an accepted input format -> extension of the stored copy
+const IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'png', gif: 'png' };
+// (WebP and GIF originals were stored as-is before re-encoding)
+const STORED_NAME = /^[0-9a-f]{40}\.(jpg|png|webp|gif)$/;
+
+// Prefer the front cover when a file carries several pictures.
+function pickPicture(pictures=[]) {
+  return pictures.find(p => /front/i.test(p.type || '')) || pictures[0] || null;
+}
+
+async function findSidecar(audioPath) {
+  const dir = path.dirname(audioPath);
+  let names;
+  try { names = await fs.readdir(dir); } catch (e) { return null; }
+  const candidates = names.filter(n => {
+    const ext = path.extname(n).toLowerCase();
+    return SIDECAR_EXTS.includes(ext) && SIDECAR_NAMES.includes(path.basename(n, path.extname(n)).toLowerCase());
+  });
+  candidates.sort((a, b) => SIDECAR_NAMES.indexOf(path.parse(a).name.toLowerCase()) - SIDECAR_NAMES.indexOf(path.parse(b).name.toLowerCase()));
+  return candidates.length ? path.join(dir, candidates[0]) : null;
+}
+
+// Throws when `data` isn't one of the accepted image formats.
+async function storeImage(data) {
+  const { format } = await sharp(data).metadata();
+  const ext = IMAGE_FORMATS[format];
+  if (!ext) throw new Error(`unsupported image format: ${format}`);
+  const image = sharp(data).rotate();
+  const encoded = await (ext === 'jpg' ? image.jpeg({ quality: 90 }) : image.png()).toBuffer();
+  const hash = crypto.createHash('sha1').update(encoded).digest('hex');
+  const name = `${hash}.${ext}`;
+  const full = path.join(ARTWORK_DIR, name);
+  await fs.mkdir(ARTWORK_DIR, { recursive: true });
+  try {
+    await fs.writeFile(full, encoded, { flag: 'wx' });
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+  return name;
+}
+
+// Returns the stored artwork name for an audio file, or '' when it has none.
+// `metadata` is the result of music-metadata's parseFile (may be null).
+export async function extractArtwork(audioPath, metadata) {
+  const picture = pickPicture(metadata?.common?.picture);
+  if (picture?.data?.length) return storeImage(picture.data);
+  const sidecar = audioPath && await findSidecar(audioPath);
+  if (sidecar) return storeImage(await fs.readFile(sidecar));
+  return '';
+}
+
+// Variants being generated, by path, so concurrent requests share the work.
+const generating = new Map();
+
+async function generateVariant(original, variant, px) {
+  await fs.mkdir(path.dirname(variant), { recursive: true });
+  const tmp = `${variant}.${crypto.randomUUID()}.tmp`;
+  try {
+    await sharp(original).resize(px, px, { fit: 'cover', withoutEnlargement: true }).jpeg({ quality: 82 }).toFile(tmp);
+    await fs.rename(tmp, variant);
+  } catch (e) {
+    await fs.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+// Absolute path of the requested variant, generating it on first use.
+export async function artworkFile(name, size) {
+  if (!STORED_NAME.test(name)) throw new Error('invalid artwork name');
+  const original = path.join(ARTWORK_DIR, name);
+  const px = ARTWORK_SIZES[size];
+  if (!px) return original;
+  const variant = path.join(ARTWORK_DIR, size, `${path.parse(name).name}.jpg`);
+  try {
+    await fs.access(variant);
+  } catch (e) {
+    if (!generating.has(variant)) {
+      generating.set(variant, generateVariant(original, variant, px).finally(() => generating.delete(variant)));
+    }
+    await generating.get(variant);
+  }
+  return variant;
+}
+
+// Delete a stored image and its variants once no track references it.
+export async function removeArtworkIfUnused(name, tracks) {
+  if (!name || tracks.some(t => t.artwork === name)) return;
+  const base = path.parse(name).name;
+  await fs.unlink(path.join(ARTWORK_DIR, name)).catch(()=>{});
+  for (const size of Object.keys(ARTWORK_SIZES)) {
+    await fs.unlink(path.join(ARTWORK_DIR, size, `${base}.jpg`)).catch(()=>{});
+  }
+}
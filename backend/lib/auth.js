@@ -0,0 +1,189 @@
+// Accounts, browser logins and personal API tokens.
+//
+//   db.users      { [id]: { id, username, role: 'admin' | 'listener', password, createdAt } }
+//   db.logins     { [sha256(secret)]: { userId, createdAt, expiresAt } }  -- the `mp_session` cookie
+//   db.apiTokens  { [id]: { id, userId, name, scope, hash, createdAt, lastUsedAt } } -- `Authorization: Bearer`
+//
+// A token's scope is 'api' (the whole API, header only) or 'stream': only
+// GET/HEAD on stream and proxy URLs, also as `?token=` so exported playlist
+// files can carry it.
+//
+// Passwords are stored as scrypt hashes; login and token secrets only as SHA-256
+// hashes, so a copy of db.json can't be used to sign in.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { LOGIN_TTL_DAYS } from '../config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['admin', 'listener'];
+export const COOKIE = 'mp_session';
+const USERNAME_RE = /^[\w.-]{3,32}$/;
+const MIN_PASSWORD = 8;
+const TOKEN_TOUCH_MS = 60 * 60 * 1000;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored='') {
+  const [kind, salt, hash] = stored.split('$');
+  if (kind !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const newSecret = (prefix) => `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+// These return an error message for an unusable value, or null.
+export function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) return `password must be at least ${MIN_PASSWORD} characters`;
+  return null;
+}
+export function checkCredentials({ username, password } = {}) {
+  if (typeof username !== 'string' || !USERNAME_RE.test(username)) return 'username must be 3-32 letters, digits, ".", "-" or "_"';
+  return checkPassword(password);
+}
+
+export const findUserByName = (db, username='') =>
+  Object.values(db.users).find(u => u.username.toLowerCase() === String(username).toLowerCase());
+
+// The user as sent to clients (no password hash).
+export const publicUser = ({ id, username, role, createdAt }) => ({ id, username, role, createdAt });
+
+export const adminCount = (db) => Object.values(db.users).filter(u => u.role === 'admin').length;
+
+// Start a browser login for `userId` inside a store update; returns the cookie value.
+export function createLogin(db, userId) {
+  const secret = newSecret('ses');
+  const now = Date.now();
+  db.logins[sha256(secret)] = {
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LOGIN_TTL_DAYS * 86400000).toISOString()
+  };
+  // expired logins are dropped whenever someone signs in
+  for (const [key, login] of Object.entries(db.logins)) {
+    if (Date.parse(login.expiresAt) <= now) delete db.logins[key];
+  }
+  return secret;
+}
+
+export function endLogin(db, secret) {
+  if (secret) delete db.logins[sha256(secret)];
+}
+
+// Create an API token inside a store update; the secret is only returned here.
+export function createApiToken(db, userId, name, scope='api') {
+  const secret = newSecret('mpt');
+  const token = { id: uuidv4(), userId, name, scope, hash: sha256(secret), createdAt: new Date().toISOString(), lastUsedAt: null };
+  db.apiTokens[token.id] = token;
+  return { token, secret };
+}
+
+export const publicToken = ({ id, name, scope='api', createdAt, lastUsedAt }) => ({ id, name, scope, createdAt, lastUsedAt });
+
+export const findApiToken = (db, secret) => {
+  const hash = sha256(secret);
+  return Object.values(db.apiTokens).find(t => t.hash === hash);
+};
+
+const STREAM_PATH = /^\/api\/music\/(stream|proxy)\/[^/]+$/;
+const isStreamRequest = (req) => (req.method === 'GET' || req.method === 'HEAD') && STREAM_PATH.test(req.baseUrl + req.path);
+
+// Everything a user owns goes with them.
+export function removeUser(db, userId) {
+  delete db.users[userId];
+  delete db.sessions[userId];
+  delete db.eqPresets[userId];
+  for (const [key, login] of Object.entries(db.logins)) if (login.userId === userId) delete db.logins[key];
+  for (const [id, tok] of Object.entries(db.apiTokens)) if (tok.userId === userId) delete db.apiTokens[id];
+  for (const [id, pl] of Object.entries(db.playlists)) if (pl.ownerId === userId) delete db.playlists[id];
+  db.plays = db.plays.filter(p => p.userId !== userId);
+}
+
+// Data saved before accounts existed belongs to the first account created.
+export function claimUnownedData(db, userId) {
+  Object.values(db.playlists).forEach(pl => { if (!pl.ownerId) pl.ownerId = userId; });
+  db.plays.forEach(p => { if (!p.userId) p.userId = userId; });
+  const legacy = Object.entries(db.sessions).filter(([, s]) => Array.isArray(s?.queue));
+  if (legacy.length) {
+    db.sessions[userId] = { ...db.sessions[userId], ...Object.fromEntries(legacy) };
+    legacy.forEach(([name]) => { delete db.sessions[name]; });
+  }
+  const presets = Object.entries(db.eqPresets).filter(([, p]) => Array.isArray(p?.gains));
+  if (presets.length) {
+    db.eqPresets[userId] = presets.map(([, p]) => p);
+    presets.forEach(([name]) => { delete db.eqPresets[name]; });
+  }
+}
+
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); } catch (e) { return null; }
+    }
+  }
+  return null;
+}
+
+export function setLoginCookie(req, res, secret) {
+  res.cookie(COOKIE, secret, {
+    httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/',
+    maxAge: LOGIN_TTL_DAYS * 86400000
+  });
+}
+
+export const clearLoginCookie = (res) => res.clearCookie(COOKIE, { path: '/' });
+
+// Sets req.user ({ id, username, role }) from the login cookie, a bearer token
+// or a stream token in the query, or null. Never rejects a request; see
+// requireUser / requireAdmin.
+export function authenticate({ store }) {
+  return async (req, res, next) => {
+    try {
+      const db = await store.read();
+      req.user = null;
+      const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      const streaming = isStreamRequest(req);
+      const secret = bearer ? bearer[1] : streaming && typeof req.query.token === 'string' ? req.query.token : null;
+      if (secret) {
+        const tok = findApiToken(db, secret);
+        const usable = tok && (tok.scope === 'stream' ? streaming : Boolean(bearer));
+        const user = usable && db.users[tok.userId];
+        if (user) {
+          req.user = publicUser(user);
+          if (!tok.lastUsedAt || Date.now() - Date.parse(tok.lastUsedAt) > TOKEN_TOUCH_MS) {
+            store.update(d => { if (d.apiTokens[tok.id]) d.apiTokens[tok.id].lastUsedAt = new Date().toISOString(); }).catch(() => {});
+          }
+        }
+      } else {
+        const secret = readCookie(req, COOKIE);
+        const login = secret && db.logins[sha256(secret)];
+        const user = login && Date.parse(login.expiresAt) > Date.now() && db.users[login.userId];
+        if (user) req.user = publicUser(user);
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok:false, error:'login required' });
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok:false, error:'login required' });
+  if (req.user.role !== 'admin') return res.status(403).json({ ok:false, error:'admin role required' });
+  next();
+}
@@ -0,0 +1,152 @@
+// Artists and albums derived from track tags.
+//
+// Names are compared in a normalized form (case, accents and spacing folded,
+// "feat." credits dropped), so "Daft Punk", "daft  punk" and
+// "Daft Punk feat. Pharrell Williams" are one artist. An album is its
+// normalized name plus its album artist (or, untagged, the track's artist).
+// Each group is shown under its most common spelling.
+
+import { fold } from './search.js';
+import { encodeCursor, decodeCursor } from '../utils.js';
+
+export const SORTS = {
+  artists: ['name', 'tracks', 'duration'],
+  albums: ['name', 'artist', 'year', 'tracks', 'duration']
+};
+
+const FEATURING = /\s*[([]?\s*\b(?:featuring|feat\.?|ft\.?)(?=\s|$)[\s\S]*$/i;
+
+// The credited artist without guests: "A feat. B" -> "A".
+export function primaryArtist(name='') {
+  const full = String(name).replace(/\s+/g, ' ').trim();
+  return full.replace(FEATURING, '') || full;
+}
+
+export const normalizeName = (name='') => fold(name).replace(/\s+/g, ' ');
+
+// Group ids are the normalized key, so they stay the same across restarts.
+const groupId = (key) => Buffer.from(key).toString('base64url');
+
+const artistKey = (t) => normalizeName(primaryArtist(t.artist));
+const albumKey = (t) => t.album && `${normalizeName(primaryArtist(t.albumArtist || t.artist))}\u0000${normalizeName(t.album)}`;
+
+// Disc, then track number; untagged tracks follow in the order they were added.
+export function compareTrackOrder(a, b) {
+  const big = Number.MAX_SAFE_INTEGER;
+  return ((a.discNo || 1) - (b.discNo || 1)) || ((a.trackNo || big) - (b.trackNo || big));
+}
+
+function addToGroup(groups, key, name, t) {
+  let g = groups.get(key);
+  if (!g) groups.set(key, g = { id: groupId(key), spellings: new Map(), tracks: [] });
+  g.spellings.set(name, (g.spellings.get(name) || 0) + 1);
+  g.tracks.push(t);
+}
+
+// Most common spelling; the first one seen on a tie.
+const displayName = (g) => [...g.spellings].reduce((best, s) => (s[1] > best[1] ? s : best))[0];
+
+// A track to show for the group: the first with cover art, else the first.
+const representative = (tracks) => tracks.find(t => t.artwork) || tracks[0];
+
+const totalDuration = (tracks) => Math.round(tracks.reduce((sum, t) => sum + (t.duration || 0), 0));
+
+function buildIndex(tracks) {
+  const artistGroups = new Map();
+  const albumGroups = new Map();
+  for (const t of tracks) {
+    const aKey = artistKey(t);
+    if (aKey) addToGroup(artistGroups, aKey, primaryArtist(t.artist), t);
+    const bKey = albumKey(t);
+    if (bKey) addToGroup(albumGroups, bKey, t.album.replace(/\s+/g, ' ').trim(), t);
+  }
+
+  const albums = new Map();
+  for (const g of albumGroups.values()) {
+    g.tracks.sort(compareTrackOrder);
+    const credits = new Map();
+    g.tracks.forEach(t => {
+      const name = primaryArtist(t.albumArtist || t.artist);
+      credits.set(name, (credits.get(name) || 0) + 1);
+    });
+    const artist = displayName({ spellings: credits });
+    const artistGroup = artistGroups.get(normalizeName(artist));
+    albums.set(g.id, {
+      summary: {
+        id: g.id,
+        name: displayName(g),
+        artist,
+        artistId: artistGroup ? artistGroup.id : null,
+        year: Math.max(0, ...g.tracks.map(t => Number(t.year) || 0)),
+        trackCount: g.tracks.length,
+        discCount: new Set(g.tracks.map(t => t.discNo || 1)).size,
+        duration: totalDuration(g.tracks),
+        track: representative(g.tracks)
+      },
+      tracks: g.tracks
+    });
+  }
+
+  const artists = new Map();
+  for (const g of artistGroups.values()) {
+    const albumIds = [...new Set(g.tracks.map(t => albumKey(t)).filter(Boolean).map(groupId))];
+    artists.set(g.id, {
+      summary: {
+        id: g.id,
+        name: displayName(g),
+        trackCount: g.tracks.length,
+        albumCount: albumIds.length,
+        duration: totalDuration(g.tracks),
+        track: representative(g.tracks)
+      },
+      albumIds,
+      tracks: g.tracks
+    });
+  }
+  return { artists, albums };
+}
+
+// `kind` is 'artists' or 'albums'; `params` are the query string values q,
+// sort, order, limit, cursor. Returns { items, total, nextCursor } or { error }.
+export function listGroups(index, kind, params = {}) {
+  const { q = '', sort = 'name', order, limit, cursor } = params;
+  if (!SORTS[kind].includes(sort)) return { error: `sort must be one of ${SORTS[kind].join(', ')}` };
+  if (order && !['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+  const max = limit === undefined ? Infinity : Number(limit);
+  if (!(max > 0)) return { error: 'limit must be a positive number' };
+
+  const needle = normalizeName(String(q));
+  const items = [...index[kind].values()].map(g => g.summary)
+    .filter(s => !needle || normalizeName(s.name).includes(needle) || (s.artist && normalizeName(s.artist).includes(needle)));
+  const byName = (a, b) => normalizeName(a.name).localeCompare(normalizeName(b.name));
+  const cmp = {
+    name: byName,
+    artist: (a, b) => normalizeName(a.artist).localeCompare(normalizeName(b.artist)) || (a.year - b.year),
+    year: (a, b) => a.year - b.year,
+    tracks: (a, b) => a.trackCount - b.trackCount,
+    duration: (a, b) => a.duration - b.duration
+  }[sort];
+  // counts and durations read best largest first
+  const dir = (order || (['tracks', 'duration'].includes(sort) ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+  items.sort((a, b) => dir * cmp(a, b) || byName(a, b));
+
+  const start = cursor ? decodeCursor(cursor) : 0;
+  const page = items.slice(start, start + max);
+  const end = start + page.length;
+  return { items: page, total: items.length, nextCursor: end < items.length ? encodeCursor(end) : null };
+}
+
+// Artist and album groups of the current library, rebuilt when the store's
+// snapshot changes.
+export function createBrowseIndex({ store }) {
+  let snapshot = null;
+  let index = null;
+  return async function browseIndex() {
+    const db = await store.read();
+    if (db !== snapshot) {
+      snapshot = db;
+      index = buildIndex(db.tracks);
+    }
+    return index;
+  };
+}
@@ -0,0 +1,67 @@
+// Duplicate detection: exact copies share a content hash; re-encodes are
+// caught by a heuristic on normalized title + artist and a close duration.
+
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+
+const DURATION_TOLERANCE = 2; // seconds
+
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+const normText = (s='') => s.toString().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/\([^)]*\)|\[[^\]]*\]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+export function isLikelyDuplicate(a, b) {
+  if (a.id === b.id) return false;
+  const title = normText(a.title);
+  if (!title || title !== normText(b.title) || normText(a.artist) !== normText(b.artist)) return false;
+  if (!a.duration || !b.duration) return false;
+  return Math.abs(a.duration - b.duration) <= DURATION_TOLERANCE;
+}
+
+export function findExactDuplicate(track, tracks) {
+  return track.contentHash ? tracks.find(t => t.id !== track.id && t.contentHash === track.contentHash) : undefined;
+}
+
+// Groups of two or more tracks: { kind: 'exact' | 'likely', trackIds }.
+// A track appears in at most one group; exact matches take precedence.
+export function findDuplicateGroups(tracks) {
+  const groups = [];
+  const grouped = new Set();
+  const byHash = new Map();
+  for (const t of tracks) {
+    if (!t.contentHash) continue;
+    if (!byHash.has(t.contentHash)) byHash.set(t.contentHash, []);
+    byHash.get(t.contentHash).push(t);
+  }
+  for (const list of byHash.values()) {
+    if (list.length < 2) continue;
+    groups.push({ kind: 'exact', trackIds: list.map(t => t.id) });
+    list.forEach(t => grouped.add(t.id));
+  }
+  const byKey = new Map();
+  for (const t of tracks) {
+    if (grouped.has(t.id)) continue;
+    const key = `${normText(t.artist)}\u0000${normText(t.title)}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(t);
+  }
+  for (const list of byKey.values()) {
+    const remaining = list.slice();
+    while (remaining.length > 1) {
+      const [first, ...rest] = remaining;
+      const group = [first, ...rest.filter(t => isLikelyDuplicate(first, t))];
+      group.forEach(t => remaining.splice(remaining.indexOf(t), 1));
+      if (group.length > 1) groups.push({ kind: 'likely', trackIds: group.map(t => t.id) });
+    }
+  }
+  return groups;
+}
@@ -0,0 +1,127 @@
+// Live updates over Server-Sent Events (GET /api/events).
+//
+// Every open player keeps one event stream. Routes that change the library or
+// a playlist call tracksChanged() / playlistChanged() and the other clients
+// refetch what they show; the client that made the change (named by the
+// X-Client-Id header it sends with API calls) already knows and is skipped.
+//
+// Remote control is per user: one of a user's clients can be the speaker. The
+// others send commands through the server and see the state the speaker
+// reports. Nothing here is persisted; a restart drops every speaker.
+//
+// Events: hello { clientId, remote }, tracks { action, ids }, playlists
+// { action, id }, remote { speaker, state }, command { command, value }.
+
+import { v4 as uuidv4 } from 'uuid';
+
+const HEARTBEAT_MS = 25000;
+const MAX_CLIENTS_PER_USER = 20;
+
+export const COMMANDS = ['play', 'pause', 'toggle', 'next', 'prev', 'seek', 'volume', 'enqueue'];
+
+const sourceClient = (req) => (req && req.get('x-client-id')) || null;
+
+export function createEventHub() {
+  const clients = new Map(); // clientId -> { id, userId, name, res }
+  const remotes = new Map(); // userId -> { speaker: { clientId, name, since }, state, reportedAt }
+
+  function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function publish(event, data, { userId = null, except = null } = {}) {
+    for (const client of clients.values()) {
+      if (client.id === except || (userId && client.userId !== userId)) continue;
+      send(client, event, data);
+    }
+  }
+
+  // Speaker and state as sent to clients. The position is brought up to now, so
+  // a client can count on from when it receives it.
+  function remoteOf(userId) {
+    const remote = remotes.get(userId);
+    if (!remote) return { speaker: null, state: null };
+    const { speaker, state, reportedAt } = remote;
+    if (!state || !state.playing) return { speaker, state };
+    const position = state.position + (Date.now() - reportedAt) / 1000;
+    return { speaker, state: { ...state, position: state.duration ? Math.min(position, state.duration) : position } };
+  }
+  const publishRemote = (userId) => publish('remote', remoteOf(userId), { userId });
+
+  return {
+    // Turn `res` into an event stream for `user`. Returns false when the user
+    // already has too many open.
+    connect(req, res, user) {
+      if ([...clients.values()].filter(c => c.userId === user.id).length >= MAX_CLIENTS_PER_USER) return false;
+      const client = { id: uuidv4(), userId: user.id, name: String(req.query.name || '').trim().slice(0, 64) || 'Player', res };
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+      res.flushHeaders();
+      res.write('retry: 3000\n\n');
+      clients.set(client.id, client);
+      send(client, 'hello', { clientId: client.id, remote: remoteOf(user.id) });
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client.id);
+        if (remotes.get(user.id)?.speaker.clientId === client.id) {
+          remotes.delete(user.id);
+          publishRemote(user.id);
+        }
+      });
+      return true;
+    },
+
+    // The library changed: action is 'added', 'updated' or 'removed'.
+    tracksChanged(req, action, ids) {
+      if (ids.length) publish('tracks', { action, ids }, { except: sourceClient(req) });
+    },
+
+    // A playlist changed (action 'created', 'updated' or 'deleted'). Only its
+    // owner hears about it unless it is (or just stopped being) shared.
+    playlistChanged(req, action, pl, { everyone = false } = {}) {
+      const userId = pl.shared || everyone ? null : pl.ownerId;
+      publish('playlists', { action, id: pl.id }, { userId, except: sourceClient(req) });
+    },
+
+    remote: (userId) => remoteOf(userId),
+
+    // Make `clientId` (one of the user's clients) the speaker. Returns an error message or null.
+    setSpeaker(userId, clientId) {
+      const client = clients.get(clientId);
+      if (!client || client.userId !== userId) return 'not a connected client of yours';
+      const current = remotes.get(userId);
+      if (current?.speaker.clientId === clientId) return null;
+      remotes.set(userId, { speaker: { clientId, name: client.name, since: new Date().toISOString() }, state: null });
+      publishRemote(userId);
+      return null;
+    },
+
+    // Stop using the user's speaker. Returns false when there was none.
+    releaseSpeaker(userId) {
+      if (!remotes.has(userId)) return false;
+      remotes.delete(userId);
+      publishRemote(userId);
+      return true;
+    },
+
+    // Forward a validated command to the user's speaker. Returns false without one.
+    command(userId, command, value) {
+      const speaker = remotes.get(userId)?.speaker;
+      const client = speaker && clients.get(speaker.clientId);
+      if (!client) return false;
+      send(client, 'command', { command, value });
+      return true;
+    },
+
+    // What the speaker is playing, as it reports it. Returns false when
+    // `clientId` is not the speaker.
+    reportState(userId, clientId, state) {
+      const current = remotes.get(userId);
+      if (!current || current.speaker.clientId !== clientId) return false;
+      current.state = state;
+      current.reportedAt = Date.now();
+      publish('remote', remoteOf(userId), { userId, except: clientId });
+      return true;
+    }
+  };
+}
@@ -0,0 +1,254 @@
+// Library folders: scanned recursively, then watched for changes.
+//
+// Files are read in place. Their tracks carry `source: 'library'`, an absolute
+// `path`, the `root` they were found under, and the `size`/`mtimeMs` used to
+// skip unchanged files on rescans. Rescans change title, artist, album and
+// genre through the edit history and keep values the user edited (see
+// track-edits.js). Files that disappear are flagged `missing: true` instead of
+// being dropped, so playlists keep their entries.
+// Files whose track was deleted are listed in `db.library.ignored` and skipped
+// until the file itself disappears.
+
+import path from 'path';
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { AUDIO_EXTENSIONS, readTrackInfo } from './metadata.js';
+import { storeImportedLyrics } from './lyrics.js';
+import { EDITABLE_FIELDS, applyEdit, userEditedFields } from './track-edits.js';
+
+const BATCH_SIZE = 50;
+const WATCH_DEBOUNCE_MS = 1500;
+const MAX_ERRORS = 20;
+
+const isAudio = (file) => AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+const isInside = (file, dir) => file === dir || file.startsWith(dir + path.sep);
+
+async function* walk(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walk(full);
+    else if (entry.isFile() && isAudio(entry.name)) yield full;
+  }
+}
+
+export function createLibrary({ store, roots, events }) {
+  const status = {
+    state: 'idle',
+    roots,
+    startedAt: null,
+    finishedAt: null,
+    filesSeen: 0,
+    processed: 0,
+    added: 0,
+    updated: 0,
+    missing: 0,
+    currentFile: '',
+    errors: []
+  };
+  let running = null;
+  let rescanQueued = false;
+  const watchers = [];
+  const pendingPaths = new Set();
+  let flushTimer = null;
+
+  const rootOf = (file) => roots.find(r => isInside(file, r)) || '';
+  const recordError = (file, e) => {
+    status.errors.push({ file, error: e.message });
+    if (status.errors.length > MAX_ERRORS) status.errors.shift();
+  };
+
+  // Read tags for the files that changed since the last scan and save them in batches.
+  async function importFiles(files) {
+    let batch = [];
+    const flush = async () => {
+      if (!batch.length) return;
+      const items = batch;
+      batch = [];
+      const changed = { added: [], updated: [] };
+      await store.update(db => {
+        for (const item of items) {
+          const { lyrics, ...fields } = item;
+          let track = db.tracks.find(t => t.source === 'library' && t.path === fields.path);
+          if (track) {
+            const edited = userEditedFields(db, track);
+            const tags = {};
+            for (const field of EDITABLE_FIELDS) {
+              if (!edited.includes(field)) tags[field] = fields[field] ?? '';
+              delete fields[field];
+            }
+            Object.assign(track, fields);
+            applyEdit(db, track, tags, { rescan: true });
+            delete track.missing;
+            delete track.loudness; // measured from the old file
+            status.updated += 1;
+            changed.updated.push(track.id);
+          } else {
+            track = { id: uuidv4(), type: 'file', source: 'library', ...fields, addedAt: new Date().toISOString() };
+            db.tracks.push(track);
+            status.added += 1;
+            changed.added.push(track.id);
+          }
+          storeImportedLyrics(db, track.id, lyrics);
+        }
+      });
+      events.tracksChanged(null, 'added', changed.added);
+      events.tracksChanged(null, 'updated', changed.updated);
+    };
+    for (const file of files) {
+      status.currentFile = file;
+      try {
+        const st = await fs.stat(file);
+        const { warnings, ...info } = await readTrackInfo(file, path.basename(file));
+        batch.push({ ...info, path: file, root: rootOf(file), size: st.size, mtimeMs: st.mtimeMs });
+      } catch (e) {
+        recordError(file, e);
+      }
+      status.processed += 1;
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    status.currentFile = '';
+  }
+
+  // Flag (or un-flag) library tracks whose file existence changed, and forget
+  // ignored files that are gone (so one put back later is imported again).
+  async function markMissing(isPresent) {
+    const changed = await store.update(db => {
+      db.library.ignored = db.library.ignored.filter(p => isPresent(p) !== false);
+      const ids = [];
+      for (const t of db.tracks) {
+        if (t.source !== 'library') continue;
+        const present = isPresent(t.path);
+        if (present === undefined || present === !t.missing) continue;
+        if (!present) t.missing = true;
+        else delete t.missing;
+        ids.push(t.id);
+      }
+      return ids;
+    });
+    events.tracksChanged(null, 'updated', changed);
+  }
+
+  async function runScan(dirs) {
+    const db = await store.read();
+    const ignored = new Set(db.library.ignored);
+    const known = new Map(db.tracks.filter(t => t.source === 'library').map(t => [t.path, t]));
+    const seen = new Set();
+    const changed = [];
+    for (const dir of dirs) {
+      for await (const file of walk(dir)) {
+        status.filesSeen += 1;
+        seen.add(file);
+        if (ignored.has(file)) continue;
+        const prev = known.get(file);
+        if (prev) {
+          try {
+            const st = await fs.stat(file);
+            if (st.size === prev.size && st.mtimeMs === prev.mtimeMs) continue;
+          } catch (e) {
+            continue;
+          }
+        }
+        changed.push(file);
+      }
+    }
+    await importFiles(changed);
+    await markMissing(p => {
+      if (!dirs.some(d => isInside(p, d))) return roots.some(r => isInside(p, r)) ? undefined : false;
+      return seen.has(p);
+    });
+    status.missing = (await store.read()).tracks.filter(t => t.source === 'library' && t.missing).length;
+  }
+
+  // Scan every root (or just `dirs`). Concurrent requests collapse into one follow-up scan.
+  function scan(dirs = roots) {
+    if (running) {
+      rescanQueued = true;
+      return running;
+    }
+    Object.assign(status, {
+      state: 'scanning', startedAt: new Date().toISOString(), finishedAt: null,
+      filesSeen: 0, processed: 0, added: 0, updated: 0, errors: []
+    });
+    running = runScan(dirs)
+      .catch(e => recordError('', e))
+      .finally(() => {
+        status.state = 'idle';
+        status.finishedAt = new Date().toISOString();
+        running = null;
+        if (rescanQueued) {
+          rescanQueued = false;
+          scan();
+        }
+      });
+    return running;
+  }
+
+  async function flushWatched() {
+    flushTimer = null;
+    const paths = [...pendingPaths];
+    pendingPaths.clear();
+    if (running) {
+      // let the running scan finish, then pick these up with a full pass
+      rescanQueued = true;
+      return;
+    }
+    const files = [];
+    const dirs = [];
+    const gone = [];
+    for (const p of paths) {
+      try {
+        const st = await fs.stat(p);
+        if (st.isDirectory()) dirs.push(p);
+        else if (st.isFile() && isAudio(p)) files.push(p);
+      } catch (e) {
+        gone.push(p);
+      }
+    }
+    if (dirs.length) await scan(dirs);
+    if (files.length) {
+      const db = await store.read();
+      const ignored = new Set(db.library.ignored);
+      await importFiles(files.filter(f => !ignored.has(f)));
+    }
+    if (gone.length) {
+      await markMissing(p => (gone.some(g => isInside(p, g)) ? false : undefined));
+    }
+  }
+
+  function startWatching() {
+    for (const root of roots) {
+      try {
+        const w = watch(root, { recursive: true }, (event, name) => {
+          if (!name) return;
+          pendingPaths.add(path.join(root, name.toString()));
+          clearTimeout(flushTimer);
+          flushTimer = setTimeout(() => flushWatched().catch(e => recordError('', e)), WATCH_DEBOUNCE_MS);
+        });
+        w.on('error', e => recordError(root, e));
+        watchers.push(w);
+      } catch (e) {
+        recordError(root, e);
+      }
+    }
+  }
+
+  return {
+    roots,
+    scan,
+    startWatching,
+    status: () => ({ ...status, errors: status.errors.slice(), watching: watchers.length > 0 }),
+    close() {
+      clearTimeout(flushTimer);
+      watchers.splice(0).forEach(w => w.close());
+    }
+  };
+}
@@ -0,0 +1,9 @@
+// Worker thread behind estimateLoudness (loudness.js): decodes one file and
+// posts its { gain, peak } back, so the decode doesn't block the server.
+
+import fs from 'fs/promises';
+import { parentPort, workerData } from 'worker_threads';
+import decode from 'audio-decode';
+import { measure } from './loudness.js';
+
+parentPort.postMessage(measure(await decode(await fs.readFile(workerData.filePath))));
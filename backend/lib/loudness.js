@@ -0,0 +1,87 @@
+// Loudness: ReplayGain tags when the file has them, otherwise an estimate
+// measured from the decoded audio (computed on first request and cached on the
+// track by the caller). Decoding runs in a worker thread (loudness-worker.js)
+// and files over LOUDNESS_MAX_BYTES / LOUDNESS_MAX_SECONDS are not measured.
+//
+// Gains are in dB relative to the ReplayGain 2 reference (-18 LUFS); peaks are
+// linear sample amplitudes (1 = full scale).
+
+import fs from 'fs/promises';
+import { Worker } from 'worker_threads';
+import { LOUDNESS_MAX_BYTES, LOUDNESS_MAX_SECONDS } from '../config.js';
+
+const BLOCK_SECONDS = 0.4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const REFERENCE_LUFS = -18;
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+// { trackGain, trackPeak, albumGain, albumPeak } from music-metadata's `common`,
+// or null when the file carries no ReplayGain tags.
+export function readReplayGain(common={}) {
+  const rg = {
+    trackGain: common.replaygain_track_gain?.dB,
+    trackPeak: common.replaygain_track_peak?.ratio,
+    albumGain: common.replaygain_album_gain?.dB,
+    albumPeak: common.replaygain_album_peak?.ratio
+  };
+  const found = Object.entries(rg).filter(([, v]) => Number.isFinite(v));
+  return found.length ? Object.fromEntries(found.map(([k, v]) => [k, round(v, k.endsWith('Peak') ? 4 : 2)])) : null;
+}
+
+// Gated loudness over 400 ms blocks (EBU R128 style, without K-weighting, so it
+// is an estimate) and the sample peak of the file.
+export function measure(buffer) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const blockSize = Math.max(1, Math.round(buffer.sampleRate * BLOCK_SECONDS));
+  const blocks = [];
+  let peak = 0;
+  for (let start = 0; start < buffer.length; start += blockSize) {
+    const end = Math.min(buffer.length, start + blockSize);
+    let power = 0;
+    for (const data of channels) {
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        const v = data[i];
+        sum += v * v;
+        if (v > peak) peak = v; else if (-v > peak) peak = -v;
+      }
+      power += sum / (end - start);
+    }
+    blocks.push(power);
+  }
+  const lufs = (p) => -0.691 + 10 * Math.log10(p);
+  const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+  const audible = blocks.filter(p => p > 0 && lufs(p) > ABSOLUTE_GATE);
+  if (!audible.length) return { gain: 0, peak: round(peak, 4) };
+  const threshold = lufs(mean(audible)) + RELATIVE_GATE;
+  const gated = audible.filter(p => lufs(p) > threshold);
+  const loudness = lufs(mean(gated.length ? gated : audible));
+  return { gain: round(REFERENCE_LUFS - loudness, 2), peak: round(peak, 4) };
+}
+
+function measureInWorker(filePath) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./loudness-worker.js', import.meta.url), { workerData: { filePath } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`loudness worker exited with code ${code}`)));
+  });
+}
+
+// Decoding holds the whole track in memory, so estimates run one at a time.
+let queue = Promise.resolve();
+
+// { gain, peak } for an audio file of `duration` seconds (0 = unknown). Throws
+// when the file is over the limits or the format can't be decoded.
+export function estimateLoudness(filePath, { duration=0 } = {}) {
+  const run = queue.then(async () => {
+    const { size } = await fs.stat(filePath);
+    if (size > LOUDNESS_MAX_BYTES) throw new Error(`file too large to measure (over ${Math.round(LOUDNESS_MAX_BYTES / 1024 / 1024)} MB)`);
+    if (duration > LOUDNESS_MAX_SECONDS) throw new Error(`track too long to measure (over ${Math.round(LOUDNESS_MAX_SECONDS / 60)} min)`);
+    return measureInWorker(filePath);
+  });
+  queue = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,180 @@
+// Lyrics: `.lrc` sidecars next to the audio, embedded tags (ID3 SYLT/USLT and
+// the lyrics fields of other formats) and text supplied by the user.
+//
+// Stored per track in db.lyrics as
+//   { source: 'sidecar' | 'embedded' | 'user', synced, lines: [{ time, text }] }
+// where `time` is seconds from the start of the track, or null when unsynced.
+
+import path from 'path';
+import fs from 'fs/promises';
+
+const STAMP = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const STAMPED_LINE = /^(?:\s*\[\d+:\d{1,2}(?:[.:]\d{1,3})?\])+/;
+const TAG_LINE = /^\s*\[([a-z#]+):(.*)\]\s*$/i;
+
+function stampSeconds(min, sec) {
+  const [whole, frac = ''] = sec.split(/[.:]/);
+  return Number(min) * 60 + Number(whole) + (frac ? Number(`0.${frac}`) : 0);
+}
+
+// Parse LRC (or plain text) into { synced, lines }, or null when there is no text.
+// Supports several stamps per line, [offset:±ms] and enhanced <mm:ss.xx> word stamps.
+export function parseLrc(input='') {
+  const rows = String(input).replace(/^\uFEFF/, '').split(/\r?\n/);
+  let offset = 0;
+  const timed = [];
+  const plain = [];
+  for (const row of rows) {
+    const stamps = row.match(STAMPED_LINE);
+    if (stamps) {
+      const text = row.slice(stamps[0].length).replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+      for (const m of stamps[0].matchAll(STAMP)) timed.push({ time: stampSeconds(m[1], m[2]), text });
+      continue;
+    }
+    const tag = row.match(TAG_LINE);
+    if (tag) {
+      if (tag[1].toLowerCase() === 'offset') offset = Number(tag[2]) || 0;
+      continue;
+    }
+    plain.push(row.trimEnd());
+  }
+  if (timed.length) {
+    // a positive offset shows lines earlier
+    const lines = timed
+      .map((l, i) => ({ ...l, time: Math.max(0, Math.round((l.time - offset / 1000) * 1000) / 1000), i }))
+      .sort((a, b) => a.time - b.time || a.i - b.i)
+      .map(({ time, text }) => ({ time, text }));
+    return { synced: true, lines };
+  }
+  while (plain.length && !plain[0].trim()) plain.shift();
+  while (plain.length && !plain[plain.length - 1].trim()) plain.pop();
+  if (!plain.length) return null;
+  return { synced: false, lines: plain.map(text => ({ time: null, text })) };
+}
+
+// `Song.lrc` (any case) in the same folder as `Song.mp3`.
+async function findLrcSidecar(audioPath) {
+  const dir = path.dirname(audioPath);
+  const base = path.basename(audioPath, path.extname(audioPath)).toLowerCase();
+  let names;
+  try { names = await fs.readdir(dir); } catch (e) { return null; }
+  const name = names.find(n => path.extname(n).toLowerCase() === '.lrc' && path.basename(n, path.extname(n)).toLowerCase() === base);
+  return name ? path.join(dir, name) : null;
+}
+
+// -- ID3 SYLT --
+// music-metadata keeps the text of SYLT frames but drops their timestamps, so
+// the frame is read straight from the ID3v2 tag.
+
+const syncsafe = (buf, at) => (buf[at] << 21) | (buf[at + 1] << 14) | (buf[at + 2] << 7) | buf[at + 3];
+
+function decodeText(buf, encoding) {
+  if (encoding === 0) return buf.toString('latin1');
+  if (encoding === 3) return buf.toString('utf8');
+  let bigEndian = encoding === 2;
+  if (encoding === 1 && buf.length >= 2) {
+    if (buf[0] === 0xFE && buf[1] === 0xFF) { bigEndian = true; buf = buf.subarray(2); }
+    else if (buf[0] === 0xFF && buf[1] === 0xFE) buf = buf.subarray(2);
+  }
+  if (!bigEndian) return buf.toString('utf16le');
+  const swapped = Buffer.from(buf.subarray(0, buf.length - (buf.length % 2)));
+  return swapped.swap16().toString('utf16le');
+}
+
+function findTerminator(buf, start, wide) {
+  if (!wide) return buf.indexOf(0, start);
+  for (let i = start; i + 1 < buf.length; i += 2) {
+    if (buf[i] === 0 && buf[i + 1] === 0) return i;
+  }
+  return -1;
+}
+
+// Lines of a SYLT frame body, or null when it isn't timed in milliseconds.
+function parseSyltFrame(body) {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const step = wide ? 2 : 1;
+  if (body[4] !== 2) return null; // timestamps in MPEG frames are not supported
+  let pos = findTerminator(body, 6, wide);
+  if (pos === -1) return null;
+  pos += step;
+  const lines = [];
+  while (pos < body.length) {
+    const end = findTerminator(body, pos, wide);
+    if (end === -1 || end + step + 4 > body.length) break;
+    const text = decodeText(body.subarray(pos, end), encoding).trim();
+    const ms = body.readUInt32BE(end + step);
+    lines.push({ time: ms / 1000, text });
+    pos = end + step + 4;
+  }
+  return lines.length ? lines.sort((a, b) => a.time - b.time) : null;
+}
+
+async function readSylt(filePath) {
+  const fh = await fs.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(10);
+    await fh.read(head, 0, 10, 0);
+    if (head.toString('latin1', 0, 3) !== 'ID3') return null;
+    const major = head[3];
+    const flags = head[5];
+    if (major < 3 || major > 4 || (flags & 0x80)) return null; // ID3v2.2 and unsynchronised tags are skipped
+    // the header's size can't be trusted, so read frame by frame and never past the file
+    const { size: fileSize } = await fh.stat();
+    const end = 10 + Math.min(syncsafe(head, 6), fileSize - 10);
+    const frame = Buffer.alloc(10);
+    let pos = 10;
+    if (flags & 0x40) {
+      await fh.read(frame, 0, 4, pos);
+      pos += major === 4 ? syncsafe(frame, 0) : frame.readUInt32BE(0) + 4;
+    }
+    while (pos + 10 <= end) {
+      await fh.read(frame, 0, 10, pos);
+      const id = frame.toString('latin1', 0, 4);
+      if (!/^[A-Z0-9]{4}$/.test(id)) break;
+      const len = major === 4 ? syncsafe(frame, 4) : frame.readUInt32BE(4);
+      if (id === 'SYLT' && pos + 10 + len <= end) {
+        const body = Buffer.alloc(len);
+        await fh.read(body, 0, len, pos + 10);
+        const lines = parseSyltFrame(body);
+        if (lines) return lines;
+      }
+      pos += 10 + len;
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
+
+// Unsynchronised lyrics text from parsed tags: ID3 USLT, then whatever
+// music-metadata mapped to `common.lyrics` for other formats.
+function embeddedText(metadata) {
+  for (const tags of Object.values(metadata?.native || {})) {
+    const uslt = tags.find(t => t.id === 'USLT' && t.value?.text);
+    if (uslt) return uslt.value.text;
+  }
+  const common = metadata?.common?.lyrics;
+  return Array.isArray(common) ? common.join('\n') : (common || '');
+}
+
+// Lyrics for an audio file: sidecar, then SYLT, then embedded text. Null if none.
+// `metadata` is the result of music-metadata's parseFile (may be null).
+export async function readLyrics(audioPath, metadata) {
+  const sidecar = await findLrcSidecar(audioPath);
+  if (sidecar) {
+    const parsed = parseLrc(await fs.readFile(sidecar, 'utf8'));
+    if (parsed) return { source: 'sidecar', ...parsed };
+  }
+  const sylt = await readSylt(audioPath).catch(() => null);
+  if (sylt) return { source: 'embedded', synced: true, lines: sylt };
+  const parsed = parseLrc(embeddedText(metadata));
+  return parsed ? { source: 'embedded', ...parsed } : null;
+}
+
+// Lyrics read from a file follow the file on rescans; lyrics the user supplied win.
+export function storeImportedLyrics(db, trackId, lyrics) {
+  if (db.lyrics[trackId]?.source === 'user') return;
+  if (lyrics) db.lyrics[trackId] = lyrics;
+  else delete db.lyrics[trackId];
+}
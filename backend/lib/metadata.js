@@ -0,0 +1,89 @@
+// Tag extraction shared by uploads and library scans.
+
+import * as mm from 'music-metadata';
+import { extractArtwork } from './artwork.js';
+import { readLyrics } from './lyrics.js';
+import { readReplayGain } from './loudness.js';
+import { hashFile } from './duplicates.js';
+import { parseFromFilename } from '../utils.js';
+
+export const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.m4a', '.mp4', '.aac', '.ogg', '.oga', '.opus', '.wav', '.aif', '.aiff', '.wma', '.ape', '.wv'];
+
+// Track and disc number (0 when untagged) and album artist from parsed tags.
+export function readNumbering(common={}) {
+  return {
+    trackNo: Number(common.track?.no) || 0,
+    discNo: Number(common.disk?.no) || 0,
+    albumArtist: (common.albumartist || '').toString()
+  };
+}
+
+// Numbering of a file added before it was recorded (tags only, no artwork).
+export async function readFileNumbering(filePath) {
+  const metadata = await mm.parseFile(filePath, { duration: false, skipCovers: true });
+  return readNumbering(metadata.common);
+}
+
+// Track fields read from the file at `filePath`. Tags win; the file name
+// (`Artist - Title [Genre].ext`) is the fallback. Never throws on bad tags;
+// what couldn't be read is described in `warnings`.
+// `lyrics` and `warnings` are not track fields: callers store lyrics in db.lyrics.
+export async function readTrackInfo(filePath, originalName) {
+  const warnings = [];
+  let metaParsed = parseFromFilename(originalName);
+  let duration = 0;
+  let year = 0;
+  let replayGain = null;
+  let numbering = readNumbering();
+  let metadata = null;
+  try {
+    metadata = await mm.parseFile(filePath, { duration: true });
+    const common = metadata.common || {};
+    duration = metadata.format?.duration || 0;
+    year = Number(common.year) || 0;
+    replayGain = readReplayGain(common);
+    numbering = readNumbering(common);
+    if (!duration) warnings.push('duration unknown');
+    if (!common.title) warnings.push('no title tag; title taken from the file name');
+    metaParsed = {
+      title: common.title || metaParsed.title || originalName,
+      artist: (common.artist || '').toString() || metaParsed.artist,
+      album: (common.album || '').toString() || '',
+      genre: Array.isArray(common.genre) ? common.genre[0] || '' : (common.genre || metaParsed.genre || '')
+    };
+  } catch (e) {
+    warnings.push(`tags could not be read (${e.message}); title taken from the file name`);
+  }
+  let artwork = '';
+  try {
+    artwork = await extractArtwork(filePath, metadata);
+  } catch (e) {
+    warnings.push('cover art could not be read');
+  }
+  let lyrics = null;
+  try {
+    lyrics = await readLyrics(filePath, metadata);
+  } catch (e) {
+    warnings.push('lyrics could not be read');
+  }
+  let contentHash = '';
+  try {
+    contentHash = await hashFile(filePath);
+  } catch (e) {
+    // duplicate detection just skips unreadable files
+  }
+  return {
+    title: metaParsed.title || originalName,
+    artist: metaParsed.artist || '',
+    album: metaParsed.album || '',
+    genre: metaParsed.genre || '',
+    duration,
+    year,
+    ...numbering,
+    replayGain,
+    artwork,
+    contentHash,
+    lyrics,
+    warnings
+  };
+}
@@ -0,0 +1,171 @@
+// Playlist file formats: M3U/M3U8, PLS and XSPF.
+//
+// Entries are plain objects: { location, title, artist, album, duration }
+// with duration in seconds (0 when unknown).
+
+export const FORMATS = {
+  m3u: { ext: 'm3u', contentType: 'audio/x-mpegurl' },
+  m3u8: { ext: 'm3u8', contentType: 'application/vnd.apple.mpegurl; charset=utf-8' },
+  pls: { ext: 'pls', contentType: 'audio/x-scpls; charset=utf-8' },
+  xspf: { ext: 'xspf', contentType: 'application/xspf+xml; charset=utf-8' }
+};
+
+const xmlEscape = (s='') => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+// References to code points that don't exist (or to surrogates) become U+FFFD.
+const fromCodePoint = (n) => (n > 0 && n <= 0x10ffff && !(n >= 0xd800 && n <= 0xdfff) ? String.fromCodePoint(n) : '\uFFFD');
+
+const xmlUnescape = (s='') => String(s)
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => fromCodePoint(Number(d)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// M3U and PLS are line-based: a line break in a name or tag would start a new entry.
+const oneLine = (s='') => String(s).replace(/[\r\n]+/g, ' ');
+const label = (e) => oneLine([e.artist, e.title].filter(Boolean).join(' - '));
+const seconds = (n) => Math.round(Number(n) || 0);
+
+// ---- Serializers ----
+
+function toM3U(name, entries) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(name)}`];
+  for (const e of entries) {
+    lines.push(`#EXTINF:${seconds(e.duration) || -1},${label(e)}`);
+    if (e.album) lines.push(`#EXTALB:${oneLine(e.album)}`);
+    lines.push(oneLine(e.location));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toPLS(name, entries) {
+  const lines = ['[playlist]'];
+  entries.forEach((e, i) => {
+    const n = i + 1;
+    lines.push(`File${n}=${oneLine(e.location)}`, `Title${n}=${label(e)}`, `Length${n}=${seconds(e.duration) || -1}`);
+  });
+  lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+  return lines.join('\n') + '\n';
+}
+
+function toXSPF(name, entries) {
+  const tracks = entries.map(e => {
+    const fields = [
+      `      <location>${xmlEscape(e.location)}</location>`,
+      e.title && `      <title>${xmlEscape(e.title)}</title>`,
+      e.artist && `      <creator>${xmlEscape(e.artist)}</creator>`,
+      e.album && `      <album>${xmlEscape(e.album)}</album>`,
+      e.duration && `      <duration>${Math.round(e.duration * 1000)}</duration>`
+    ].filter(Boolean);
+    return `    <track>\n${fields.join('\n')}\n    </track>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${xmlEscape(name)}</title>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>'
+  ].join('\n') + '\n';
+}
+
+export function serializePlaylist(format, name, entries) {
+  if (format === 'm3u' || format === 'm3u8') return toM3U(name, entries);
+  if (format === 'pls') return toPLS(name, entries);
+  if (format === 'xspf') return toXSPF(name, entries);
+  throw new Error(`unsupported format: ${format}`);
+}
+
+// ---- Parsers ----
+
+// "Artist - Title" as written by EXTINF / PLS TitleN
+function splitLabel(text='') {
+  const i = text.indexOf(' - ');
+  if (i === -1) return { artist: '', title: text.trim() };
+  return { artist: text.slice(0, i).trim(), title: text.slice(i + 3).trim() };
+}
+
+function parseM3U(text) {
+  const entries = [];
+  let name = '';
+  let pending = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#EXTINF:')) {
+      const body = line.slice(8);
+      const comma = body.indexOf(',');
+      const duration = parseFloat(comma === -1 ? body : body.slice(0, comma));
+      pending = { ...pending, ...splitLabel(comma === -1 ? '' : body.slice(comma + 1)), duration: duration > 0 ? duration : 0 };
+    } else if (line.startsWith('#EXTALB:')) {
+      pending.album = line.slice(8).trim();
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice(10).trim();
+    } else if (!line.startsWith('#')) {
+      entries.push({ title: '', artist: '', album: '', duration: 0, ...pending, location: line });
+      pending = {};
+    }
+  }
+  return { name, entries };
+}
+
+function parsePLS(text) {
+  const byIndex = new Map();
+  for (const raw of text.split(/\r?\n/)) {
+    const m = raw.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!m) continue;
+    const n = Number(m[2]);
+    if (!byIndex.has(n)) byIndex.set(n, { location: '', title: '', artist: '', album: '', duration: 0 });
+    const e = byIndex.get(n);
+    const key = m[1].toLowerCase();
+    if (key === 'file') e.location = m[3].trim();
+    else if (key === 'title') Object.assign(e, splitLabel(m[3]));
+    else { const d = parseFloat(m[3]); e.duration = d > 0 ? d : 0; }
+  }
+  const entries = [...byIndex.keys()].sort((a, b) => a - b).map(n => byIndex.get(n)).filter(e => e.location);
+  return { name: '', entries };
+}
+
+function parseXSPF(text) {
+  const tag = (src, name) => {
+    const m = src.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return m ? xmlUnescape(m[1]).trim() : '';
+  };
+  const listStart = text.search(/<trackList/i);
+  const name = tag(listStart === -1 ? text : text.slice(0, listStart), 'title');
+  const entries = [];
+  for (const m of text.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+    const body = m[1];
+    const duration = Number(tag(body, 'duration'));
+    entries.push({
+      location: tag(body, 'location'),
+      title: tag(body, 'title'),
+      artist: tag(body, 'creator'),
+      album: tag(body, 'album'),
+      duration: duration > 0 ? duration / 1000 : 0
+    });
+  }
+  return { name, entries: entries.filter(e => e.location || e.title) };
+}
+
+// Guess the format from an explicit hint, the file name, or the content itself.
+export function detectFormat(text, hint='') {
+  const h = hint.toLowerCase().replace(/^.*\./, '');
+  if (FORMATS[h]) return h === 'm3u' ? 'm3u8' : h;
+  const head = text.trimStart().slice(0, 200).toLowerCase();
+  if (head.startsWith('<?xml') || head.includes('<playlist')) return 'xspf';
+  if (head.startsWith('[playlist]')) return 'pls';
+  return 'm3u8';
+}
+
+export function parsePlaylist(text, format) {
+  const body = text.replace(/^\uFEFF/, '');
+  if (format === 'm3u' || format === 'm3u8') return parseM3U(body);
+  if (format === 'pls') return parsePLS(body);
+  if (format === 'xspf') return parseXSPF(body);
+  throw new Error(`unsupported format: ${format}`);
+}
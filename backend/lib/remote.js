@@ -0,0 +1,287 @@
+// URL tracks: reading tags from a remote file when it is added, relaying
+// playback through the server (so the browser sees a same-origin stream it can
+// seek and feed to Web Audio), and downloading an offline copy.
+
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import crypto from 'crypto';
+import dns from 'dns';
+import { once } from 'events';
+import { Readable, pipeline } from 'stream';
+import { Agent } from 'undici';
+import * as mm from 'music-metadata';
+import { REMOTE_TIMEOUT_MS, REMOTE_PROBE_BYTES, REMOTE_ALLOW_PRIVATE } from '../config.js';
+import { sniffAudioType, uploadFileName, mb } from './uploads.js';
+import { extractArtwork } from './artwork.js';
+import { readReplayGain } from './loudness.js';
+import { readNumbering } from './metadata.js';
+import { createUrlTrack, trackFileName } from '../utils.js';
+
+// Request headers passed on to the source, and response headers passed back.
+const FORWARD_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+const RELAY_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), shared,
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 entries.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+export const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Error message for a URL that can't be added as a track, or null.
+export function checkRemoteUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return 'invalid url'; }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must start with http:// or https://';
+  return null;
+}
+
+// Refuse hosts that resolve to an internal address (see PRIVATE_ADDRESSES), so
+// a URL track can't make the server fetch from its own network. IP literals are
+// checked before each request; names are checked by `lookupPublic` as the
+// connection is made, so a second DNS answer can't swap in another address.
+function checkRemoteHost(url) {
+  if (REMOTE_ALLOW_PRIVATE) return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) throw new Error(`${host} is a local or private address`);
+}
+
+// dns.lookup() for net.connect(), failing if any address the name resolves to is internal.
+export function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isPrivateAddress(a.address))) return callback(new Error(`${hostname} is a local or private address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicOnly = REMOTE_ALLOW_PRIVATE ? undefined : new Agent({ connect: { lookup: lookupPublic } });
+
+const isAudioType = (type='') => /^(audio\/|application\/ogg\b)/i.test(type);
+
+// fetch() rejects with a bare "fetch failed"; the reason is in `cause`.
+function fetchErrorMessage(e) {
+  if (e.name === 'TimeoutError' || e.name === 'AbortError') return 'the server did not answer in time';
+  return e.cause?.code || e.cause?.message || e.message;
+}
+
+// fetch() following redirects by hand, so each hop's host is checked.
+async function fetchRemote(url, { method='GET', headers={}, signal=AbortSignal.timeout(REMOTE_TIMEOUT_MS) } = {}) {
+  for (let hops = 0; ; hops++) {
+    const invalid = checkRemoteUrl(url);
+    if (invalid) throw new Error(invalid);
+    checkRemoteHost(url);
+    let res;
+    try {
+      // identity: fetch() would otherwise decompress and Content-Length stop matching the body
+      res = await fetch(url, { method, headers: { 'accept-encoding': 'identity', ...headers }, signal, redirect: 'manual', dispatcher: publicOnly });
+    } catch (e) {
+      throw new Error(fetchErrorMessage(e));
+    }
+    const location = res.headers.get('location');
+    if (![301, 302, 303, 307, 308].includes(res.status) || !location) return res;
+    res.body?.cancel().catch(() => {});
+    if (hops >= MAX_REDIRECTS) throw new Error('too many redirects');
+    url = new URL(location, url).href;
+  }
+}
+
+// Total size from a 206's Content-Range or a 200's Content-Length (0 if unknown, e.g. a live stream).
+function remoteSize(res) {
+  const total = (res.headers.get('content-range') || '').match(/\/(\d+)\s*$/);
+  if (total) return Number(total[1]);
+  return res.status === 200 ? Number(res.headers.get('content-length')) || 0 : 0;
+}
+
+async function readHead(res, limit) {
+  const chunks = [];
+  let length = 0;
+  const reader = res.body.getReader();
+  try {
+    while (length < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, limit);
+}
+
+// Reads the start of the file at `url` (REMOTE_PROBE_BYTES) and returns what
+// could be learned from it: { contentType, size, info: track fields, warnings }.
+// Throws when the URL can't be fetched or isn't audio.
+export async function probeUrl(url) {
+  const res = await fetchRemote(url, { headers: { range: `bytes=0-${REMOTE_PROBE_BYTES - 1}` } });
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    throw new Error(`the server answered HTTP ${res.status}`);
+  }
+  const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const size = remoteSize(res);
+  let head;
+  try {
+    // a live stream arrives in real time: don't wait for a lot of it
+    head = await readHead(res, size ? REMOTE_PROBE_BYTES : Math.min(REMOTE_PROBE_BYTES, 64 * 1024));
+  } catch (e) {
+    throw new Error(fetchErrorMessage(e));
+  }
+  if (!sniffAudioType(head) && !isAudioType(contentType)) throw new Error('not an audio file');
+
+  const warnings = [];
+  if (res.status !== 206 && res.headers.get('accept-ranges') !== 'bytes') warnings.push('the server does not support seeking');
+  const info = {};
+  let metadata = null;
+  try {
+    metadata = await mm.parseBuffer(head, { mimeType: contentType || undefined, size: size || undefined }, { skipPostHeaders: true });
+  } catch (e) {
+    warnings.push(`tags could not be read (${e.message})`);
+  }
+  if (metadata) {
+    const { common={}, format={} } = metadata;
+    if (common.title) info.title = common.title;
+    if (common.artist) info.artist = String(common.artist);
+    if (common.album) info.album = String(common.album);
+    if (common.genre?.length) info.genre = common.genre[0];
+    info.year = Number(common.year) || 0;
+    info.replayGain = readReplayGain(common);
+    Object.assign(info, readNumbering(common));
+    // Only the start was read: estimate from the bitrate when the header has no
+    // length. Without a total size (a live stream) there is nothing to go on.
+    if (size) info.duration = format.duration || (format.bitrate ? Math.round(size * 8 / format.bitrate) : 0);
+    try {
+      info.artwork = await extractArtwork('', metadata);
+    } catch (e) {
+      warnings.push('cover art could not be read');
+    }
+  }
+  if (!info.duration) warnings.push(size ? 'duration unknown' : 'no length given; this may be a live stream');
+  return { contentType, size, info, warnings };
+}
+
+// A new URL track for `url` with what probeUrl() found; given fields win over
+// the file's tags. Returns { track, warnings }; throws like probeUrl().
+export async function createRemoteTrack({ url, title='', artist='', album='', genre='', duration=0, proxy=true }) {
+  const invalid = checkRemoteUrl(url);
+  if (invalid) throw new Error(invalid);
+  const { info, warnings } = await probeUrl(url);
+  const track = {
+    ...createUrlTrack({
+      url,
+      title: title || info.title,
+      artist: artist || info.artist,
+      album: album || info.album,
+      genre: genre || info.genre,
+      duration: info.duration || duration
+    }),
+    year: info.year || 0,
+    trackNo: info.trackNo || 0,
+    discNo: info.discNo || 0,
+    albumArtist: info.albumArtist || '',
+    replayGain: info.replayGain || null,
+    artwork: info.artwork || '',
+    proxy: proxy !== false,
+    offline: null
+  };
+  return { track, warnings };
+}
+
+// Relay a request for the URL track `t` to its source, passing Range and
+// validators through so seeking and revalidation work as with local files.
+export async function relayRemote(t, req, res) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  const headers = {};
+  FORWARD_HEADERS.forEach(h => { if (req.headers[h]) headers[h] = req.headers[h]; });
+  let upstream;
+  try {
+    upstream = await fetchRemote(t.src, { method: req.method, headers, signal: controller.signal });
+  } catch (e) {
+    return res.status(502).json({ ok:false, error:`source unavailable: ${e.message}` });
+  }
+  if (upstream.status >= 400 && upstream.status !== 416) {
+    upstream.body?.cancel().catch(() => {});
+    return res.status(502).json({ ok:false, error:`source answered HTTP ${upstream.status}` });
+  }
+  res.status(upstream.status);
+  RELAY_HEADERS.forEach(h => { if (upstream.headers.has(h)) res.set(h, upstream.headers.get(h)); });
+  res.set('Cache-Control', 'private, no-cache');
+  if (!upstream.body || req.method === 'HEAD') {
+    upstream.body?.cancel().catch(() => {});
+    return res.end();
+  }
+  pipeline(Readable.fromWeb(upstream.body), res, () => {});
+}
+
+// Download the URL track `t` into `dir`; returns { path, size, sha256 } where
+// `path` is relative to `dir`. Stops (and leaves nothing behind) past
+// `maxBytes`, when the server stalls for REMOTE_TIMEOUT_MS, when fewer bytes
+// arrive than its Content-Length promised, or when the data isn't audio.
+export async function downloadRemote(t, { dir, maxBytes }) {
+  const controller = new AbortController();
+  let timer;
+  const stall = () => { clearTimeout(timer); timer = setTimeout(() => controller.abort(), REMOTE_TIMEOUT_MS); };
+  stall();
+  let out = null;
+  let target = '';
+  let writeError = null;
+  try {
+    const res = await fetchRemote(t.src, { signal: controller.signal });
+    if (!res.ok) {
+      res.body?.cancel().catch(() => {});
+      throw new Error(`the server answered HTTP ${res.status}`);
+    }
+    const expected = res.headers.has('content-length') ? Number(res.headers.get('content-length')) : null;
+    if (expected > maxBytes) throw new Error(`larger than ${mb(maxBytes)}`);
+    const hash = crypto.createHash('sha256');
+    let head = Buffer.alloc(0);
+    let size = 0;
+    const open = () => {
+      const ext = sniffAudioType(head);
+      if (!ext) throw new Error('not a supported audio file');
+      const filename = uploadFileName(trackFileName(t) || t.title || 'track', ext);
+      target = path.join(dir, filename);
+      out = fs.createWriteStream(target);
+      out.on('error', (e) => { writeError = e; controller.abort(); });
+      out.write(head);
+      return filename;
+    };
+    let filename = '';
+    for await (const chunk of Readable.fromWeb(res.body)) {
+      stall();
+      size += chunk.length;
+      if (size > maxBytes) throw new Error(`larger than ${mb(maxBytes)}`);
+      hash.update(chunk);
+      if (out) {
+        if (!out.write(chunk)) await once(out, 'drain');
+        continue;
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= 64) filename = open();
+    }
+    if (!size) throw new Error('empty file');
+    if (expected !== null && size !== expected) throw new Error(`incomplete download (${size} of ${expected} bytes)`);
+    if (!out) filename = open();
+    out.end();
+    await once(out, 'finish');
+    return { path: filename, size, sha256: hash.digest('hex') };
+  } catch (e) {
+    if (out) {
+      out.destroy();
+      await fs.promises.unlink(target).catch(() => {});
+    }
+    if (writeError) throw writeError;
+    throw new Error(e.name === 'AbortError' ? 'the server stopped sending data' : fetchErrorMessage(e));
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,135 @@
+// Library search: free text ranked by relevance, `field:value` syntax, field
+// filters, sorting, cursor pagination and facet counts.
+//
+// Query syntax (combinable with plain words):
+//   artist:"Daft Punk"  genre:rock  album:discovery  title:one
+//   year:>2000  year:1990..1999  duration:<300  (duration in seconds)
+
+import { encodeCursor, decodeCursor } from '../utils.js';
+
+export const SORT_FIELDS = ['relevance', 'title', 'artist', 'album', 'genre', 'year', 'duration', 'added'];
+const TEXT_FIELDS = ['title', 'artist', 'album', 'genre'];
+const NUMBER_FIELDS = ['year', 'duration'];
+const FACET_FIELDS = ['genre', 'artist', 'album'];
+const FIELD_WEIGHTS = { title: 3, artist: 2, album: 1, genre: 0.5 };
+const FACET_LIMIT = 200;
+
+// Case and accent insensitive form used for all comparisons.
+export const fold = (s='') => s.toString().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+export function parseQuery(q='') {
+  const terms = [];
+  const fields = [];
+  const re = /(\w+):("([^"]*)"|\S+)|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(q))) {
+    if (m[1]) {
+      const field = m[1].toLowerCase();
+      const value = m[3] !== undefined ? m[3] : m[2];
+      if (TEXT_FIELDS.includes(field)) { fields.push({ field, op: 'contains', value: fold(value) }); continue; }
+      if (NUMBER_FIELDS.includes(field)) {
+        const range = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+        const cmp = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+        if (range) { fields.push({ field, op: 'range', min: Number(range[1]), max: Number(range[2]) }); continue; }
+        if (cmp) { fields.push({ field, op: cmp[1] || '=', value: Number(cmp[2]) }); continue; }
+      }
+      // unknown field or malformed value: treat the whole token as text
+      terms.push(fold(m[0]));
+    } else {
+      const t = fold(m[4] !== undefined ? m[4] : m[5]);
+      if (t) terms.push(t);
+    }
+  }
+  return { terms, fields };
+}
+
+function matchField(track, f) {
+  if (f.op === 'contains') return fold(track[f.field]).includes(f.value);
+  const v = Number(track[f.field]) || 0;
+  if (f.op === 'range') return v >= f.min && v <= f.max;
+  if (f.op === '>') return v > f.value;
+  if (f.op === '>=') return v >= f.value;
+  if (f.op === '<') return v < f.value;
+  if (f.op === '<=') return v <= f.value;
+  return v === f.value;
+}
+
+// 0 when a term is missing from every field; higher for title and prefix matches.
+function scoreTrack(folded, terms) {
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const text = folded[field];
+      const at = text.indexOf(term);
+      if (at === -1) continue;
+      let s = weight;
+      if (text === term) s *= 3;
+      else if (at === 0 || /\W/.test(text[at - 1])) s *= 2;
+      best = Math.max(best, s);
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+// `params` are the query string values: q, genre, artist, album, sort, order, limit, cursor.
+// Returns { tracks, total, nextCursor, facets } or { error }.
+export function searchTracks(allTracks, params = {}) {
+  const { q = '', sort, order, limit, cursor } = params;
+  if (sort && !SORT_FIELDS.includes(sort)) return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+  if (order && !['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+  const max = limit === undefined ? Infinity : Number(limit);
+  if (!(max > 0)) return { error: 'limit must be a positive number' };
+
+  const { terms, fields } = parseQuery(String(q));
+  const exact = FACET_FIELDS.filter(f => params[f]).map(f => ({ field: f, value: fold(params[f]) }));
+
+  const rows = allTracks.map((t, index) => ({
+    t, index,
+    folded: Object.fromEntries(TEXT_FIELDS.map(f => [f, fold(t[f])]))
+  }));
+  const matching = [];
+  for (const row of rows) {
+    if (!fields.every(f => matchField(row.t, f))) continue;
+    row.score = terms.length ? scoreTrack(row.folded, terms) : 1;
+    if (row.score) matching.push(row);
+  }
+
+  // each facet ignores its own filter so the other choices stay visible
+  const facets = {};
+  for (const field of FACET_FIELDS) {
+    const counts = new Map();
+    for (const row of matching) {
+      if (!exact.every(e => e.field === field || row.folded[e.field] === e.value)) continue;
+      const value = row.t[field];
+      if (!value) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[field] = [...counts].map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, FACET_LIMIT);
+  }
+
+  const results = matching.filter(row => exact.every(e => row.folded[e.field] === e.value));
+  const by = sort || (terms.length ? 'relevance' : 'added');
+  const dir = (order || (by === 'relevance' ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+  const cmp = {
+    relevance: (a, b) => a.score - b.score,
+    added: (a, b) => a.index - b.index,
+    year: (a, b) => (Number(a.t.year) || 0) - (Number(b.t.year) || 0),
+    duration: (a, b) => (a.t.duration || 0) - (b.t.duration || 0)
+  }[by] || ((a, b) => a.folded[by].localeCompare(b.folded[by]));
+  results.sort((a, b) => dir * cmp(a, b) || a.index - b.index);
+
+  const start = cursor ? decodeCursor(cursor) : 0;
+  const page = results.slice(start, start + max);
+  const end = start + page.length;
+  return {
+    tracks: page.map(row => row.t),
+    total: results.length,
+    nextCursor: end < results.length ? encodeCursor(end) : null,
+    facets
+  };
+}
@@ -0,0 +1,163 @@
+// Smart playlists: a playlist defined by rules instead of a list of track ids,
+// evaluated against the current library every time it is read.
+//
+// rules = {
+//   match: 'all' | 'any',
+//   conditions: [{ field, op, value }],
+//   limit?: number,
+//   sort?: { field, order: 'asc' | 'desc' }
+// }
+//
+//   title/artist/album/genre   is | contains (string), in (array of strings)
+//   text                       matches (library search syntax, e.g. `artist:daft year:>2000`)
+//   duration/year/playCount    eq | gte | lte (number), between ([min, max])
+//   addedAt/lastPlayed         withinDays | notWithinDays (number of days)
+//
+// Durations are in seconds. Play counts and last played come from play history;
+// a track that was never played has playCount 0 and is never "within" N days.
+
+import { fold, searchTracks } from './search.js';
+import { playCounts } from './stats.js';
+
+const TEXT_FIELDS = ['title', 'artist', 'album', 'genre'];
+const FIELD_OPS = {
+  ...Object.fromEntries(TEXT_FIELDS.map(f => [f, ['is', 'contains', 'in']])),
+  text: ['matches'],
+  duration: ['eq', 'gte', 'lte', 'between'],
+  year: ['eq', 'gte', 'lte', 'between'],
+  playCount: ['eq', 'gte', 'lte', 'between'],
+  addedAt: ['withinDays', 'notWithinDays'],
+  lastPlayed: ['withinDays', 'notWithinDays']
+};
+export const SMART_SORT_FIELDS = ['title', 'artist', 'album', 'genre', 'year', 'duration', 'added', 'playCount', 'lastPlayed', 'random'];
+const MAX_CONDITIONS = 50;
+const MAX_LIMIT = 10000;
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function validateCondition(c, i) {
+  const where = `conditions[${i}]`;
+  if (!c || typeof c !== 'object') return { error: `${where} must be an object` };
+  const ops = FIELD_OPS[c.field];
+  if (!ops) return { error: `${where}.field must be one of ${Object.keys(FIELD_OPS).join(', ')}` };
+  if (!ops.includes(c.op)) return { error: `${where}.op for ${c.field} must be one of ${ops.join(', ')}` };
+  const { field, op, value } = c;
+  if (op === 'in') {
+    if (!Array.isArray(value) || !value.length || !value.every(v => typeof v === 'string')) {
+      return { error: `${where}.value must be a non-empty array of strings` };
+    }
+    return { condition: { field, op, value: value.map(v => v.trim()).filter(Boolean) } };
+  }
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isNum) || value[0] > value[1]) {
+      return { error: `${where}.value must be [min, max]` };
+    }
+    return { condition: { field, op, value: [...value] } };
+  }
+  if (op === 'is' || op === 'contains' || op === 'matches') {
+    if (typeof value !== 'string' || !value.trim()) return { error: `${where}.value must be a non-empty string` };
+    return { condition: { field, op, value: value.trim() } };
+  }
+  if (!isNum(value) || value < 0) return { error: `${where}.value must be a non-negative number` };
+  return { condition: { field, op, value } };
+}
+
+// Check client input and return a clean copy: { rules } or { error }.
+export function validateRules(input) {
+  if (!input || typeof input !== 'object') return { error: 'rules must be an object' };
+  const match = input.match === undefined ? 'all' : input.match;
+  if (!['all', 'any'].includes(match)) return { error: 'rules.match must be all or any' };
+  if (!Array.isArray(input.conditions) || !input.conditions.length) return { error: 'rules.conditions must be a non-empty array' };
+  if (input.conditions.length > MAX_CONDITIONS) return { error: `at most ${MAX_CONDITIONS} conditions` };
+  const conditions = [];
+  for (const [i, c] of input.conditions.entries()) {
+    const result = validateCondition(c, i);
+    if (result.error) return result;
+    conditions.push(result.condition);
+  }
+  const rules = { match, conditions };
+  if (input.limit !== undefined && input.limit !== null && input.limit !== '') {
+    const limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `rules.limit must be an integer from 1 to ${MAX_LIMIT}` };
+    rules.limit = limit;
+  }
+  if (input.sort) {
+    const { field, order = 'asc' } = input.sort;
+    if (!SMART_SORT_FIELDS.includes(field)) return { error: `rules.sort.field must be one of ${SMART_SORT_FIELDS.join(', ')}` };
+    if (!['asc', 'desc'].includes(order)) return { error: 'rules.sort.order must be asc or desc' };
+    rules.sort = { field, order };
+  }
+  return { rules };
+}
+
+function numberOf(track, field, counts) {
+  if (field === 'playCount') return counts.get(track.id)?.count || 0;
+  return Number(track[field]) || 0;
+}
+
+function timeOf(track, field, counts) {
+  const iso = field === 'lastPlayed' ? counts.get(track.id)?.lastPlayedAt : track.addedAt;
+  return iso ? new Date(iso).getTime() : null;
+}
+
+function testCondition(track, c, ctx) {
+  const { op, field, value } = c;
+  if (field === 'text') return ctx.textMatches.get(c).has(track.id);
+  if (TEXT_FIELDS.includes(field)) {
+    const v = fold(track[field]);
+    if (op === 'is') return v === fold(value);
+    if (op === 'contains') return v.includes(fold(value));
+    return value.some(x => fold(x) === v);
+  }
+  if (op === 'withinDays' || op === 'notWithinDays') {
+    const at = timeOf(track, field, ctx.counts);
+    const within = at !== null && at >= ctx.now - value * 86400000;
+    return op === 'withinDays' ? within : !within;
+  }
+  const n = numberOf(track, field, ctx.counts);
+  if (op === 'eq') return n === value;
+  if (op === 'gte') return n >= value;
+  if (op === 'lte') return n <= value;
+  return n >= value[0] && n <= value[1];
+}
+
+function sortTracks(tracks, sort, counts) {
+  if (!sort) return tracks;
+  if (sort.field === 'random') {
+    for (let i = tracks.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+    }
+    return tracks;
+  }
+  const dir = sort.order === 'desc' ? -1 : 1;
+  const index = new Map(tracks.map((t, i) => [t.id, i]));
+  const key = {
+    added: (t) => index.get(t.id),
+    lastPlayed: (t) => timeOf(t, 'lastPlayed', counts) || 0,
+    playCount: (t) => numberOf(t, 'playCount', counts),
+    year: (t) => numberOf(t, 'year', counts),
+    duration: (t) => numberOf(t, 'duration', counts)
+  }[sort.field];
+  const cmp = key
+    ? (a, b) => key(a) - key(b)
+    : (a, b) => fold(a[sort.field]).localeCompare(fold(b[sort.field]));
+  return tracks.sort((a, b) => dir * cmp(a, b) || index.get(a.id) - index.get(b.id));
+}
+
+// Tracks matching `rules`, in library order unless `rules.sort` says otherwise.
+// Tracks whose library file has gone missing are left out.
+export function evaluateRules(rules, allTracks, plays = []) {
+  const tracks = allTracks.filter(t => !t.missing);
+  const ctx = { now: Date.now(), counts: playCounts(plays), textMatches: new Map() };
+  for (const c of rules.conditions) {
+    if (c.field !== 'text') continue;
+    const { tracks: found = [] } = searchTracks(tracks, { q: c.value });
+    ctx.textMatches.set(c, new Set(found.map(t => t.id)));
+  }
+  const matches = rules.match === 'any'
+    ? tracks.filter(t => rules.conditions.some(c => testCondition(t, c, ctx)))
+    : tracks.filter(t => rules.conditions.every(c => testCondition(t, c, ctx)));
+  const sorted = sortTracks(matches, rules.sort, ctx.counts);
+  return rules.limit ? sorted.slice(0, rules.limit) : sorted;
+}
@@ -0,0 +1,68 @@
+// Listening statistics aggregated from play records.
+//
+// A play record is { id, trackId, startedAt, endedAt, playedSeconds,
+// outcome: 'playing' | 'completed' | 'skipped' | 'stopped', track: {title, artist, album, genre} }.
+// The track snapshot keeps stats meaningful after a track is deleted or edited.
+
+const RANGES = { '24h': 1, '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+
+// Parse ?range=7d or ?from=&to= (ISO dates) into { from, to } Dates (null = open).
+export function parseRange({ range, from, to } = {}) {
+  if (range && range !== 'all') {
+    const days = RANGES[range];
+    if (!days) return { error: `range must be one of ${Object.keys(RANGES).join(', ')}, all` };
+    return { from: new Date(Date.now() - days * 86400000), to: null };
+  }
+  const f = from ? new Date(from) : null;
+  const t = to ? new Date(to) : null;
+  if ((f && isNaN(f)) || (t && isNaN(t))) return { error: 'from/to must be dates' };
+  return { from: f, to: t };
+}
+
+export function playsInRange(plays, { from, to }) {
+  return plays.filter(p => {
+    const at = new Date(p.startedAt);
+    return (!from || at >= from) && (!to || at <= to);
+  });
+}
+
+function top(plays, keyOf, labelOf, limit) {
+  const groups = new Map();
+  for (const p of plays) {
+    const key = keyOf(p);
+    if (!key) continue;
+    const g = groups.get(key) || { ...labelOf(p), plays: 0, seconds: 0 };
+    g.plays += 1;
+    g.seconds += p.playedSeconds || 0;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => b.plays - a.plays || b.seconds - a.seconds).slice(0, limit);
+}
+
+export function aggregateStats(plays, { limit = 10 } = {}) {
+  const finished = plays.filter(p => p.outcome === 'completed' || p.outcome === 'skipped');
+  const skipped = finished.filter(p => p.outcome === 'skipped').length;
+  const lower = (s='') => s.toLowerCase();
+  return {
+    totalPlays: plays.length,
+    listeningSeconds: Math.round(plays.reduce((sum, p) => sum + (p.playedSeconds || 0), 0)),
+    skipRate: finished.length ? skipped / finished.length : 0,
+    topTracks: top(plays, p => p.trackId, p => ({ trackId: p.trackId, title: p.track.title, artist: p.track.artist }), limit),
+    topArtists: top(plays, p => lower(p.track.artist), p => ({ artist: p.track.artist }), limit),
+    topAlbums: top(plays, p => p.track.album && `${lower(p.track.artist)}\u0000${lower(p.track.album)}`, p => ({ album: p.track.album, artist: p.track.artist }), limit),
+    topGenres: top(plays, p => lower(p.track.genre), p => ({ genre: p.track.genre }), limit)
+  };
+}
+
+// Per-track play count (completed plays) and last time the track was started.
+// Returns Map<trackId, { count, lastPlayedAt }>.
+export function playCounts(plays) {
+  const counts = new Map();
+  for (const p of plays) {
+    const c = counts.get(p.trackId) || { count: 0, lastPlayedAt: null };
+    if (p.outcome === 'completed') c.count += 1;
+    if (!c.lastPlayedAt || p.startedAt > c.lastPlayedAt) c.lastPlayedAt = p.startedAt;
+    counts.set(p.trackId, c);
+  }
+  return counts;
+}
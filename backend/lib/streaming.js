@@ -0,0 +1,125 @@
+// Byte-range streaming of audio files (RFC 7232 conditional requests and
+// RFC 7233 ranges): validators, a single byte range per request, and an
+// in-memory index so a seek doesn't scan the track list or block on stat().
+
+import fs from 'fs/promises';
+import mime from 'mime';
+import { trackFilePath } from '../utils.js';
+
+const STAT_TTL_MS = 5000;
+
+// Parse a Range header against a representation of `size` bytes.
+//   null                     -- no usable Range: send the whole file (200)
+//   { unsatisfiable: true }  -- answer 416
+//   { start, end }           -- inclusive byte positions for a 206
+// Only single `bytes` ranges are served; other units and multiple ranges are
+// ignored, which RFC 7233 allows.
+export function parseByteRange(header, size) {
+  if (!header) return null;
+  const m = String(header).match(/^\s*([A-Za-z-]+)\s*=\s*(.*)$/);
+  if (!m || m[1].toLowerCase() !== 'bytes') return null;
+  const specs = m[2].split(',').map(s => s.trim()).filter(Boolean);
+  if (specs.length !== 1) return specs.length ? null : { unsatisfiable: true };
+  const spec = specs[0].match(/^(\d*)-(\d*)$/);
+  if (!spec || (!spec[1] && !spec[2])) return { unsatisfiable: true };
+  let start;
+  let end;
+  if (!spec[1]) {
+    // suffix range: the last N bytes
+    const length = Number(spec[2]);
+    if (length === 0 || size === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = Number(spec[1]);
+    end = spec[2] ? Number(spec[2]) : size - 1;
+    if (end < start || start >= size) return { unsatisfiable: true };
+    end = Math.min(end, size - 1);
+  }
+  return { start, end };
+}
+
+// Strong validator from size and modification time (like most static servers).
+export const makeEtag = ({ size, mtimeMs }) => `"${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}"`;
+
+// ETags in an If-None-Match / If-Match style header; ['*'] for a wildcard.
+function etagList(header='') {
+  if (header.trim() === '*') return ['*'];
+  return header.match(/(?:W\/)?"[^"]*"/g) || [];
+}
+
+const httpDate = (ms) => new Date(Math.floor(ms / 1000) * 1000).toUTCString();
+const seconds = (ms) => Math.floor(ms / 1000);
+
+// True when the client's cached copy is current (answer 304). If-None-Match
+// wins over If-Modified-Since; tags are compared weakly.
+export function isNotModified(headers, { etag, mtimeMs }) {
+  const inm = headers['if-none-match'];
+  if (inm) {
+    const tags = etagList(inm);
+    const bare = (t) => t.replace(/^W\//, '');
+    return tags[0] === '*' || tags.some(t => bare(t) === bare(etag));
+  }
+  const ims = Date.parse(headers['if-modified-since'] || '');
+  return Number.isFinite(ims) && seconds(mtimeMs) <= seconds(ims);
+}
+
+// If-Range: the Range applies only if the validator still matches (strong
+// comparison for ETags, exact match for dates); otherwise send the whole file.
+export function rangeStillValid(headers, { etag, mtimeMs }) {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+  if (/^\s*(W\/)?"/.test(ifRange)) return ifRange.trim() === etag;
+  const date = Date.parse(ifRange);
+  return Number.isFinite(date) && seconds(date) === seconds(mtimeMs);
+}
+
+// Looks up streamable files by track id. The id -> track map is rebuilt when
+// the store's snapshot changes; file stats are cached for a few seconds so a
+// burst of seek requests costs one stat().
+export function createStreamIndex({ store }) {
+  let snapshot = null;
+  let byId = new Map();
+  const stats = new Map(); // path -> { size, mtimeMs, checkedAt }
+
+  async function statFile(file) {
+    const cached = stats.get(file);
+    if (cached && Date.now() - cached.checkedAt < STAT_TTL_MS) return cached;
+    const st = await fs.stat(file);
+    if (!st.isFile()) throw new Error('not a file');
+    const entry = { size: st.size, mtimeMs: st.mtimeMs, checkedAt: Date.now() };
+    stats.set(file, entry);
+    return entry;
+  }
+
+  return {
+    // { file, size, mtimeMs, etag, lastModified, contentType } or { status }
+    async lookup(id) {
+      const db = await store.read();
+      if (db !== snapshot) {
+        snapshot = db;
+        byId = new Map(db.tracks.map(t => [t.id, t]));
+        stats.clear();
+      }
+      const t = byId.get(id);
+      if (!t) return { status: 404 };
+      const file = trackFilePath(t);
+      if (!file) return { status: 400 };
+      if (t.missing) return { status: 410 };
+      let st;
+      try {
+        st = await statFile(file);
+      } catch (e) {
+        return { status: 404 };
+      }
+      return {
+        file,
+        size: st.size,
+        mtimeMs: st.mtimeMs,
+        etag: makeEtag(st),
+        lastModified: httpDate(st.mtimeMs),
+        contentType: mime.getType(file) || 'audio/mpeg'
+      };
+    }
+  };
+}
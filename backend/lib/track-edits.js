@@ -0,0 +1,65 @@
+// Validation and history for user edits to track metadata.
+//
+// History lives in db.trackHistory[trackId] as a newest-last list of
+// { id, at, changes: { field: { from, to } } }, capped per track. Entries
+// carry `revertOf` when they undo another entry, and `rescan: true` when a
+// library rescan found new tag values.
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const EDITABLE_FIELDS = ['title', 'artist', 'album', 'genre'];
+const MAX_LENGTH = 500;
+const HISTORY_LIMIT = 50;
+
+// Returns { changes } with trimmed values, or { error } describing the first problem.
+export function validateChanges(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'changes must be an object' };
+  const changes = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!EDITABLE_FIELDS.includes(field)) return { error: `field "${field}" cannot be edited` };
+    if (typeof value !== 'string') return { error: `${field} must be a string` };
+    const v = value.trim();
+    if (v.length > MAX_LENGTH) return { error: `${field} is longer than ${MAX_LENGTH} characters` };
+    if (field === 'title' && !v) return { error: 'title cannot be empty' };
+    changes[field] = v;
+  }
+  if (!Object.keys(changes).length) return { error: 'no changes given' };
+  return { changes };
+}
+
+// Apply `changes` to a track inside a store update and record what changed.
+// Returns the history entry, or null when every value was already current.
+export function applyEdit(db, track, changes, meta = {}) {
+  const diff = {};
+  for (const [field, to] of Object.entries(changes)) {
+    const from = track[field] ?? '';
+    if (from === to) continue;
+    diff[field] = { from, to };
+    track[field] = to;
+  }
+  if (!Object.keys(diff).length) return null;
+  const entry = { id: uuidv4(), at: new Date().toISOString(), changes: diff, ...meta };
+  const list = db.trackHistory[track.id] || (db.trackHistory[track.id] = []);
+  list.push(entry);
+  if (list.length > HISTORY_LIMIT) list.splice(0, list.length - HISTORY_LIMIT);
+  return entry;
+}
+
+// Field values that undo a history entry.
+export function revertChanges(entry) {
+  return Object.fromEntries(Object.entries(entry.changes).map(([field, c]) => [field, c.from]));
+}
+
+// Editable fields whose current value was set by the user rather than read from
+// the file: it differs from what the last scan found (the newest rescan entry's
+// `to`, or before any rescan, the first edit's `from`). Rescans leave these alone.
+export function userEditedFields(db, track) {
+  const history = db.trackHistory[track.id] || [];
+  return EDITABLE_FIELDS.filter(field => {
+    const entries = history.filter(e => field in e.changes);
+    if (!entries.length) return false;
+    const scan = entries.findLast(e => e.rescan);
+    const scanned = scan ? scan.changes[field].to : entries[0].changes[field].from;
+    return (track[field] ?? '') !== scanned;
+  });
+}
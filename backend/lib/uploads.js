@@ -0,0 +1,127 @@
+// Upload checks: audio type detected from the file's first bytes (not its name
+// or the browser's Content-Type), a per-file size limit and file names that
+// are safe to use on disk.
+//
+// createUploadStorage() is a multer storage engine. Files that fail a check are
+// never kept: multer still lists them in req.files, with `rejected` set to the
+// reason, so the route can report every file.
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const SNIFF_BYTES = 64;
+
+// [ext, test(head)] in the order they are tried.
+const SIGNATURES = [
+  ['.mp3', (b) => b.toString('latin1', 0, 3) === 'ID3'],
+  ['.flac', (b) => b.toString('latin1', 0, 4) === 'fLaC'],
+  ['.ogg', (b) => b.toString('latin1', 0, 4) === 'OggS'],
+  ['.wav', (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE'],
+  ['.aiff', (b) => b.toString('latin1', 0, 4) === 'FORM' && /^AIF[FC]$/.test(b.toString('latin1', 8, 12))],
+  ['.m4a', (b) => b.toString('latin1', 4, 8) === 'ftyp' && /^(M4A |M4B |mp4[12]|isom|iso[2-6]|dash|3gp)/.test(b.toString('latin1', 8, 12))],
+  ['.webm', (b) => b.readUInt32BE(0) === 0x1A45DFA3],
+  ['.wma', (b) => b.toString('hex', 0, 16) === '3026b2758e66cf11a6d900aa0062ce6c'],
+  ['.ape', (b) => b.toString('latin1', 0, 4) === 'MAC '],
+  ['.wv', (b) => b.toString('latin1', 0, 4) === 'wvpk'],
+  // bare MPEG audio / ADTS AAC: an 11-bit frame sync
+  ['.aac', (b) => b[0] === 0xFF && (b[1] & 0xF6) === 0xF0],
+  ['.mp3', (b) => b[0] === 0xFF && (b[1] & 0xE0) === 0xE0 && (b[1] & 0x06) !== 0]
+];
+
+// File extension for the audio format in `head` (the first bytes of a file), or null.
+export function sniffAudioType(head) {
+  if (!head || head.length < 12) return null;
+  const match = SIGNATURES.find(([, test]) => test(head));
+  return match ? match[0] : null;
+}
+
+// multer 1.x hands over UTF-8 file names decoded as latin1.
+export function decodeOriginalName(name='') {
+  const utf8 = Buffer.from(name, 'latin1').toString('utf8');
+  return utf8.includes('\uFFFD') ? name : utf8;
+}
+
+// A file name without path parts, control or reserved characters, with the
+// extension of the detected type.
+export function safeFileName(originalName, ext) {
+  const base = path.basename(String(originalName).replace(/\\/g, '/'), path.extname(originalName))
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100);
+  return `${base || 'track'}${ext}`;
+}
+
+// Name for a new file in the uploads folder; the prefix keeps names unique.
+export const uploadFileName = (originalName, ext) =>
+  `${Date.now()}${crypto.randomInt(1000, 10000)}-${safeFileName(originalName, ext)}`;
+
+export const mb = (bytes) => `${Number((bytes / 1048576).toFixed(1))} MB`;
+
+export function createUploadStorage({ dir, maxBytes }) {
+  return {
+    _handleFile(req, file, cb) {
+      const stream = file.stream;
+      let head = Buffer.alloc(0);
+      let out = null;
+      let size = 0;
+      let done = false;
+      let rejected = false;
+      let target = '';
+      file.originalname = decodeOriginalName(file.originalname);
+
+      const finish = (err, info) => {
+        if (done) return;
+        done = true;
+        cb(err, info);
+      };
+      // Stop keeping the file but read the rest of it so the next part can arrive.
+      const reject = (reason) => {
+        rejected = true;
+        stream.removeAllListeners('data');
+        stream.resume();
+        const report = () => finish(null, { rejected: reason, size });
+        if (!out) return report();
+        out.once('close', () => fs.unlink(target, report));
+        out.destroy();
+      };
+      const open = () => {
+        const ext = sniffAudioType(head);
+        if (!ext) return reject('not a supported audio file');
+        const filename = uploadFileName(file.originalname, ext);
+        target = path.join(dir, filename);
+        out = fs.createWriteStream(target);
+        out.on('error', (e) => finish(e));
+        out.on('finish', () => finish(null, { destination: dir, filename, path: target, size, detectedType: ext }));
+        out.write(head);
+      };
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) return reject(`larger than ${mb(maxBytes)}`);
+        if (out) {
+          if (!out.write(chunk)) { stream.pause(); out.once('drain', () => stream.resume()); }
+          return;
+        }
+        head = Buffer.concat([head, chunk]);
+        if (head.length >= SNIFF_BYTES) open();
+      });
+      stream.on('end', () => {
+        if (rejected) return;
+        if (!out) {
+          if (!head.length) return reject('empty file');
+          open();
+          if (rejected) return;
+        }
+        out.end();
+      });
+      stream.on('error', (e) => finish(e));
+    },
+    _removeFile(req, file, cb) {
+      if (!file.path) return cb(null);
+      fs.unlink(file.path, () => cb(null));
+    }
+  };
+}
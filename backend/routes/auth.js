@@ -0,0 +1,123 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { ALLOW_SIGNUP } from '../config.js';
+import {
+  hashPassword, verifyPassword, checkPassword, checkCredentials, findUserByName, publicUser,
+  createLogin, endLogin, createApiToken, publicToken, claimUnownedData,
+  readCookie, setLoginCookie, clearLoginCookie, requireUser, COOKIE
+} from '../lib/auth.js';
+import { wrap } from '../utils.js';
+
+const MAX_TOKENS = 20;
+
+// Sign-in, sign-up and the signed-in user's own account (mounted at /api/auth).
+export default function authRoutes({ store }) {
+  const router = express.Router();
+
+  // GET /api/auth/me  -> { user, setup, signup }
+  // `setup` is true until the first (admin) account exists.
+  router.get('/me', wrap(async (req, res) => {
+    const db = await store.read();
+    res.json({ user: req.user, setup: !Object.keys(db.users).length, signup: ALLOW_SIGNUP });
+  }));
+
+  // POST /api/auth/register  { username, password }
+  // The first account becomes an admin and takes over data saved before accounts
+  // existed; later ones are listeners and need ALLOW_SIGNUP=1.
+  router.post('/register', wrap(async (req, res) => {
+    const { username, password } = req.body || {};
+    const error = checkCredentials({ username, password });
+    if (error) return res.status(400).json({ ok:false, error });
+    const hash = await hashPassword(password);
+    const result = await store.update(db => {
+      const first = !Object.keys(db.users).length;
+      if (!first && !ALLOW_SIGNUP) return { status: 403, error: 'sign-up is disabled; ask an admin for an account' };
+      if (findUserByName(db, username)) return { status: 409, error: 'username taken' };
+      const user = { id: uuidv4(), username, role: first ? 'admin' : 'listener', password: hash, createdAt: new Date().toISOString() };
+      db.users[user.id] = user;
+      if (first) claimUnownedData(db, user.id);
+      return { user, secret: createLogin(db, user.id) };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    setLoginCookie(req, res, result.secret);
+    res.json({ ok:true, user: publicUser(result.user) });
+  }));
+
+  // POST /api/auth/login  { username, password }
+  router.post('/login', wrap(async (req, res) => {
+    const { username, password } = req.body || {};
+    const user = findUserByName(await store.read(), username);
+    if (!user || !(await verifyPassword(password, user.password))) {
+      return res.status(401).json({ ok:false, error:'wrong username or password' });
+    }
+    const secret = await store.update(db => createLogin(db, user.id));
+    setLoginCookie(req, res, secret);
+    res.json({ ok:true, user: publicUser(user) });
+  }));
+
+  // POST /api/auth/logout
+  router.post('/logout', wrap(async (req, res) => {
+    const secret = readCookie(req, COOKIE);
+    if (secret) await store.update(db => endLogin(db, secret));
+    clearLoginCookie(res);
+    res.json({ ok:true });
+  }));
+
+  // PUT /api/auth/password  { currentPassword, newPassword }
+  // Signs out every other browser of this user.
+  router.put('/password', requireUser, wrap(async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    const error = checkPassword(newPassword);
+    if (error) return res.status(400).json({ ok:false, error });
+    const user = (await store.read()).users[req.user.id];
+    if (!(await verifyPassword(currentPassword, user.password))) {
+      return res.status(400).json({ ok:false, error:'current password is wrong' });
+    }
+    const hash = await hashPassword(newPassword);
+    const secret = await store.update(db => {
+      db.users[user.id].password = hash;
+      for (const [key, login] of Object.entries(db.logins)) if (login.userId === user.id) delete db.logins[key];
+      return createLogin(db, user.id);
+    });
+    setLoginCookie(req, res, secret);
+    res.json({ ok:true });
+  }));
+
+  // GET /api/auth/tokens  -> { tokens: [{ id, name, scope, createdAt, lastUsedAt }] }
+  router.get('/tokens', requireUser, wrap(async (req, res) => {
+    const db = await store.read();
+    const tokens = Object.values(db.apiTokens).filter(t => t.userId === req.user.id).map(publicToken);
+    res.json({ tokens });
+  }));
+
+  // POST /api/auth/tokens  { name, scope? }  -> { token, secret }  (the secret is shown only once)
+  // scope: 'api' (default) or 'stream' (stream and proxy URLs only, see lib/auth.js)
+  router.post('/tokens', requireUser, wrap(async (req, res) => {
+    const name = String(req.body?.name || '').trim().slice(0, 64);
+    const scope = req.body?.scope ?? 'api';
+    if (!name) return res.status(400).json({ ok:false, error:'name required' });
+    if (scope !== 'api' && scope !== 'stream') return res.status(400).json({ ok:false, error:'scope must be api or stream' });
+    const result = await store.update(db => {
+      if (Object.values(db.apiTokens).filter(t => t.userId === req.user.id).length >= MAX_TOKENS) {
+        return { status: 400, error: `at most ${MAX_TOKENS} tokens per user` };
+      }
+      return createApiToken(db, req.user.id, name, scope);
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    res.json({ ok:true, token: publicToken(result.token), secret: result.secret });
+  }));
+
+  // DELETE /api/auth/tokens/:id
+  router.delete('/tokens/:id', requireUser, wrap(async (req, res) => {
+    const found = await store.update(db => {
+      const tok = db.apiTokens[req.params.id];
+      if (!tok || tok.userId !== req.user.id) return false;
+      delete db.apiTokens[tok.id];
+      return true;
+    });
+    if (!found) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true });
+  }));
+
+  return router;
+}
@@ -0,0 +1,80 @@
+import express from 'express';
+import { trackFilePath, wrap } from '../utils.js';
+import { createBrowseIndex, listGroups } from '../lib/browse.js';
+import { readFileNumbering, readNumbering } from '../lib/metadata.js';
+
+// Artist and album views of the library (mounted at /api).
+export default function browseRoutes({ store }) {
+  const router = express.Router();
+  const browseIndex = createBrowseIndex({ store });
+
+  // Tracks added before track and disc numbers were recorded get them the first
+  // time their album or artist is opened. Returns true when anything changed.
+  async function fillNumbering(tracks) {
+    const found = new Map();
+    for (const t of tracks) {
+      if (t.trackNo !== undefined || t.missing || !trackFilePath(t)) continue;
+      try {
+        found.set(t.id, await readFileNumbering(trackFilePath(t)));
+      } catch (e) {
+        found.set(t.id, readNumbering()); // unreadable tags: don't try again
+      }
+    }
+    if (!found.size) return false;
+    await store.update(db => {
+      db.tracks.forEach(t => { if (found.has(t.id)) Object.assign(t, found.get(t.id)); });
+    });
+    return true;
+  }
+
+  // GET /api/artists?q=&sort=name|tracks|duration&order=&limit=&cursor=
+  // -> { artists: [{ id, name, trackCount, albumCount, duration, track }], total, nextCursor }
+  router.get('/artists', wrap(async (req, res) => {
+    const result = listGroups(await browseIndex(), 'artists', req.query);
+    if (result.error) return res.status(400).json({ ok:false, error: result.error });
+    const { items, ...page } = result;
+    res.json({ artists: items, ...page });
+  }));
+
+  // GET /api/artists/:id  -> { artist, albums, tracks }
+  // Tracks are grouped by album (in album order); albums include compilations
+  // the artist appears on.
+  router.get('/artists/:id', wrap(async (req, res) => {
+    let index = await browseIndex();
+    if (!index.artists.has(req.params.id)) return res.status(404).json({ ok:false, error:'not found' });
+    if (await fillNumbering(index.artists.get(req.params.id).tracks)) index = await browseIndex();
+    const artist = index.artists.get(req.params.id);
+    // gone if a tag edit landed while the numbers were read
+    if (!artist) return res.status(404).json({ ok:false, error:'not found' });
+    const albums = artist.albumIds.map(id => index.albums.get(id)).filter(Boolean)
+      .sort((a, b) => a.summary.year - b.summary.year || a.summary.name.localeCompare(b.summary.name));
+    const mine = new Set(artist.tracks);
+    const tracks = [
+      ...albums.flatMap(a => a.tracks.filter(t => mine.has(t))),
+      ...artist.tracks.filter(t => !t.album)
+    ];
+    res.json({ artist: artist.summary, albums: albums.map(a => a.summary), tracks });
+  }));
+
+  // GET /api/albums?q=&sort=name|artist|year|tracks|duration&order=&limit=&cursor=
+  // -> { albums: [{ id, name, artist, artistId, year, trackCount, discCount, duration, track }], total, nextCursor }
+  // `q` matches the album or its artist.
+  router.get('/albums', wrap(async (req, res) => {
+    const result = listGroups(await browseIndex(), 'albums', req.query);
+    if (result.error) return res.status(400).json({ ok:false, error: result.error });
+    const { items, ...page } = result;
+    res.json({ albums: items, ...page });
+  }));
+
+  // GET /api/albums/:id  -> { album, tracks }  (in disc and track-number order)
+  router.get('/albums/:id', wrap(async (req, res) => {
+    let index = await browseIndex();
+    if (!index.albums.has(req.params.id)) return res.status(404).json({ ok:false, error:'not found' });
+    if (await fillNumbering(index.albums.get(req.params.id).tracks)) index = await browseIndex();
+    const album = index.albums.get(req.params.id);
+    if (!album) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ album: album.summary, tracks: album.tracks });
+  }));
+
+  return router;
+}
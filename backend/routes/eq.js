@@ -0,0 +1,80 @@
+import express from 'express';
+import { wrap } from '../utils.js';
+
+// Centre frequencies (Hz) of the player's 10 equalizer bands.
+const BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const MAX_DB = 12;
+const NAME_RE = /^[\w .-]{1,64}$/;
+
+const BUILT_IN = {
+  'Flat':          { preamp: 0,  gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  'Bass boost':    { preamp: -4, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  'Treble boost':  { preamp: -4, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  'Vocal':         { preamp: -2, gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  'Rock':          { preamp: -3, gains: [4, 3, 1, -1, -2, -1, 1, 3, 4, 4] },
+  'Electronic':    { preamp: -3, gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  'Acoustic':      { preamp: -2, gains: [3, 3, 2, 1, 1, 1, 2, 2, 2, 1] },
+  'Loudness':      { preamp: -4, gains: [5, 4, 1, 0, -1, 0, 0, 1, 4, 3] },
+  'Spoken word':   { preamp: -1, gains: [-4, -3, -1, 1, 3, 4, 3, 1, -2, -4] }
+};
+
+// Returns { preset } with only known fields, or { error }.
+function validatePreset(body) {
+  const { preamp=0, gains } = body || {};
+  const inRange = (v) => typeof v === 'number' && v >= -MAX_DB && v <= MAX_DB;
+  if (!inRange(preamp)) return { error: `preamp must be between -${MAX_DB} and ${MAX_DB} dB` };
+  if (!Array.isArray(gains) || gains.length !== BANDS.length || !gains.every(inRange)) {
+    return { error: `gains must be ${BANDS.length} numbers between -${MAX_DB} and ${MAX_DB} dB` };
+  }
+  return { preset: { preamp, gains } };
+}
+
+const isBuiltIn = (name) => Object.hasOwn(BUILT_IN, name);
+
+// Saved presets belong to one user: db.eqPresets[userId] = [{ name, preamp, gains, updatedAt }]
+const userPresets = (db, user) => db.eqPresets[user.id] || [];
+
+const listPresets = (db, user) => [
+  ...Object.entries(BUILT_IN).map(([name, p]) => ({ name, builtIn: true, ...p })),
+  ...[...userPresets(db, user)].sort((a, b) => a.name.localeCompare(b.name)).map(p => ({ ...p, builtIn: false }))
+];
+
+export default function eqRoutes({ store }) {
+  const router = express.Router();
+
+  // GET /api/eq/presets  -> { bands, presets: [{ name, builtIn, preamp, gains }] }
+  router.get('/presets', wrap(async (req, res) => {
+    const db = await store.read();
+    res.json({ bands: BANDS, presets: listPresets(db, req.user) });
+  }));
+
+  // PUT /api/eq/presets/:name  { preamp, gains: [10 x dB] }  (the caller's own presets)
+  router.put('/presets/:name', wrap(async (req, res) => {
+    const { name } = req.params;
+    if (!NAME_RE.test(name)) return res.status(400).json({ ok:false, error:'invalid preset name' });
+    if (isBuiltIn(name)) return res.status(409).json({ ok:false, error:'a built-in preset has that name' });
+    const { preset, error } = validatePreset(req.body);
+    if (error) return res.status(400).json({ ok:false, error });
+    const saved = { name, ...preset, updatedAt: new Date().toISOString() };
+    await store.update(db => {
+      db.eqPresets[req.user.id] = [...userPresets(db, req.user).filter(p => p.name !== name), saved];
+    });
+    res.json({ ok:true, preset: saved });
+  }));
+
+  // DELETE /api/eq/presets/:name  (the caller's own presets only)
+  router.delete('/presets/:name', wrap(async (req, res) => {
+    const { name } = req.params;
+    if (isBuiltIn(name)) return res.status(400).json({ ok:false, error:'built-in presets cannot be deleted' });
+    const found = await store.update(db => {
+      const presets = userPresets(db, req.user);
+      if (!presets.some(p => p.name === name)) return false;
+      db.eqPresets[req.user.id] = presets.filter(p => p.name !== name);
+      return true;
+    });
+    if (!found) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true });
+  }));
+
+  return router;
+}
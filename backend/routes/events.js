@@ -0,0 +1,102 @@
+import express from 'express';
+import { COMMANDS } from '../lib/events.js';
+import { wrap } from '../utils.js';
+
+const MAX_ENQUEUE = 500;
+
+// Validated `value` for a remote command, or { error }.
+function commandValue(command, value, db) {
+  if (command === 'seek') {
+    return typeof value === 'number' && value >= 0 ? { value } : { error: 'seek needs a position in seconds' };
+  }
+  if (command === 'volume') {
+    return typeof value === 'number' && value >= 0 && value <= 1 ? { value } : { error: 'volume must be from 0 to 1' };
+  }
+  if (command === 'enqueue') {
+    const { trackIds, playNow=false, startIndex=0 } = value || {};
+    if (!Array.isArray(trackIds) || !trackIds.length || trackIds.length > MAX_ENQUEUE) {
+      return { error: `enqueue needs 1 to ${MAX_ENQUEUE} trackIds` };
+    }
+    const known = new Set(db.tracks.map(t => t.id));
+    const unknown = trackIds.filter(id => !known.has(id));
+    if (unknown.length) return { error: `unknown track ids: ${[...new Set(unknown)].join(', ')}` };
+    if (!Number.isInteger(startIndex) || startIndex < 0 || startIndex >= trackIds.length) {
+      return { error: 'startIndex must be a position in trackIds' };
+    }
+    return { value: { trackIds, playNow: playNow === true, startIndex } };
+  }
+  return { value: null };
+}
+
+// What a speaker may report about itself.
+function playerState(body = {}) {
+  const text = (v) => String(v || '').slice(0, 500);
+  const number = (v) => (Number.isFinite(v) && v >= 0 ? v : 0);
+  return {
+    trackId: body.trackId ? text(body.trackId) : null,
+    title: text(body.title),
+    artist: text(body.artist),
+    album: text(body.album),
+    artwork: text(body.artwork),
+    playing: body.playing === true,
+    position: number(body.position),
+    duration: number(body.duration),
+    volume: Math.min(1, number(body.volume))
+  };
+}
+
+// Live updates and remote control between the signed-in user's open players
+// (mounted at /api). See lib/events.js.
+export default function eventRoutes({ store, events }) {
+  const router = express.Router();
+
+  // GET /api/events?name=  -- Server-Sent Events stream; `name` labels this
+  // player in the remote-control list.
+  router.get('/events', (req, res) => {
+    if (!events.connect(req, res, req.user)) {
+      res.status(429).json({ ok:false, error:'too many open players' });
+    }
+  });
+
+  // GET /api/remote  -> { speaker: { clientId, name, since } | null, state }
+  router.get('/remote', (req, res) => {
+    res.json(events.remote(req.user.id));
+  });
+
+  // PUT /api/remote/speaker  { clientId }  -- play on this player from now on
+  router.put('/remote/speaker', (req, res) => {
+    const error = events.setSpeaker(req.user.id, String(req.body?.clientId || ''));
+    if (error) return res.status(400).json({ ok:false, error });
+    res.json({ ok:true, ...events.remote(req.user.id) });
+  });
+
+  // DELETE /api/remote/speaker
+  router.delete('/remote/speaker', (req, res) => {
+    if (!events.releaseSpeaker(req.user.id)) return res.status(404).json({ ok:false, error:'no speaker' });
+    res.json({ ok:true });
+  });
+
+  // POST /api/remote/commands  { command, value? }
+  // play | pause | toggle | next | prev, seek (seconds), volume (0-1),
+  // enqueue ({ trackIds, playNow?, startIndex? }); playNow replaces the
+  // speaker's queue and plays it from startIndex.
+  router.post('/remote/commands', wrap(async (req, res) => {
+    const { command, value } = req.body || {};
+    if (!COMMANDS.includes(command)) return res.status(400).json({ ok:false, error:`command must be one of ${COMMANDS.join(', ')}` });
+    const checked = commandValue(command, value, await store.read());
+    if (checked.error) return res.status(400).json({ ok:false, error: checked.error });
+    if (!events.command(req.user.id, command, checked.value)) return res.status(409).json({ ok:false, error:'no speaker' });
+    res.json({ ok:true });
+  }));
+
+  // PUT /api/remote/state  { trackId, title, artist, album, artwork, playing, position, duration, volume }
+  // Sent by the speaker (X-Client-Id) when what it plays changes.
+  router.put('/remote/state', (req, res) => {
+    if (!events.reportState(req.user.id, req.get('x-client-id'), playerState(req.body))) {
+      return res.status(409).json({ ok:false, error:'this player is not the speaker' });
+    }
+    res.json({ ok:true });
+  });
+
+  return router;
+}
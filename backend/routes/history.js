@@ -0,0 +1,82 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { encodeCursor, decodeCursor, wrap } from '../utils.js';
+import { parseRange, playsInRange, aggregateStats } from '../lib/stats.js';
+
+const MAX_PLAYS = 50000;
+const OUTCOMES = ['completed', 'skipped', 'stopped'];
+
+// Play events, recently played and listening statistics of the signed-in user
+// (mounted at /api).
+export default function historyRoutes({ store }) {
+  const router = express.Router();
+
+  // POST /api/plays  { trackId }  -- a track started playing
+  router.post('/plays', wrap(async (req, res) => {
+    const { trackId } = req.body || {};
+    const play = await store.update(db => {
+      const t = db.tracks.find(x => x.id === trackId);
+      if (!t) return null;
+      const play = {
+        id: uuidv4(),
+        userId: req.user.id,
+        trackId,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        playedSeconds: 0,
+        outcome: 'playing',
+        track: { title: t.title, artist: t.artist, album: t.album, genre: t.genre }
+      };
+      db.plays.push(play);
+      if (db.plays.length > MAX_PLAYS) db.plays.splice(0, db.plays.length - MAX_PLAYS);
+      return play;
+    });
+    if (!play) return res.status(400).json({ ok:false, error:'track not found' });
+    res.json({ ok:true, play });
+  }));
+
+  // PATCH /api/plays/:id  { outcome: 'completed'|'skipped'|'stopped', playedSeconds }
+  router.patch('/plays/:id', wrap(async (req, res) => {
+    const { outcome, playedSeconds } = req.body || {};
+    if (!OUTCOMES.includes(outcome)) return res.status(400).json({ ok:false, error:`outcome must be one of ${OUTCOMES.join(', ')}` });
+    if (typeof playedSeconds !== 'number' || !(playedSeconds >= 0)) return res.status(400).json({ ok:false, error:'playedSeconds must be a non-negative number' });
+    const play = await store.update(db => {
+      const p = db.plays.find(x => x.id === req.params.id && x.userId === req.user.id);
+      if (!p) return null;
+      Object.assign(p, { outcome, playedSeconds, endedAt: new Date().toISOString() });
+      return p;
+    });
+    if (!play) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true, play });
+  }));
+
+  // GET /api/history?limit=&cursor=  -- newest first
+  router.get('/history', wrap(async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const db = await store.read();
+    const start = req.query.cursor ? decodeCursor(req.query.cursor) : 0;
+    const newest = db.plays.filter(p => p.userId === req.user.id).reverse();
+    const page = newest.slice(start, start + limit);
+    const end = start + page.length;
+    const known = new Set(db.tracks.map(t => t.id));
+    res.json({
+      plays: page.map(p => ({ ...p, available: known.has(p.trackId) })),
+      nextCursor: end < newest.length ? encodeCursor(end) : null
+    });
+  }));
+
+  // GET /api/stats?range=24h|7d|30d|90d|365d|all  or  ?from=&to=  (&limit=)
+  router.get('/stats', wrap(async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ ok:false, error: range.error });
+    const limit = Math.min(Number(req.query.limit) || 10, 100);
+    const db = await store.read();
+    res.json({
+      from: range.from && range.from.toISOString(),
+      to: range.to && range.to.toISOString(),
+      ...aggregateStats(playsInRange(db.plays.filter(p => p.userId === req.user.id), range), { limit })
+    });
+  }));
+
+  return router;
+}
@@ -0,0 +1,21 @@
+import express from 'express';
+import { requireAdmin } from '../lib/auth.js';
+import { wrap } from '../utils.js';
+
+export default function libraryRoutes({ library }) {
+  const router = express.Router();
+
+  // GET /api/library/status
+  router.get('/status', wrap(async (req, res) => {
+    res.json(library.status());
+  }));
+
+  // POST /api/library/rescan  (runs in the background; poll /status)
+  router.post('/rescan', requireAdmin, wrap(async (req, res) => {
+    if (!library.roots.length) return res.status(400).json({ ok:false, error:'no library roots configured (set LIBRARY_ROOTS)' });
+    library.scan();
+    res.status(202).json({ ok:true, status: library.status() });
+  }));
+
+  return router;
+}
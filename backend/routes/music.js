@@ -0,0 +1,507 @@
+import express from 'express';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import { UPLOAD_DIR, UPLOAD_MAX_BYTES, UPLOAD_MAX_FILES } from '../config.js';
+import { validateChanges, applyEdit, revertChanges } from '../lib/track-edits.js';
+import { readTrackInfo } from '../lib/metadata.js';
+import { createUploadStorage } from '../lib/uploads.js';
+import { checkRemoteUrl, createRemoteTrack, relayRemote, downloadRemote } from '../lib/remote.js';
+import { createStreamIndex, parseByteRange, isNotModified, rangeStillValid } from '../lib/streaming.js';
+import { parseLrc, storeImportedLyrics } from '../lib/lyrics.js';
+import { estimateLoudness } from '../lib/loudness.js';
+import { artworkFile, removeArtworkIfUnused, ARTWORK_SIZES } from '../lib/artwork.js';
+import { searchTracks } from '../lib/search.js';
+import { hashFile, findExactDuplicate, isLikelyDuplicate, findDuplicateGroups } from '../lib/duplicates.js';
+import { requireAdmin } from '../lib/auth.js';
+import { trackFilePath, setPlaylistTracks, wrap } from '../utils.js';
+
+// ---- Upload handling ----
+// Each file is checked while it streams in (type sniffed from its content, size
+// limit; see lib/uploads.js). Too many files refuse the whole request.
+const upload = multer({
+  storage: createUploadStorage({ dir: UPLOAD_DIR, maxBytes: UPLOAD_MAX_BYTES }),
+  limits: { files: UPLOAD_MAX_FILES, fields: 10, fieldSize: 1024 }
+});
+
+// multer's limit errors are the client's fault: answer 400 instead of a 500.
+function receiveFiles(req, res, next) {
+  upload.array('files')(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    const error = {
+      LIMIT_FILE_COUNT: `at most ${UPLOAD_MAX_FILES} files per upload`,
+      LIMIT_UNEXPECTED_FILE: 'files must be sent in the "files" field'
+    }[err.code] || err.message;
+    res.status(400).json({ ok:false, error });
+  });
+}
+
+// Local files added before content hashing existed.
+const isUnhashed = (t) => t.type === 'file' && !t.contentHash && !t.missing;
+
+// Drop tracks from the db (playlists, history; library files go on the ignore list).
+// Returns the removed tracks so their files can be cleaned up afterwards.
+function removeTracksFromDB(db, ids) {
+  const removed = db.tracks.filter(t => ids.includes(t.id));
+  db.tracks = db.tracks.filter(t => !ids.includes(t.id));
+  Object.values(db.playlists).forEach(pl => {
+    if (pl.type !== 'smart') setPlaylistTracks(pl, pl.trackIds.filter(x => !ids.includes(x)));
+  });
+  for (const t of removed) {
+    delete db.trackHistory[t.id];
+    delete db.lyrics[t.id];
+    // never delete from the user's folders; just stop re-importing the file
+    if (t.source === 'library' && !db.library.ignored.includes(t.path)) db.library.ignored.push(t.path);
+  }
+  return removed;
+}
+
+// Every saved queue, including sessions saved before accounts existed (db.sessions[name]).
+const allSessions = (db) => Object.values(db.sessions).flatMap(s => Array.isArray(s?.queue) ? [s] : Object.values(s));
+
+// The library is shared: every signed-in user can browse and play it, only
+// admins can change it (requireAdmin on the routes below).
+export default function musicRoutes({ store, events }) {
+  const router = express.Router();
+
+  // Delete uploaded files, offline copies and unused artwork of tracks already
+  // removed from the db.
+  async function discardTrackFiles(tracks) {
+    for (const t of tracks) {
+      if (t.source !== 'library' && trackFilePath(t)) {
+        try { await fs.unlink(trackFilePath(t)); } catch(e){}
+      }
+    }
+    const remaining = (await store.read()).tracks;
+    for (const name of new Set(tracks.map(t => t.artwork).filter(Boolean))) {
+      await removeArtworkIfUnused(name, remaining);
+    }
+  }
+
+  // POST /api/music/upload  (multipart/form-data: files[], onDuplicate?=reject|link)
+  // `files` reports every file in order: { file, status: accepted|linked|rejected,
+  // reason?, warnings?, trackId? }. Exact copies of a library track are not
+  // stored: `reject` refuses them, `link` returns the existing track instead.
+  // Likely re-encodes are only reported (possibleDuplicates).
+  router.post('/upload', requireAdmin, receiveFiles, wrap(async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ ok:false, error:'no files uploaded' });
+    const onDuplicate = req.body?.onDuplicate === 'link' ? 'link' : 'reject';
+    const report = files.map(f => (f.rejected ? { file: f.originalname, status: 'rejected', reason: f.rejected } : null));
+    const candidates = [];
+    for (const [index, f] of files.entries()) {
+      if (f.rejected) continue;
+      const { lyrics, warnings, ...info } = await readTrackInfo(f.path, f.originalname);
+      candidates.push({
+        index,
+        file: f,
+        lyrics,
+        warnings,
+        track: {
+          id: uuidv4(),
+          type: 'file',
+          path: f.filename,
+          ...info,
+          addedAt: new Date().toISOString()
+        }
+      });
+    }
+    const result = await store.update(db => {
+      const tracks = [];
+      const duplicates = [];
+      const possibleDuplicates = [];
+      for (const candidate of candidates) {
+        const { index, file, track, lyrics, warnings } = candidate;
+        const existing = findExactDuplicate(track, db.tracks);
+        candidate.duplicate = Boolean(existing);
+        if (existing) {
+          const status = onDuplicate === 'link' ? 'linked' : 'rejected';
+          duplicates.push({ file: file.originalname, status, trackId: existing.id });
+          report[index] = { file: file.originalname, status, reason: `exact copy of "${existing.title}"`, trackId: existing.id };
+          if (onDuplicate === 'link' && !tracks.includes(existing)) tracks.push(existing);
+          continue;
+        }
+        const likely = db.tracks.filter(t => isLikelyDuplicate(track, t)).map(t => t.id);
+        if (likely.length) possibleDuplicates.push({ file: file.originalname, trackId: track.id, matches: likely });
+        db.tracks.push(track);
+        storeImportedLyrics(db, track.id, lyrics);
+        tracks.push(track);
+        report[index] = { file: file.originalname, status: 'accepted', trackId: track.id, ...(warnings.length ? { warnings } : {}) };
+      }
+      return { tracks, duplicates, possibleDuplicates };
+    });
+    for (const { file, duplicate } of candidates) {
+      if (duplicate) await fs.unlink(file.path).catch(()=>{});
+    }
+    // artwork of a rejected copy is shared with the original, so nothing to clean up
+    events.tracksChanged(req, 'added', candidates.filter(c => !c.duplicate).map(c => c.track.id));
+    res.json({ ok: true, files: report, ...result });
+  }));
+
+  // POST /api/music/url  { url, title?, artist?, album?, genre?, proxy?=true, offline?=false }
+  // The start of the file is read for tags and duration (given fields win); a
+  // URL that can't be fetched or isn't audio is refused. `proxy` plays it
+  // through /api/music/proxy/:id, `offline` downloads a copy right away.
+  router.post('/url', requireAdmin, wrap(async (req, res) => {
+    const { url, title='', artist='', album='', genre='', proxy=true, offline=false } = req.body || {};
+    if (!url) return res.status(400).json({ ok: false, error: 'url required' });
+    const invalid = checkRemoteUrl(url);
+    if (invalid) return res.status(400).json({ ok:false, error: invalid });
+    let track, warnings;
+    try {
+      ({ track, warnings } = await createRemoteTrack({ url, title, artist, album, genre, proxy }));
+    } catch (e) {
+      return res.status(400).json({ ok:false, error:`could not add ${url}: ${e.message}` });
+    }
+    if (offline) {
+      try {
+        track.offline = { ...(await downloadRemote(track, { dir: UPLOAD_DIR, maxBytes: UPLOAD_MAX_BYTES })), savedAt: new Date().toISOString() };
+      } catch (e) {
+        warnings.push(`offline copy failed: ${e.message}`);
+      }
+    }
+    await store.update(db => { db.tracks.push(track); });
+    events.tracksChanged(req, 'added', [track.id]);
+    res.json({ ok: true, track, warnings });
+  }));
+
+  // PUT /api/music/:id/remote  { proxy?, offline? }  (URL tracks)
+  // `offline: true` downloads a copy that is then streamed like an upload;
+  // `offline: false` deletes it again.
+  router.put('/:id/remote', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const { proxy, offline } = req.body || {};
+    if ([proxy, offline].some(v => v !== undefined && typeof v !== 'boolean')) {
+      return res.status(400).json({ ok:false, error:'proxy and offline must be true or false' });
+    }
+    const t = (await store.read()).tracks.find(x => x.id === id);
+    if (!t) return res.status(404).json({ ok:false, error:'not found' });
+    if (t.type !== 'url') return res.status(400).json({ ok:false, error:'not a URL track' });
+    let copy = null;
+    if (offline && !t.offline) {
+      try {
+        copy = { ...(await downloadRemote(t, { dir: UPLOAD_DIR, maxBytes: UPLOAD_MAX_BYTES })), savedAt: new Date().toISOString() };
+      } catch (e) {
+        return res.status(502).json({ ok:false, error:`download failed: ${e.message}` });
+      }
+    }
+    const result = await store.update(db => {
+      const track = db.tracks.find(x => x.id === id);
+      if (!track) return null;
+      const dropped = offline === false && track.offline ? { ...track } : null;
+      if (proxy !== undefined) track.proxy = proxy;
+      if (copy) track.offline = copy;
+      if (dropped) track.offline = null;
+      return { track, dropped };
+    });
+    // the track was deleted while downloading
+    if (!result) {
+      if (copy) await fs.unlink(trackFilePath({ ...t, offline: copy })).catch(() => {});
+      return res.status(404).json({ ok:false, error:'not found' });
+    }
+    if (result.dropped) await fs.unlink(trackFilePath(result.dropped)).catch(() => {});
+    events.tracksChanged(req, 'updated', [id]);
+    res.json({ ok:true, track: result.track });
+  }));
+
+  // GET /api/music?q=&genre=&artist=&album=&sort=&order=&limit=&cursor=
+  // Without `limit` every matching track is returned.
+  router.get('/', wrap(async (req, res) => {
+    const db = await store.read();
+    const result = searchTracks(db.tracks, req.query);
+    if (result.error) return res.status(400).json({ ok:false, error: result.error });
+    res.json(result);
+  }));
+
+  // POST /api/music/by-ids  { ids: [...] }  -> { tracks } (unknown ids are left out)
+  // For the tracks a player's queue refers to; the library view pages through GET /api/music.
+  router.post('/by-ids', wrap(async (req, res) => {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ ok:false, error:'ids must be an array of track ids' });
+    }
+    const wanted = new Set(ids);
+    const db = await store.read();
+    res.json({ tracks: db.tracks.filter(t => wanted.has(t.id)) });
+  }));
+
+  // GET /api/music/duplicates  -> { groups: [{ kind: 'exact'|'likely', trackIds }], unhashed }
+  // `unhashed` counts files added before content hashing existed; they only
+  // show up as exact duplicates after POST /api/music/duplicates/hash.
+  router.get('/duplicates', wrap(async (req, res) => {
+    const db = await store.read();
+    res.json({ groups: findDuplicateGroups(db.tracks), unhashed: db.tracks.filter(isUnhashed).length });
+  }));
+
+  // POST /api/music/duplicates/hash  -> { hashed }
+  // Hash the files that have no content hash yet (see GET /duplicates).
+  router.post('/duplicates/hash', requireAdmin, wrap(async (req, res) => {
+    const unhashed = (await store.read()).tracks.filter(isUnhashed);
+    const hashes = new Map();
+    for (const t of unhashed) {
+      try { hashes.set(t.id, await hashFile(trackFilePath(t))); } catch (e) {}
+    }
+    if (hashes.size) {
+      await store.update(db => {
+        db.tracks.forEach(t => { if (hashes.has(t.id)) t.contentHash = hashes.get(t.id); });
+      });
+    }
+    res.json({ ok:true, hashed: hashes.size });
+  }));
+
+  // POST /api/music/merge  { keepId, trackIds: [...] }
+  // Playlists pointing at any of `trackIds` are repointed to `keepId`, blank tags on
+  // the kept track are filled in from the others, and the others are deleted.
+  router.post('/merge', requireAdmin, wrap(async (req, res) => {
+    const { keepId, trackIds } = req.body || {};
+    if (!keepId || !Array.isArray(trackIds) || !trackIds.length) {
+      return res.status(400).json({ ok:false, error:'keepId and trackIds required' });
+    }
+    const mergeIds = [...new Set(trackIds)].filter(id => id !== keepId);
+    const result = await store.update(db => {
+      const keep = db.tracks.find(t => t.id === keepId);
+      const merged = mergeIds.map(id => db.tracks.find(t => t.id === id));
+      if (!keep || merged.some(t => !t)) return { status: 404, error: 'track not found' };
+      for (const t of merged) {
+        for (const field of ['title', 'artist', 'album', 'genre', 'artwork']) {
+          if (!keep[field] && t[field]) keep[field] = t[field];
+        }
+        if (!keep.duration && t.duration) keep.duration = t.duration;
+        if (!db.lyrics[keepId] && db.lyrics[t.id]) db.lyrics[keepId] = db.lyrics[t.id];
+      }
+      Object.values(db.playlists).forEach(pl => {
+        if (pl.type === 'smart') return;
+        // the merged copies become one entry (repeats of `keepId` itself stay)
+        let listed = pl.trackIds.includes(keepId);
+        setPlaylistTracks(pl, pl.trackIds.flatMap(x => {
+          if (!mergeIds.includes(x)) return [x];
+          if (listed) return [];
+          listed = true;
+          return [keepId];
+        }));
+      });
+      // plays and saved queues now point at the kept track
+      db.plays.forEach(p => { if (mergeIds.includes(p.trackId)) p.trackId = keepId; });
+      allSessions(db).forEach(s => { s.queue = s.queue.map(x => mergeIds.includes(x) ? keepId : x); });
+      return { track: keep, removed: removeTracksFromDB(db, mergeIds) };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    await discardTrackFiles(result.removed);
+    events.tracksChanged(req, 'updated', [keepId]);
+    events.tracksChanged(req, 'removed', result.removed.map(t => t.id));
+    res.json({ ok:true, track: result.track, removed: result.removed.map(t => t.id) });
+  }));
+
+  // PATCH /api/music  { ids: [...], changes: { title?, artist?, album?, genre? } }
+  router.patch('/', requireAdmin, wrap(async (req, res) => {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length || !ids.every(x => typeof x === 'string')) {
+      return res.status(400).json({ ok:false, error:'ids must be a non-empty array' });
+    }
+    const { changes, error } = validateChanges(req.body.changes);
+    if (error) return res.status(400).json({ ok:false, error });
+    if (ids.length > 1 && changes.title !== undefined) {
+      return res.status(400).json({ ok:false, error:'title cannot be bulk edited' });
+    }
+    const result = await store.update(db => {
+      const missing = ids.filter(id => !db.tracks.some(t => t.id === id));
+      if (missing.length) return { missing };
+      const batch = uuidv4();
+      const tracks = ids.map(id => {
+        const t = db.tracks.find(x => x.id === id);
+        applyEdit(db, t, changes, ids.length > 1 ? { batch } : {});
+        return t;
+      });
+      return { tracks };
+    });
+    if (result.missing) return res.status(404).json({ ok:false, error:'tracks not found', ids: result.missing });
+    events.tracksChanged(req, 'updated', ids);
+    res.json({ ok:true, tracks: result.tracks });
+  }));
+
+  // PATCH /api/music/:id  { title?, artist?, album?, genre? }
+  router.patch('/:id', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const { changes, error } = validateChanges(req.body);
+    if (error) return res.status(400).json({ ok:false, error });
+    const result = await store.update(db => {
+      const t = db.tracks.find(x => x.id === id);
+      if (!t) return null;
+      return { track: t, edit: applyEdit(db, t, changes) };
+    });
+    if (!result) return res.status(404).json({ ok:false, error:'not found' });
+    if (result.edit) events.tracksChanged(req, 'updated', [id]);
+    res.json({ ok:true, ...result });
+  }));
+
+  // GET /api/music/:id/history
+  router.get('/:id/history', wrap(async (req, res) => {
+    const { id } = req.params;
+    const db = await store.read();
+    if (!db.tracks.some(t => t.id === id)) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ history: (db.trackHistory[id] || []).slice().reverse() });
+  }));
+
+  // POST /api/music/:id/revert  { editId }
+  router.post('/:id/revert', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const { editId } = req.body || {};
+    const result = await store.update(db => {
+      const t = db.tracks.find(x => x.id === id);
+      if (!t) return { status: 404, error: 'not found' };
+      const entry = (db.trackHistory[id] || []).find(e => e.id === editId);
+      if (!entry) return { status: 404, error: 'edit not found' };
+      return { track: t, edit: applyEdit(db, t, revertChanges(entry), { revertOf: entry.id }) };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    if (result.edit) events.tracksChanged(req, 'updated', [id]);
+    res.json({ ok:true, ...result });
+  }));
+
+  // GET /api/music/:id/lyrics  -> { lyrics: { source, synced, lines: [{ time, text }] } | null }
+  router.get('/:id/lyrics', wrap(async (req, res) => {
+    const { id } = req.params;
+    const db = await store.read();
+    if (!db.tracks.some(t => t.id === id)) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ lyrics: db.lyrics[id] || null });
+  }));
+
+  // PUT /api/music/:id/lyrics  { text }  (LRC with timestamps, or plain text)
+  // Replaces lyrics found in the file; later rescans keep the user's version.
+  router.put('/:id/lyrics', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ ok:false, error:'text required' });
+    const parsed = parseLrc(text);
+    if (!parsed) return res.status(400).json({ ok:false, error:'no lyrics found in text' });
+    const lyrics = await store.update(db => {
+      if (!db.tracks.some(t => t.id === id)) return null;
+      db.lyrics[id] = { source: 'user', ...parsed };
+      return db.lyrics[id];
+    });
+    if (!lyrics) return res.status(404).json({ ok:false, error:'not found' });
+    events.tracksChanged(req, 'updated', [id]);
+    res.json({ ok:true, lyrics });
+  }));
+
+  // DELETE /api/music/:id/lyrics
+  router.delete('/:id/lyrics', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const found = await store.update(db => {
+      if (!db.tracks.some(t => t.id === id)) return false;
+      delete db.lyrics[id];
+      return true;
+    });
+    if (!found) return res.status(404).json({ ok:false, error:'not found' });
+    events.tracksChanged(req, 'updated', [id]);
+    res.json({ ok:true });
+  }));
+
+  // DELETE /api/music/:id
+  router.delete('/:id', requireAdmin, wrap(async (req, res) => {
+    const { id } = req.params;
+    const removed = await store.update(db => removeTracksFromDB(db, [id]));
+    if (!removed.length) return res.status(404).json({ ok:false, error: 'not found' });
+    await discardTrackFiles(removed);
+    events.tracksChanged(req, 'removed', [id]);
+    res.json({ ok: true });
+  }));
+
+  // POST /api/music/:id/loudness  -> { loudness: { gain, peak } | null, error? }
+  // Estimate for files without ReplayGain tags, measured on the first request
+  // and saved on the track (hence POST). Failures are only remembered in memory,
+  // per file size and mtime, so a changed file is measured again. URL tracks
+  // without an offline copy have none.
+  const measuring = new Map();
+  const unmeasurable = new Map(); // track id -> { version, error }
+  router.post('/:id/loudness', wrap(async (req, res) => {
+    const { id } = req.params;
+    const db = await store.read();
+    const t = db.tracks.find(x => x.id === id);
+    if (!t) return res.status(404).json({ ok:false, error:'not found' });
+    if (t.loudness && !t.loudness.error) return res.json({ loudness: t.loudness });
+    const file = trackFilePath(t);
+    const st = file && await fs.stat(file).catch(() => null);
+    if (!st) return res.json({ loudness: null });
+    const version = `${st.size}:${st.mtimeMs}`;
+    const failed = unmeasurable.get(id);
+    if (failed?.version === version) return res.json({ loudness: null, error: failed.error });
+    if (!measuring.has(id)) {
+      const job = estimateLoudness(file, { duration: t.duration })
+        .then(loudness => store.update(db => {
+          const track = db.tracks.find(x => x.id === id);
+          if (track) track.loudness = loudness;
+          return { loudness };
+        }), e => {
+          const error = e.message || 'could not decode audio';
+          unmeasurable.set(id, { version, error });
+          return { loudness: null, error };
+        })
+        .finally(() => measuring.delete(id));
+      measuring.set(id, job);
+    }
+    res.json(await measuring.get(id));
+  }));
+
+  // GET /api/music/:id/artwork?size=sm|md|lg|original
+  router.get('/:id/artwork', wrap(async (req, res) => {
+    const { id } = req.params;
+    const size = req.query.size || 'original';
+    if (size !== 'original' && !ARTWORK_SIZES[size]) return res.status(400).json({ ok:false, error:'invalid size' });
+    const db = await store.read();
+    const t = db.tracks.find(x => x.id === id);
+    if (!t || !t.artwork) return res.status(404).end();
+    let file;
+    try {
+      file = await artworkFile(t.artwork, size);
+    } catch (e) {
+      return res.status(404).end();
+    }
+    // The client adds ?v=<artwork> to the URL, so a changed cover is a new URL
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(file, { maxAge: req.query.v ? '365d' : '1h', immutable: Boolean(req.query.v) });
+  }));
+
+  // GET|HEAD /api/music/proxy/:id  (URL tracks)
+  // Relays the request, Range included, to the track's source.
+  router.get('/proxy/:id', wrap(async (req, res) => {
+    const t = (await store.read()).tracks.find(x => x.id === req.params.id);
+    if (!t) return res.status(404).end();
+    if (t.type !== 'url') return res.status(400).end();
+    await relayRemote(t, req, res);
+  }));
+
+  // GET|HEAD /api/music/stream/:id
+  // Single byte ranges (416 when unsatisfiable), If-Range, and 304 for
+  // If-None-Match / If-Modified-Since; see lib/streaming.js.
+  // Offline copies of URL tracks are served here too.
+  const streamIndex = createStreamIndex({ store });
+  router.get('/stream/:id', wrap(async (req, res) => {
+    const file = await streamIndex.lookup(req.params.id);
+    if (file.status) return res.status(file.status).end();
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-cache',
+      'ETag': file.etag,
+      'Last-Modified': file.lastModified
+    });
+    if (isNotModified(req.headers, file)) return res.status(304).end();
+
+    const { size } = file;
+    const range = rangeStillValid(req.headers, file) ? parseByteRange(req.headers.range, size) : null;
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    const { start, end } = range || { start: 0, end: size - 1 };
+    if (range) res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.set({ 'Content-Type': file.contentType, 'Content-Length': String(end - start + 1) });
+    if (req.method === 'HEAD' || size === 0) return res.end();
+    pipeline(createReadStream(file.file, { start, end }), res, () => {});
+  }));
+
+  return router;
+}
@@ -0,0 +1,337 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { trackFileName, safeDecode, setPlaylistTracks, wrap } from '../utils.js';
+import { FORMATS, serializePlaylist, parsePlaylist, detectFormat } from '../lib/playlist-formats.js';
+import { validateRules, evaluateRules } from '../lib/smart-playlists.js';
+import { createRemoteTrack } from '../lib/remote.js';
+import { findApiToken } from '../lib/auth.js';
+
+const PROBE_CONCURRENCY = 4;
+
+const norm = (s='') => s.toString().trim().toLowerCase();
+const baseName = (loc='') => safeDecode(loc.split(/[?#]/)[0].split(/[\\/]/).pop() || '');
+const isRemote = (loc='') => /^https?:\/\//i.test(loc);
+
+// Find the library track an imported entry refers to. Returns [track, matchedBy].
+function matchEntry(entry, tracks) {
+  const loc = entry.location || '';
+  const streamId = loc.match(/\/api\/music\/stream\/([\w-]+)/);
+  if (streamId) {
+    const t = tracks.find(t => t.id === streamId[1]);
+    if (t) return [t, 'id'];
+  }
+  const file = norm(baseName(loc));
+  if (file) {
+    const t = tracks.find(t => norm(trackFileName(t)) === file);
+    if (t) return [t, 'filename'];
+  }
+  if (entry.title) {
+    const t = tracks.find(t => norm(t.title) === norm(entry.title) && (!entry.artist || norm(t.artist) === norm(entry.artist)));
+    if (t) return [t, 'title'];
+  }
+  if (loc) {
+    const t = tracks.find(t => t.type === 'url' && t.src === loc);
+    if (t) return [t, 'url'];
+  }
+  return [null, null];
+}
+
+// New URL tracks for the remote entries of an import that match no library
+// track, checked and probed like POST /api/music/url (a few at a time).
+// Returns a Map location -> { track } | { error }.
+async function prepareUrlTracks(entries, tracks) {
+  const entryAt = new Map();
+  entries.forEach(entry => {
+    if (isRemote(entry.location) && !entryAt.has(entry.location) && !matchEntry(entry, tracks)[0]) entryAt.set(entry.location, entry);
+  });
+  const pending = [...entryAt.values()];
+  const prepared = new Map();
+  const worker = async () => {
+    for (let entry = pending.shift(); entry; entry = pending.shift()) {
+      const { location: url, title, artist, album, duration } = entry;
+      prepared.set(url, await createRemoteTrack({ url, title, artist, album, duration: duration || 0 })
+        .then(({ track }) => ({ track }), e => ({ error: e.message })));
+    }
+  };
+  await Promise.all(Array.from({ length: PROBE_CONCURRENCY }, worker));
+  return prepared;
+}
+
+// Tracks of a playlist in play order: the stored list, or the rules evaluated
+// now (play counts come from the owner's history).
+function playlistTracks(pl, db) {
+  if (pl.type === 'smart') return evaluateRules(pl.rules, db.tracks, db.plays.filter(p => p.userId === pl.ownerId));
+  return pl.trackIds.map(tid => db.tracks.find(t => t.id === tid)).filter(Boolean);
+}
+
+// Playlists belong to the user who created them; `shared` ones can be read by
+// everyone. Returns { pl } or { status, error } (other users' playlists are read-only).
+function accessPlaylist(db, id, user, { write=false } = {}) {
+  const pl = db.playlists[id];
+  if (!pl || (pl.ownerId !== user.id && !pl.shared)) return { status: 404, error: 'not found' };
+  if (write && pl.ownerId !== user.id) return { status: 403, error: 'playlist is shared read-only' };
+  return { pl };
+}
+
+// A playlist as listed to `user`: with the owner's name and whether it's read-only.
+const describePlaylist = (pl, db, user) => ({ ...pl, owner: db.users[pl.ownerId]?.username || '', readOnly: pl.ownerId !== user.id });
+
+const SMART_REFUSED = { status: 409, error: 'smart playlists are defined by rules; edit the rules instead' };
+
+// Optimistic concurrency for track-list changes: a request that says which
+// `revision` it was based on is refused if the list has changed since.
+function staleRevision(pl, revision) {
+  if (revision === undefined || revision === null) return null;
+  const current = pl.revision || 0;
+  return revision === current ? null : { status: 409, error: 'playlist was changed in the meantime; reload it', revision: current };
+}
+
+const isPosition = (n, max) => Number.isInteger(n) && n >= 0 && n <= max;
+
+// Shared checks of the track-list routes: { pl } or { status, error }.
+function editableTracks(db, id, user, revision) {
+  const { pl, ...refused } = accessPlaylist(db, id, user, { write: true });
+  if (!pl) return refused;
+  if (pl.type === 'smart') return SMART_REFUSED;
+  return staleRevision(pl, revision) || { pl };
+}
+
+export default function playlistRoutes({ store, events }) {
+  const router = express.Router();
+
+  // GET /api/playlists  -> the user's own playlists and those shared by others
+  router.get('/', wrap(async (req, res) => {
+    const db = await store.read();
+    const visible = Object.values(db.playlists).filter(pl => pl.ownerId === req.user.id || pl.shared);
+    res.json({ playlists: Object.fromEntries(visible.map(pl => [pl.id, describePlaylist(pl, db, req.user)])) });
+  }));
+
+  // POST /api/playlists  { name, rules? }
+  // With `rules` the playlist is a smart playlist (see lib/smart-playlists.js).
+  router.post('/', wrap(async (req, res) => {
+    const { name, rules } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ ok:false, error:'name required' });
+    const id = uuidv4();
+    const ownerId = req.user.id;
+    let playlist = { id, name: name.trim(), ownerId, shared: false, trackIds: [], revision: 0 };
+    if (rules !== undefined) {
+      const checked = validateRules(rules);
+      if (checked.error) return res.status(400).json({ ok:false, error: checked.error });
+      playlist = { id, name: name.trim(), ownerId, shared: false, type: 'smart', rules: checked.rules };
+    }
+    await store.update(db => { db.playlists[id] = playlist; });
+    events.playlistChanged(req, 'created', playlist);
+    res.json({ ok:true, playlist });
+  }));
+
+  // PUT /api/playlists/:id  { name?, rules?, shared? }  (rules only for smart playlists)
+  // `shared: true` lets every user see and play the playlist, but not change it.
+  router.put('/:id', wrap(async (req, res) => {
+    const { id } = req.params;
+    const { name, rules, shared } = req.body || {};
+    if (name !== undefined && typeof name !== 'string') return res.status(400).json({ ok:false, error:'name must be a string' });
+    if (shared !== undefined && typeof shared !== 'boolean') return res.status(400).json({ ok:false, error:'shared must be a boolean' });
+    const checked = rules === undefined ? {} : validateRules(rules);
+    if (checked.error) return res.status(400).json({ ok:false, error: checked.error });
+    const result = await store.update(db => {
+      const { pl, ...refused } = accessPlaylist(db, id, req.user, { write: true });
+      if (!pl) return refused;
+      if (checked.rules && pl.type !== 'smart') return { status: 400, error: 'rules can only be set on smart playlists' };
+      if (name && name.trim()) pl.name = name.trim();
+      if (checked.rules) pl.rules = checked.rules;
+      if (shared !== undefined) pl.shared = shared;
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    // unsharing has to reach the users who could see it
+    events.playlistChanged(req, 'updated', result.playlist, { everyone: shared !== undefined });
+    res.json({ ok:true, playlist: result.playlist });
+  }));
+
+  // GET /api/playlists/:id/tracks  -> { tracks, revision } (smart playlists are evaluated)
+  router.get('/:id/tracks', wrap(async (req, res) => {
+    const db = await store.read();
+    const { pl, status, error } = accessPlaylist(db, req.params.id, req.user);
+    if (!pl) return res.status(status).json({ ok:false, error });
+    res.json({ ok:true, tracks: playlistTracks(pl, db), revision: pl.revision || 0 });
+  }));
+
+  // PUT /api/playlists/:id/tracks  { trackIds, revision? }  -- replace the whole order
+  router.put('/:id/tracks', wrap(async (req, res) => {
+    const { trackIds, revision } = req.body || {};
+    if (!Array.isArray(trackIds) || !trackIds.every(x => typeof x === 'string')) {
+      return res.status(400).json({ ok:false, error:'trackIds must be an array of track ids' });
+    }
+    const result = await store.update(db => {
+      const { pl, ...refused } = editableTracks(db, req.params.id, req.user, revision);
+      if (!pl) return refused;
+      const unknown = trackIds.filter(tid => !db.tracks.some(t => t.id === tid));
+      if (unknown.length) return { status: 400, error: `unknown track ids: ${[...new Set(unknown)].join(', ')}` };
+      setPlaylistTracks(pl, trackIds.slice());
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error, revision: result.revision });
+    events.playlistChanged(req, 'updated', result.playlist);
+    res.json({ ok:true, playlist: result.playlist });
+  }));
+
+  // POST /api/playlists/:id/tracks/move  { from, to, revision? }
+  // Moves the entry at index `from` so it ends up at index `to`.
+  router.post('/:id/tracks/move', wrap(async (req, res) => {
+    const { from, to, revision } = req.body || {};
+    const result = await store.update(db => {
+      const { pl, ...refused } = editableTracks(db, req.params.id, req.user, revision);
+      if (!pl) return refused;
+      const last = pl.trackIds.length - 1;
+      if (!isPosition(from, last) || !isPosition(to, last)) return { status: 400, error: `from and to must be indexes from 0 to ${last}` };
+      const ids = pl.trackIds.slice();
+      ids.splice(to, 0, ...ids.splice(from, 1));
+      setPlaylistTracks(pl, ids);
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error, revision: result.revision });
+    events.playlistChanged(req, 'updated', result.playlist);
+    res.json({ ok:true, playlist: result.playlist });
+  }));
+
+  // DELETE /api/playlists/:id
+  router.delete('/:id', wrap(async (req, res) => {
+    const { id } = req.params;
+    const result = await store.update(db => {
+      const { pl, ...refused } = accessPlaylist(db, id, req.user, { write: true });
+      if (!pl) return refused;
+      delete db.playlists[id];
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    events.playlistChanged(req, 'deleted', result.playlist);
+    res.json({ ok:true });
+  }));
+
+  // POST /api/playlists/:id/tracks  { trackId, index?, revision? }
+  // Inserts at `index` (default: the end). A track may be listed more than once.
+  router.post('/:id/tracks', wrap(async (req, res) => {
+    const { id } = req.params;
+    const { trackId, index, revision } = req.body || {};
+    const result = await store.update(db => {
+      const { pl, ...refused } = editableTracks(db, id, req.user, revision);
+      if (!pl) return refused;
+      if (!db.tracks.find(t => t.id === trackId)) return { status: 400, error: 'track not found' };
+      const at = index === undefined ? pl.trackIds.length : index;
+      if (!isPosition(at, pl.trackIds.length)) return { status: 400, error: `index must be from 0 to ${pl.trackIds.length}` };
+      const ids = pl.trackIds.slice();
+      ids.splice(at, 0, trackId);
+      setPlaylistTracks(pl, ids);
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error, revision: result.revision });
+    events.playlistChanged(req, 'updated', result.playlist);
+    res.json({ ok:true, playlist: result.playlist });
+  }));
+
+  // DELETE /api/playlists/:id/tracks/:trackId?index=&revision=
+  // With `index` only that entry goes (it must hold `trackId`); without, every
+  // entry of the track.
+  router.delete('/:id/tracks/:trackId', wrap(async (req, res) => {
+    const { id, trackId } = req.params;
+    const index = req.query.index === undefined ? undefined : Number(req.query.index);
+    const revision = req.query.revision === undefined ? undefined : Number(req.query.revision);
+    if ([index, revision].some(n => n !== undefined && !Number.isInteger(n))) {
+      return res.status(400).json({ ok:false, error:'index and revision must be integers' });
+    }
+    const result = await store.update(db => {
+      const { pl, ...refused } = editableTracks(db, id, req.user, revision);
+      if (!pl) return refused;
+      if (index === undefined) {
+        setPlaylistTracks(pl, pl.trackIds.filter(x => x !== trackId));
+      } else {
+        if (pl.trackIds[index] !== trackId) return { status: 409, error: 'that entry is not at this index; reload the playlist', revision: pl.revision || 0 };
+        setPlaylistTracks(pl, pl.trackIds.filter((x, i) => i !== index));
+      }
+      return { playlist: pl };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error, revision: result.revision });
+    events.playlistChanged(req, 'updated', result.playlist);
+    res.json({ ok:true, playlist: result.playlist });
+  }));
+
+  // GET /api/playlists/:id/export?format=m3u8|pls|xspf&token=
+  // Library tracks point at their stream URL, which needs a login. `token` (the
+  // secret of one of the caller's 'stream' tokens) is added to those URLs so
+  // other players can open the file.
+  router.get('/:id/export', wrap(async (req, res) => {
+    const { id } = req.params;
+    const format = norm(req.query.format || 'm3u8');
+    if (!FORMATS[format]) return res.status(400).json({ ok:false, error:'format must be m3u8, pls or xspf' });
+    const db = await store.read();
+    const { pl, status, error } = accessPlaylist(db, id, req.user);
+    if (!pl) return res.status(status).json({ ok:false, error });
+    const { token } = req.query;
+    if (token !== undefined) {
+      const tok = typeof token === 'string' && findApiToken(db, token);
+      if (!tok || tok.userId !== req.user.id || tok.scope !== 'stream') {
+        return res.status(400).json({ ok:false, error:'token must be one of your stream tokens' });
+      }
+    }
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const auth = token === undefined ? '' : `?token=${encodeURIComponent(token)}`;
+    const entries = playlistTracks(pl, db)
+      .map(t => ({
+        location: t.type === 'url' ? t.src : `${origin}/api/music/stream/${t.id}${auth}`,
+        title: t.title, artist: t.artist, album: t.album, duration: t.duration
+      }));
+    const fileName = `${pl.name.replace(/[^\w .-]+/g, '_') || 'playlist'}.${FORMATS[format].ext}`;
+    res.attachment(fileName);
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.send(serializePlaylist(format, pl.name, entries));
+  }));
+
+  // POST /api/playlists/import  { content, fileName?, format?, name? }
+  // Entries are matched to library tracks by stream URL, file name, title/artist
+  // or URL; for admins, unmatched remote entries become URL tracks (if they
+  // pass the same checks as POST /api/music/url).
+  router.post('/import', wrap(async (req, res) => {
+    const { content, fileName='', format, name } = req.body || {};
+    if (!content || typeof content !== 'string') return res.status(400).json({ ok:false, error:'content required' });
+    if (![fileName, format, name].every(v => v === undefined || typeof v === 'string')) {
+      return res.status(400).json({ ok:false, error:'fileName, format and name must be strings' });
+    }
+    const fmt = detectFormat(content, format || fileName);
+    const parsed = parsePlaylist(content, fmt);
+    if (!parsed.entries.length) return res.status(400).json({ ok:false, error:'no entries found' });
+    const plName = (name || parsed.name || fileName.replace(/\.[^/.]+$/, '') || 'Imported playlist').trim();
+    const prepared = req.user.role === 'admin' ? await prepareUrlTracks(parsed.entries, (await store.read()).tracks) : new Map();
+
+    const result = await store.update(db => {
+      const report = [];
+      const trackIds = [];
+      parsed.entries.forEach((entry, index) => {
+        const [match, matchedBy] = matchEntry(entry, db.tracks);
+        const item = { index, location: entry.location, title: entry.title, artist: entry.artist };
+        if (match) {
+          trackIds.push(match.id);
+          report.push({ ...item, status: 'matched', matchedBy, trackId: match.id });
+        } else if (prepared.get(entry.location)?.track) {
+          const { track } = prepared.get(entry.location);
+          db.tracks.push(track);
+          trackIds.push(track.id);
+          report.push({ ...item, status: 'created', trackId: track.id });
+        } else if (prepared.has(entry.location)) {
+          report.push({ ...item, status: 'unmatched', reason: `could not add the URL: ${prepared.get(entry.location).error}` });
+        } else {
+          const reason = isRemote(entry.location) ? 'no matching track (only admins can add URL tracks)' : 'no matching track and not a remote URL';
+          report.push({ ...item, status: 'unmatched', reason });
+        }
+      });
+      const id = uuidv4();
+      db.playlists[id] = { id, name: plName, ownerId: req.user.id, shared: false, trackIds, revision: 0 };
+      return { playlist: db.playlists[id], report, created: report.filter(r => r.status === 'created').map(r => r.trackId) };
+    });
+    const { created, ...imported } = result;
+    events.tracksChanged(req, 'added', created);
+    events.playlistChanged(req, 'created', imported.playlist);
+    res.json({ ok:true, format: fmt, ...imported });
+  }));
+
+  return router;
+}
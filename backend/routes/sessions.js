@@ -0,0 +1,106 @@
+import express from 'express';
+import { wrap } from '../utils.js';
+
+const NAME_RE = /^[\w .-]{1,64}$/;
+const MAX_QUEUE = 10000;
+const REPEAT_MODES = ['off', 'all', 'one'];
+const SHUFFLE_MODES = ['off', 'on', 'smart'];
+
+// Returns { session } with only known fields, or { error }.
+function validateSession(body) {
+  const { queue, currentIndex=-1, position=0, volume=1, repeat='off', shuffle='off', shuffleOrder=null } = body || {};
+  if (!Array.isArray(queue) || queue.length > MAX_QUEUE || !queue.every(id => typeof id === 'string')) {
+    return { error: `queue must be an array of at most ${MAX_QUEUE} track ids` };
+  }
+  if (!Number.isInteger(currentIndex) || currentIndex < -1 || currentIndex >= queue.length) return { error: 'currentIndex out of range' };
+  if (typeof position !== 'number' || !(position >= 0)) return { error: 'position must be a non-negative number' };
+  if (typeof volume !== 'number' || !(volume >= 0 && volume <= 1)) return { error: 'volume must be between 0 and 1' };
+  if (!REPEAT_MODES.includes(repeat)) return { error: `repeat must be one of ${REPEAT_MODES.join(', ')}` };
+  if (!SHUFFLE_MODES.includes(shuffle)) return { error: `shuffle must be one of ${SHUFFLE_MODES.join(', ')}` };
+  if (shuffleOrder !== null) {
+    const ok = Array.isArray(shuffleOrder) && shuffleOrder.length === queue.length &&
+      [...shuffleOrder].sort((a, b) => a - b).every((v, i) => v === i);
+    if (!ok) return { error: 'shuffleOrder must be a permutation of queue indices' };
+  }
+  return { session: { queue, currentIndex, position, volume, repeat, shuffle, shuffleOrder } };
+}
+
+// Drop queue entries whose track was deleted, keeping the index and shuffle
+// order pointing at the same entries. If the current track is gone, the
+// session moves on to the next surviving entry at position 0.
+function pruneSession(session, knownIds) {
+  const keep = session.queue.map(id => knownIds.has(id));
+  if (keep.every(Boolean)) return session;
+  const newIndex = [];
+  let n = 0;
+  keep.forEach((k, i) => { newIndex[i] = k ? n++ : -1; });
+  const queue = session.queue.filter((_, i) => keep[i]);
+  const order = session.shuffleOrder || session.queue.map((_, i) => i);
+  let currentIndex = -1;
+  let position = session.position;
+  if (session.currentIndex >= 0) {
+    if (keep[session.currentIndex]) {
+      currentIndex = newIndex[session.currentIndex];
+    } else {
+      const after = order.slice(order.indexOf(session.currentIndex) + 1).find(i => keep[i]);
+      currentIndex = after === undefined ? -1 : newIndex[after];
+      position = 0;
+    }
+  }
+  return {
+    ...session,
+    queue,
+    currentIndex,
+    position,
+    shuffleOrder: session.shuffleOrder ? session.shuffleOrder.filter(i => keep[i]).map(i => newIndex[i]) : null
+  };
+}
+
+// Sessions belong to the signed-in user: db.sessions[userId][name].
+const userSessions = (db, user) => db.sessions[user.id] || {};
+
+export default function sessionRoutes({ store }) {
+  const router = express.Router();
+
+  // GET /api/session  -> { sessions: [{ name, updatedAt, queueLength }] }
+  router.get('/', wrap(async (req, res) => {
+    const db = await store.read();
+    const sessions = Object.values(userSessions(db, req.user))
+      .map(s => ({ name: s.name, updatedAt: s.updatedAt, queueLength: s.queue.length }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json({ sessions });
+  }));
+
+  // GET /api/session/:name
+  router.get('/:name', wrap(async (req, res) => {
+    const db = await store.read();
+    const sessions = userSessions(db, req.user);
+    if (!Object.hasOwn(sessions, req.params.name)) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ session: pruneSession(sessions[req.params.name], new Set(db.tracks.map(t => t.id))) });
+  }));
+
+  // PUT /api/session/:name  { queue, currentIndex, position, volume, repeat, shuffle, shuffleOrder }
+  router.put('/:name', wrap(async (req, res) => {
+    const { name } = req.params;
+    if (!NAME_RE.test(name)) return res.status(400).json({ ok:false, error:'invalid session name' });
+    const { session, error } = validateSession(req.body);
+    if (error) return res.status(400).json({ ok:false, error });
+    const saved = { name, ...session, updatedAt: new Date().toISOString() };
+    await store.update(db => { db.sessions[req.user.id] = { ...userSessions(db, req.user), [name]: saved }; });
+    res.json({ ok:true, session: saved });
+  }));
+
+  // DELETE /api/session/:name
+  router.delete('/:name', wrap(async (req, res) => {
+    const found = await store.update(db => {
+      const sessions = userSessions(db, req.user);
+      if (!Object.hasOwn(sessions, req.params.name)) return false;
+      delete sessions[req.params.name];
+      return true;
+    });
+    if (!found) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true });
+  }));
+
+  return router;
+}
@@ -0,0 +1,76 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ROLES, hashPassword, checkPassword, checkCredentials, findUserByName, publicUser, adminCount, removeUser
+} from '../lib/auth.js';
+import { wrap } from '../utils.js';
+
+// Account management for admins (mounted at /api/users behind requireAdmin).
+export default function userRoutes({ store, events }) {
+  const router = express.Router();
+
+  // GET /api/users  -> { users: [{ id, username, role, createdAt }] }
+  router.get('/', wrap(async (req, res) => {
+    const db = await store.read();
+    const users = Object.values(db.users).map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+    res.json({ users });
+  }));
+
+  // POST /api/users  { username, password, role? }
+  router.post('/', wrap(async (req, res) => {
+    const { username, password, role='listener' } = req.body || {};
+    const error = checkCredentials({ username, password });
+    if (error) return res.status(400).json({ ok:false, error });
+    if (!ROLES.includes(role)) return res.status(400).json({ ok:false, error:`role must be one of ${ROLES.join(', ')}` });
+    const hash = await hashPassword(password);
+    const user = await store.update(db => {
+      if (findUserByName(db, username)) return null;
+      const user = { id: uuidv4(), username, role, password: hash, createdAt: new Date().toISOString() };
+      db.users[user.id] = user;
+      return user;
+    });
+    if (!user) return res.status(409).json({ ok:false, error:'username taken' });
+    res.json({ ok:true, user: publicUser(user) });
+  }));
+
+  // PATCH /api/users/:id  { role?, password? }
+  router.patch('/:id', wrap(async (req, res) => {
+    const { role, password } = req.body || {};
+    if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ ok:false, error:`role must be one of ${ROLES.join(', ')}` });
+    const error = password === undefined ? null : checkPassword(password);
+    if (error) return res.status(400).json({ ok:false, error });
+    const hash = password === undefined ? null : await hashPassword(password);
+    const result = await store.update(db => {
+      const user = db.users[req.params.id];
+      if (!user) return { status: 404, error: 'not found' };
+      if (role && role !== 'admin' && user.role === 'admin' && adminCount(db) === 1) {
+        return { status: 409, error: 'the last admin cannot be demoted' };
+      }
+      if (role) user.role = role;
+      if (hash) {
+        user.password = hash;
+        for (const [key, login] of Object.entries(db.logins)) if (login.userId === user.id) delete db.logins[key];
+      }
+      return { user };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    res.json({ ok:true, user: publicUser(result.user) });
+  }));
+
+  // DELETE /api/users/:id  (with their playlists, sessions, history and tokens)
+  router.delete('/:id', wrap(async (req, res) => {
+    const result = await store.update(db => {
+      const user = db.users[req.params.id];
+      if (!user) return { status: 404, error: 'not found' };
+      if (user.role === 'admin' && adminCount(db) === 1) return { status: 409, error: 'the last admin cannot be deleted' };
+      const shared = Object.values(db.playlists).filter(pl => pl.ownerId === user.id && pl.shared);
+      removeUser(db, user.id);
+      return { shared };
+    });
+    if (result.error) return res.status(result.status).json({ ok:false, error: result.error });
+    result.shared.forEach(pl => events.playlistChanged(req, 'deleted', pl));
+    res.json({ ok:true });
+  }));
+
+  return router;
+}
@@ -0,0 +1,7 @@
+export class StorageCorruptError extends Error {
+  constructor(message, { cause, file } = {}) {
+    super(message, { cause });
+    this.name = 'StorageCorruptError';
+    this.file = file;
+  }
+}
@@ -0,0 +1,56 @@
+// Storage layer for the JSON "database".
+//
+// Route handlers never touch the persistence backend directly. They call
+// `store.read()` for a snapshot or `store.update(fn)` to mutate; updates run
+// one at a time, so concurrent requests can no longer overwrite each other.
+//
+// An adapter is any object with:
+//   load(): Promise<db>   -- return the stored db, or a fresh one if none exists;
+//                            throw StorageCorruptError if the data is unreadable
+//   save(db): Promise<void> -- persist the whole db atomically
+// Register new adapters in ADAPTERS below (e.g. an embedded SQLite file).
+
+import { createJsonAdapter } from './json-adapter.js';
+import { normalizeDB } from './schema.js';
+
+export { StorageCorruptError } from './errors.js';
+export { emptyDB, normalizeDB } from './schema.js';
+
+const ADAPTERS = {
+  json: createJsonAdapter
+};
+
+export function createAdapter(kind, options) {
+  const factory = ADAPTERS[kind];
+  if (!factory) throw new Error(`Unknown storage adapter "${kind}"`);
+  return factory(options);
+}
+
+export async function createStore(adapter) {
+  let current = normalizeDB(await adapter.load());
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    // Current snapshot. Treat it as read-only: updates replace it rather than mutate it.
+    async read() {
+      return current;
+    },
+    // Run `fn(draft)` against a private copy and persist the result. If `fn`
+    // throws, nothing is written and the error is passed to the caller.
+    update(fn) {
+      return enqueue(async () => {
+        const draft = structuredClone(current);
+        const result = await fn(draft);
+        await adapter.save(draft);
+        current = draft;
+        return result;
+      });
+    }
+  };
+}
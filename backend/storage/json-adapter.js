@@ -0,0 +1,72 @@
+// JSON file adapter: one pretty-printed file, replaced atomically on each save.
+
+import path from 'path';
+import fs from 'fs/promises';
+import { StorageCorruptError } from './errors.js';
+import { emptyDB } from './schema.js';
+
+export function createJsonAdapter({ file, backupCount = 3, backupIntervalMs = 10 * 60 * 1000 }) {
+  let lastRaw = null;
+
+  const backupName = (n) => `${file}.bak.${n}`;
+
+  // Keep `backupCount` older copies (db.json.bak.1 is the newest), taken at most
+  // once per interval so frequent small writes don't push out useful history.
+  async function rotateBackups() {
+    if (backupCount <= 0) return;
+    try {
+      const st = await fs.stat(backupName(1));
+      if (Date.now() - st.mtimeMs < backupIntervalMs) return;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    try {
+      await fs.access(file);
+    } catch (e) {
+      return;
+    }
+    for (let n = backupCount - 1; n >= 1; n--) {
+      await fs.rename(backupName(n), backupName(n + 1)).catch(()=>{});
+    }
+    await fs.copyFile(file, backupName(1));
+  }
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(file, 'utf-8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return emptyDB();
+        throw e;
+      }
+      try {
+        const db = JSON.parse(raw);
+        if (!db || typeof db !== 'object' || Array.isArray(db)) throw new Error('root is not an object');
+        lastRaw = raw;
+        return db;
+      } catch (e) {
+        throw new StorageCorruptError(
+          `${file} could not be parsed (${e.message}). Restore it from ${path.basename(file)}.bak.* or move it aside to start empty.`,
+          { cause: e, file }
+        );
+      }
+    },
+
+    async save(db) {
+      const raw = JSON.stringify(db, null, 2);
+      if (raw === lastRaw) return;
+      await rotateBackups();
+      const tmp = `${file}.${process.pid}.tmp`;
+      const handle = await fs.open(tmp, 'w');
+      try {
+        await handle.writeFile(raw, 'utf-8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tmp, file);
+      lastRaw = raw;
+    }
+  };
+}
@@ -0,0 +1,14 @@
+// Shape of the database shared by every adapter.
+
+export function emptyDB() {
+  return { tracks: [], playlists: {}, trackHistory: {}, library: { ignored: [] }, sessions: {}, plays: [], lyrics: {}, eqPresets: {}, users: {}, logins: {}, apiTokens: {} };
+}
+
+// Fill in collections missing from older files so routes can rely on them.
+export function normalizeDB(db) {
+  const base = emptyDB();
+  for (const [key, value] of Object.entries(base)) {
+    if (db[key] === undefined) db[key] = value;
+  }
+  return db;
+}
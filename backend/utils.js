@@ -0,0 +1,74 @@
+// Shared helpers for route modules.
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { UPLOAD_DIR } from './config.js';
+
+export function parseFromFilename(name) {
+  const withoutExt = name.replace(/\.[^/.]+$/, '');
+  const g = withoutExt.match(/(.*?)-(.*?)(?:\s*\[(.*?)\])?$/);
+  if (g) {
+    return { artist: g[1].trim(), title: g[2].trim(), genre: (g[3]||'').trim() };
+  }
+  return { title: withoutExt, artist: '', genre: '' };
+}
+
+export function safeDecode(s) {
+  try { return decodeURIComponent(s); } catch (e) { return s; }
+}
+
+// Build a `type: 'url'` track from a remote address plus optional tag overrides.
+export function createUrlTrack({ url, title='', artist='', album='', genre='', duration=0 }) {
+  const name = safeDecode(url.split(/[?#]/)[0].split('/').pop() || '') || 'Stream';
+  const hints = parseFromFilename(name);
+  return {
+    id: uuidv4(),
+    type: 'url',
+    src: url,
+    title: title || hints.title || name,
+    artist: artist || hints.artist || '',
+    album: album || '',
+    genre: genre || hints.genre || '',
+    duration,
+    addedAt: new Date().toISOString()
+  };
+}
+
+// Absolute path of a track's audio file. Uploads and offline copies of URL
+// tracks live in UPLOAD_DIR under a relative name; library tracks
+// (source: 'library') are read in place.
+export function trackFilePath(t) {
+  if (t.type === 'url') return t.offline ? path.join(UPLOAD_DIR, t.offline.path) : '';
+  if (t.type !== 'file' || !t.path) return '';
+  return t.source === 'library' ? t.path : path.join(UPLOAD_DIR, t.path);
+}
+
+// Original file name of a track: uploads are stored as `${Date.now()}-${originalname}`.
+export function trackFileName(t) {
+  if (t.type === 'file' && t.source === 'library') return path.basename(t.path);
+  if (t.type === 'file' && t.path) return t.path.replace(/^\d+-/, '');
+  if (t.type === 'url' && t.src) return safeDecode(t.src.split(/[?#]/)[0].split('/').pop() || '');
+  return '';
+}
+
+// Replace a playlist's entries (duplicates allowed). `revision` counts changes
+// to the list so clients can tell when theirs is stale.
+export function setPlaylistTracks(pl, trackIds) {
+  if (trackIds.length === pl.trackIds.length && trackIds.every((id, i) => id === pl.trackIds[i])) return;
+  pl.trackIds = trackIds;
+  pl.revision = (pl.revision || 0) + 1;
+}
+
+// Opaque pagination cursors wrapping an offset into a result list.
+export const encodeCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+export function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(o) && o >= 0 ? o : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Express 4 does not forward rejected promises; route them to the error handler.
+export const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
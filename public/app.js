@@ -1,21 +1,115 @@
 // Frontend for Full-Stack Music Player
 // Uses backend APIs for tracks & playlists. Keeps theme in localStorage.
 
+// Every API call goes through here: a 401 means the login expired (or was
+// revoked), so the sign-in screen is shown again. The X-Client-Id header tells
+// the server which live-update stream not to echo the change to.
+function apiFetch(url, opts={}) {
+  const headers = live.clientId ? { ...opts.headers, 'X-Client-Id': live.clientId } : opts.headers;
+  return fetch(url, { ...opts, headers }).then(r => {
+    if (r.status === 401) showAuthScreen();
+    return r;
+  });
+}
+
 const API = {
+  auth: {
+    me: () => apiFetch('/api/auth/me').then(r=>r.json()),
+    login: (creds) => apiFetch('/api/auth/login', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(creds)}).then(r=>r.json()),
+    register: (creds) => apiFetch('/api/auth/register', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(creds)}).then(r=>r.json()),
+    logout: () => apiFetch('/api/auth/logout', { method:'POST' }).then(r=>r.json()),
+    password: (currentPassword, newPassword) => apiFetch('/api/auth/password', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ currentPassword, newPassword })}).then(r=>r.json()),
+    tokens: () => apiFetch('/api/auth/tokens').then(r=>r.json()),
+    createToken: (name, scope='api') => apiFetch('/api/auth/tokens', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name, scope })}).then(r=>r.json()),
+    delToken: (id) => apiFetch(`/api/auth/tokens/${id}`, { method:'DELETE' }).then(r=>r.json()),
+  },
+  users: {
+    list: () => apiFetch('/api/users').then(r=>r.json()),
+    create: (payload) => apiFetch('/api/users', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)}).then(r=>r.json()),
+    update: (id, changes) => apiFetch(`/api/users/${id}`, { method:'PATCH', headers:{'Content-Type':'application/json'}, body: JSON.stringify(changes)}).then(r=>r.json()),
+    del: (id) => apiFetch(`/api/users/${id}`, { method:'DELETE' }).then(r=>r.json()),
+  },
   music: {
-    list: () => fetch('/api/music').then(r=>r.json()),
-    upload: (formData) => fetch('/api/music/upload', { method:'POST', body: formData }).then(r=>r.json()),
-    addUrl: (payload) => fetch('/api/music/url', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)}).then(r=>r.json()),
-    del: (id) => fetch(`/api/music/${id}`, { method:'DELETE' }).then(r=>r.json()),
-    streamUrl: (id) => `/api/music/stream/${id}`
+    byIds: (ids) => apiFetch('/api/music/by-ids', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ ids })}).then(r=>r.json()),
+    search: (params) => apiFetch(`/api/music?${new URLSearchParams(params)}`).then(r=>r.json()),
+    // XHR rather than fetch: only XHR reports upload progress
+    upload: (formData, onProgress) => new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', '/api/music/upload');
+      if (live.clientId) xhr.setRequestHeader('X-Client-Id', live.clientId);
+      xhr.upload.onprogress = (e) => { if (e.lengthComputable && onProgress) onProgress(e.loaded / e.total); };
+      xhr.onload = () => {
+        if (xhr.status === 401) showAuthScreen();
+        try { resolve(JSON.parse(xhr.responseText)); } catch (e) { resolve({ ok:false, error:`upload failed (HTTP ${xhr.status})` }); }
+      };
+      xhr.onerror = () => reject(new Error('upload failed: network error'));
+      xhr.send(formData);
+    }),
+    addUrl: (payload) => apiFetch('/api/music/url', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)}).then(r=>r.json()),
+    del: (id) => apiFetch(`/api/music/${id}`, { method:'DELETE' }).then(r=>r.json()),
+    update: (id, changes) => apiFetch(`/api/music/${id}`, { method:'PATCH', headers:{'Content-Type':'application/json'}, body: JSON.stringify(changes)}).then(r=>r.json()),
+    bulkUpdate: (ids, changes) => apiFetch('/api/music', { method:'PATCH', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ ids, changes })}).then(r=>r.json()),
+    duplicates: () => apiFetch('/api/music/duplicates').then(r=>r.json()),
+    hashFiles: () => apiFetch('/api/music/duplicates/hash', { method:'POST' }).then(r=>r.json()),
+    merge: (keepId, trackIds) => apiFetch('/api/music/merge', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ keepId, trackIds })}).then(r=>r.json()),
+    history: (id) => apiFetch(`/api/music/${id}/history`).then(r=>r.json()),
+    loudness: (id) => apiFetch(`/api/music/${id}/loudness`, { method:'POST' }).then(r=>r.json()),
+    lyrics: (id) => apiFetch(`/api/music/${id}/lyrics`).then(r=>r.json()),
+    setLyrics: (id, text) => apiFetch(`/api/music/${id}/lyrics`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ text })}).then(r=>r.json()),
+    delLyrics: (id) => apiFetch(`/api/music/${id}/lyrics`, { method:'DELETE' }).then(r=>r.json()),
+    revert: (id, editId) => apiFetch(`/api/music/${id}/revert`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ editId })}).then(r=>r.json()),
+    setRemote: (id, changes) => apiFetch(`/api/music/${id}/remote`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(changes)}).then(r=>r.json()),
+    streamUrl: (id) => `/api/music/stream/${id}`,
+    proxyUrl: (id) => `/api/music/proxy/${id}`,
+    artworkUrl: (t, size='sm') => `/api/music/${t.id}/artwork?size=${size}&v=${encodeURIComponent(t.artwork)}`
+  },
+  browse: {
+    list: (kind, params={}) => apiFetch(`/api/${kind}?${new URLSearchParams(params)}`).then(r=>r.json()),
+    artist: (id) => apiFetch(`/api/artists/${id}`).then(r=>r.json()),
+    album: (id) => apiFetch(`/api/albums/${id}`).then(r=>r.json()),
+  },
+  remote: {
+    get: () => apiFetch('/api/remote').then(r=>r.json()),
+    setSpeaker: (clientId) => apiFetch('/api/remote/speaker', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ clientId })}).then(r=>r.json()),
+    release: () => apiFetch('/api/remote/speaker', { method:'DELETE' }).then(r=>r.json()),
+    command: (command, value) => apiFetch('/api/remote/commands', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ command, value })}).then(r=>r.json()),
+    report: (playerState) => apiFetch('/api/remote/state', { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(playerState)}).then(r=>r.json()),
+  },
+  library: {
+    status: () => apiFetch('/api/library/status').then(r=>r.json()),
+    rescan: () => apiFetch('/api/library/rescan', { method:'POST' }).then(r=>r.json()),
+  },
+  session: {
+    list: () => apiFetch('/api/session').then(r=>r.json()),
+    get: (name) => apiFetch(`/api/session/${encodeURIComponent(name)}`).then(r=>r.json()),
+    save: (name, payload, opts={}) => apiFetch(`/api/session/${encodeURIComponent(name)}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload), ...opts }).then(r=>r.json()),
+    del: (name) => apiFetch(`/api/session/${encodeURIComponent(name)}`, { method:'DELETE' }).then(r=>r.json()),
+  },
+  plays: {
+    start: (trackId) => apiFetch('/api/plays', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ trackId })}).then(r=>r.json()),
+    finish: (id, outcome, playedSeconds, opts={}) => apiFetch(`/api/plays/${id}`, { method:'PATCH', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ outcome, playedSeconds }), ...opts }).then(r=>r.json()),
+    history: (params={}) => apiFetch(`/api/history?${new URLSearchParams(params)}`).then(r=>r.json()),
+    stats: (params={}) => apiFetch(`/api/stats?${new URLSearchParams(params)}`).then(r=>r.json()),
+  },
+  eq: {
+    presets: () => apiFetch('/api/eq/presets').then(r=>r.json()),
+    savePreset: (name, preset) => apiFetch(`/api/eq/presets/${encodeURIComponent(name)}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(preset)}).then(r=>r.json()),
+    delPreset: (name) => apiFetch(`/api/eq/presets/${encodeURIComponent(name)}`, { method:'DELETE' }).then(r=>r.json()),
   },
   playlists: {
-    list: () => fetch('/api/playlists').then(r=>r.json()),
-    create: (name) => fetch('/api/playlists', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name })}).then(r=>r.json()),
-    rename: (id, name) => fetch(`/api/playlists/${id}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name })}).then(r=>r.json()),
-    del: (id) => fetch(`/api/playlists/${id}`, { method:'DELETE' }).then(r=>r.json()),
-    addTrack: (id, trackId) => fetch(`/api/playlists/${id}/tracks`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ trackId })}).then(r=>r.json()),
-    removeTrack: (id, trackId) => fetch(`/api/playlists/${id}/tracks/${trackId}`, { method:'DELETE' }).then(r=>r.json()),
+    list: () => apiFetch('/api/playlists').then(r=>r.json()),
+    create: (name, rules) => apiFetch('/api/playlists', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name, rules })}).then(r=>r.json()),
+    rename: (id, name) => apiFetch(`/api/playlists/${id}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name })}).then(r=>r.json()),
+    share: (id, shared) => apiFetch(`/api/playlists/${id}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ shared })}).then(r=>r.json()),
+    update: (id, changes) => apiFetch(`/api/playlists/${id}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify(changes)}).then(r=>r.json()),
+    del: (id) => apiFetch(`/api/playlists/${id}`, { method:'DELETE' }).then(r=>r.json()),
+    tracks: (id) => apiFetch(`/api/playlists/${id}/tracks`).then(r=>r.json()),
+    addTrack: (id, trackId, opts={}) => apiFetch(`/api/playlists/${id}/tracks`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ trackId, ...opts })}).then(r=>r.json()),
+    moveTrack: (id, from, to, revision) => apiFetch(`/api/playlists/${id}/tracks/move`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ from, to, revision })}).then(r=>r.json()),
+    setTracks: (id, trackIds, revision) => apiFetch(`/api/playlists/${id}/tracks`, { method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ trackIds, revision })}).then(r=>r.json()),
+    removeTrack: (id, trackId, params={}) => apiFetch(`/api/playlists/${id}/tracks/${trackId}?${new URLSearchParams(params)}`, { method:'DELETE' }).then(r=>r.json()),
+    exportUrl: (id, format, token) => `/api/playlists/${id}/export?${new URLSearchParams(token ? { format, token } : { format })}`,
+    import: (payload) => apiFetch('/api/playlists/import', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)}).then(r=>r.json()),
   }
 };
 
@@ -23,45 +117,293 @@ const $ = (sel, root=document) => root.querySelector(sel);
 const $$ = (sel, root=document) => Array.from(root.querySelectorAll(sel));
 
 // Elements
-const audio = $("#audio");
+// Two decks: `audio` is the one playing (and shown in the UI), the other one
+// loads the next track ahead of time (see "Playback engine"). Both fetch in CORS
+// mode from the start: a source loaded without it would play silently once the
+// Web Audio graph is built.
+const decks = [$("#audio"), $("#audioB")];
+decks.forEach(el => { el.crossOrigin = 'anonymous'; });
+let audio = decks[0];
+const authScreen = $("#authScreen");
+const authForm = $("#authForm");
+const authError = $("#authError");
+const authSwitch = $("#authSwitch");
+const userBadge = $("#userBadge");
+const accountDialog = $("#accountDialog");
+const passwordForm = $("#passwordForm");
+const tokenList = $("#tokenList");
+const userList = $("#userList");
 const uploadForm = $("#uploadForm");
 const fileInput = $("#fileInput");
+const linkDuplicates = $("#linkDuplicates");
+const uploadProgress = $("#uploadProgress");
+const uploadResults = $("#uploadResults");
 const streamUrl = $("#streamUrl");
 const addUrlBtn = $("#addUrlBtn");
+const urlOffline = $("#urlOffline");
 const searchInput = $("#searchInput");
 const genreFilter = $("#genreFilter");
 const artistFilter = $("#artistFilter");
+const albumFilter = $("#albumFilter");
+const libraryCount = $("#libraryCount");
 const trackList = $("#trackList");
+const tracksView = $("#tracksView");
+const browseView = $("#browseView");
+const browseFilter = $("#browseFilter");
+const browseSort = $("#browseSort");
+const browseGrid = $("#browseGrid");
+const browseDetail = $("#browseDetail");
+const browseTrackList = $("#browseTrackList");
+const bulkBar = $("#bulkBar");
+const selectedCount = $("#selectedCount");
+const editSelectedBtn = $("#editSelectedBtn");
+const shortcutsDialog = $("#shortcutsDialog");
+const shortcutList = $("#shortcutList");
+const clearSelectionBtn = $("#clearSelectionBtn");
+const lyricsPanel = $("#lyricsPanel");
+const lyricsList = $("#lyricsList");
+const lyricsSource = $("#lyricsSource");
+const lyricsDialog = $("#lyricsDialog");
+const lyricsForm = $("#lyricsForm");
+const smartDialog = $("#smartDialog");
+const smartForm = $("#smartForm");
+const smartConditions = $("#smartConditions");
+const editDialog = $("#editDialog");
+const editForm = $("#editForm");
+const editHeading = $("#editHeading");
+const editHint = $("#editHint");
+const editRemote = $("#editRemote");
+const editRemoteSrc = $("#editRemoteSrc");
+const editHistory = $("#editHistory");
+const editHistoryList = $("#editHistoryList");
 const playlistList = $("#playlistList");
+const playlistDialog = $("#playlistDialog");
+const playlistTrackList = $("#playlistTrackList");
+const libraryStatus = $("#libraryStatus");
+const libraryStatusText = $("#libraryStatusText");
+const rescanBtn = $("#rescanBtn");
+const findDuplicatesBtn = $("#findDuplicatesBtn");
+const dupDialog = $("#dupDialog");
+const dupGroups = $("#dupGroups");
 const newPlaylistBtn = $("#newPlaylistBtn");
+const newSmartPlaylistBtn = $("#newSmartPlaylistBtn");
+const playlistImportInput = $("#playlistImportInput");
 
 const npTitle = $("#npTitle");
 const npSubtitle = $("#npSubtitle");
+const npArt = $("#npArt");
 const currentTimeEl = $("#currentTime");
 const durationEl = $("#duration");
 const seekBar = $("#seekBar");
 const volumeBar = $("#volumeBar");
+const normSelect = $("#normSelect");
+const eqBtn = $("#eqBtn");
+const eqDialog = $("#eqDialog");
+const eqEnabled = $("#eqEnabled");
+const eqPresetSelect = $("#eqPresetSelect");
+const eqPreamp = $("#eqPreamp");
+const eqBandsEl = $("#eqBands");
+const vizBtn = $("#vizBtn");
+const vizCanvas = $("#visualizer");
+const crossfadeBar = $("#crossfadeBar");
+const crossfadeValue = $("#crossfadeValue");
 const playPauseBtn = $("#playPauseBtn");
 const prevBtn = $("#prevBtn");
 const nextBtn = $("#nextBtn");
+const shuffleBtn = $("#shuffleBtn");
+const repeatBtn = $("#repeatBtn");
 
 const queueList = $("#queueList");
 const clearQueueBtn = $("#clearQueueBtn");
+const sessionSelect = $("#sessionSelect");
 const themeToggle = $("#themeToggle");
+const recentList = $("#recentList");
+const statsBtn = $("#statsBtn");
+const statsDialog = $("#statsDialog");
+const statsRange = $("#statsRange");
+const statsSummary = $("#statsSummary");
+const statsLists = $("#statsLists");
+const remoteBtn = $("#remoteBtn");
+const remoteBanner = $("#remoteBanner");
+const remoteDialog = $("#remoteDialog");
+const remotePanel = $("#remotePanel");
+const remoteSeek = $("#remoteSeek");
+const remoteVolume = $("#remoteVolume");
 
 const tTrack = $("#trackItemTemplate");
 const tPlaylist = $("#playlistItemTemplate");
 
 const THEME_KEY = 'fullstack-player-theme';
+const SETTINGS_KEY = 'fullstack-player-settings';
+const SESSION_KEY = 'fullstack-player-session';
 
 // State
 const state = {
-  tracks: [],      // {id, type, src/path, title, artist, album, genre, duration}
+  trackIndex: new Map(), // id -> track {id, type, src/path, title, ...}: the loaded library rows plus whatever the queue and selection refer to
+  library: { items: [], total: 0, cursor: null, loading: false, seq: 0 }, // current search results, loaded page by page
   queue: [],       // array of track ids
   currentIndex: -1,
-  playlists: {},   // {id:{id,name,trackIds:[]}}
+  repeat: 'off',   // 'off' | 'all' | 'one'
+  shuffle: 'off',  // 'off' | 'on' | 'smart' (smart avoids the same artist twice in a row)
+  normalization: 'off', // 'off' | 'track' | 'album' (ReplayGain)
+  volume: 1,
+  crossfade: 0,    // seconds (0-12); 0 = gapless
+  eq: { enabled: false, preset: 'Flat', preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  eqPresets: [],   // [{ name, builtIn, preamp, gains }] from the server
+  visualizer: 'off', // 'off' | 'spectrum' | 'scope'
+  shortcuts: {},   // action -> key, see SHORTCUTS (filled in by loadSettings)
+  shuffleOrder: null, // queue indices in play order while shuffling, else null
+  playlists: {},   // {id:{id,name,trackIds:[]}} or {id,name,type:'smart',rules}
+  selected: new Set(), // track ids ticked in the library for bulk edit
 };
 
+// -------- Accounts --------
+const auth = { user: null, mode: 'login', setup: false, signup: false };
+
+// Hide the app behind the sign-in form. `me` is a /api/auth/me response, if at hand.
+async function showAuthScreen(me) {
+  if (!authScreen.hidden) return;
+  decks.forEach(el => el.pause());
+  auth.user = null;
+  document.body.classList.add('signed-out');
+  authScreen.hidden = false;
+  me = me || await API.auth.me().catch(() => ({}));
+  auth.setup = Boolean(me.setup);
+  auth.signup = Boolean(me.signup);
+  setAuthMode(auth.setup ? 'register' : 'login');
+}
+
+function setAuthMode(mode) {
+  auth.mode = mode;
+  const register = mode === 'register';
+  $("#authHeading").textContent = auth.setup ? 'Create the admin account' : register ? 'Create an account' : 'Sign in';
+  $("#authHint").textContent = auth.setup ? 'No accounts exist yet. The first account manages the library and the other users.' : '';
+  $("#authSubmit").textContent = register ? 'Create account' : 'Sign in';
+  authSwitch.hidden = auth.setup || !auth.signup;
+  authSwitch.textContent = register ? 'I already have an account' : 'Create an account';
+  authForm.elements.password.autocomplete = register ? 'new-password' : 'current-password';
+  authError.hidden = true;
+}
+
+async function submitAuth() {
+  const creds = { username: authForm.elements.username.value.trim(), password: authForm.elements.password.value };
+  const res = await (auth.mode === 'register' ? API.auth.register(creds) : API.auth.login(creds)).catch(() => ({}));
+  if (!res.ok) {
+    authError.textContent = res.error || 'Could not sign in';
+    authError.hidden = false;
+    return;
+  }
+  // start over so nothing of a previous user's queue or playlists lingers
+  location.reload();
+}
+
+function signedIn(user) {
+  auth.user = user;
+  document.body.classList.remove('signed-out');
+  document.body.classList.toggle('is-admin', user.role === 'admin');
+  authScreen.hidden = true;
+  userBadge.textContent = user.role === 'admin' ? `${user.username} (admin)` : user.username;
+}
+
+async function logout() {
+  await API.auth.logout().catch(() => {});
+  location.reload();
+}
+
+function accountRow(titleText, subtitleText, actions) {
+  const li = document.createElement('li'); li.className = 'item';
+  const main = document.createElement('div'); main.className = 'item-main';
+  const title = document.createElement('div'); title.className = 'item-title'; title.textContent = titleText;
+  const sub = document.createElement('div'); sub.className = 'item-subtitle'; sub.textContent = subtitleText;
+  main.appendChild(title); main.appendChild(sub);
+  const box = document.createElement('div'); box.className = 'item-actions';
+  actions.forEach(a => box.appendChild(a));
+  li.appendChild(main); li.appendChild(box);
+  return li;
+}
+
+function smallButton(label, onClick, kind='secondary') {
+  const b = document.createElement('button');
+  b.type = 'button'; b.className = `btn small ${kind}`; b.textContent = label;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+async function renderTokens() {
+  const res = await API.auth.tokens();
+  tokenList.innerHTML = '';
+  (res.tokens || []).forEach(t => {
+    const sub = [t.scope === 'stream' ? 'stream links only' : '', `created ${fmtAgo(t.createdAt)}`,
+      t.lastUsedAt ? `last used ${fmtAgo(t.lastUsedAt)}` : 'never used'].filter(Boolean).join(' • ');
+    tokenList.appendChild(accountRow(t.name, sub, [smallButton('Revoke', async () => {
+      if (!confirm(`Revoke token "${t.name}"? Scripts using it stop working.`)) return;
+      await API.auth.delToken(t.id);
+      renderTokens();
+    }, 'danger')]));
+  });
+  if (!tokenList.children.length) {
+    const empty = document.createElement('li'); empty.className = 'item-subtitle'; empty.textContent = 'No tokens.';
+    tokenList.appendChild(empty);
+  }
+}
+
+async function createToken() {
+  const name = (prompt('Token name (e.g. "backup script"):') || '').trim();
+  if (!name) return;
+  const res = await API.auth.createToken(name);
+  if (!res.ok) { alert(res.error || 'Could not create token'); return; }
+  prompt('Copy the token now; it will not be shown again.', res.secret);
+  renderTokens();
+}
+
+async function renderUsers() {
+  const res = await API.users.list();
+  userList.innerHTML = '';
+  (res.users || []).forEach(u => {
+    const self = u.id === auth.user.id;
+    const other = u.role === 'admin' ? 'listener' : 'admin';
+    const actions = self ? [] : [
+      smallButton(`Make ${other}`, async () => {
+        const r = await API.users.update(u.id, { role: other });
+        if (!r.ok) alert(r.error || 'Could not change role');
+        renderUsers();
+      }),
+      smallButton('Delete', async () => {
+        if (!confirm(`Delete user "${u.username}" with their playlists, sessions and history?`)) return;
+        const r = await API.users.del(u.id);
+        if (!r.ok) alert(r.error || 'Could not delete user');
+        renderUsers();
+      }, 'danger')
+    ];
+    userList.appendChild(accountRow(self ? `${u.username} (you)` : u.username, u.role, actions));
+  });
+}
+
+async function createUser() {
+  const username = (prompt('Username:') || '').trim();
+  if (!username) return;
+  const password = prompt(`Password for ${username} (at least 8 characters):`);
+  if (!password) return;
+  const role = confirm(`Make ${username} an admin? (Cancel = listener)`) ? 'admin' : 'listener';
+  const res = await API.users.create({ username, password, role });
+  if (!res.ok) { alert(res.error || 'Could not create user'); return; }
+  renderUsers();
+}
+
+async function openAccount() {
+  passwordForm.reset();
+  accountDialog.showModal();
+  await Promise.all([renderTokens(), auth.user?.role === 'admin' ? renderUsers() : null]);
+}
+
+async function changePassword() {
+  const f = passwordForm.elements;
+  const res = await API.auth.password(f.currentPassword.value, f.newPassword.value);
+  if (!res.ok) { alert(res.error || 'Could not change password'); return; }
+  passwordForm.reset();
+  alert('Password changed. Other devices have been signed out.');
+}
+
 // -------- Theme --------
 function loadTheme() {
   const t = localStorage.getItem(THEME_KEY) || 'light';
@@ -72,6 +414,33 @@ function saveTheme() {
   localStorage.setItem(THEME_KEY, t);
 }
 
+// -------- Player settings --------
+function loadSettings() {
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}; } catch (e) {}
+  if (typeof saved.volume === 'number') { state.volume = saved.volume; volumeBar.value = saved.volume; applyVolume(); }
+  if (saved.crossfade >= 0 && saved.crossfade <= 12) state.crossfade = saved.crossfade;
+  crossfadeBar.value = state.crossfade;
+  renderCrossfade();
+  if (saved.eq && Array.isArray(saved.eq.gains) && saved.eq.gains.length === EQ_BANDS.length) state.eq = { ...state.eq, ...saved.eq };
+  if (['off','spectrum','scope'].includes(saved.visualizer)) state.visualizer = saved.visualizer;
+  if (state.eq.enabled) applyEq();
+  renderVisualizer();
+  if (['off','all','one'].includes(saved.repeat)) state.repeat = saved.repeat;
+  if (['off','on','smart'].includes(saved.shuffle)) state.shuffle = saved.shuffle;
+  if (['off','track','album'].includes(saved.normalization)) state.normalization = saved.normalization;
+  normSelect.value = state.normalization;
+  state.shortcuts = defaultShortcuts();
+  Object.entries(saved.shortcuts || {}).forEach(([action, key]) => {
+    if (SHORTCUTS[action] && typeof key === 'string') state.shortcuts[action] = key;
+  });
+  renderModeButtons();
+}
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ volume: state.volume, repeat: state.repeat, shuffle: state.shuffle, normalization: state.normalization, crossfade: state.crossfade, eq: state.eq, visualizer: state.visualizer, shortcuts: state.shortcuts }));
+  scheduleSessionSave();
+}
+
 // -------- Utilities --------
 const uid = () => Math.random().toString(36).slice(2,9);
 const fmtTime = (sec=0) => {
@@ -80,83 +449,184 @@ const fmtTime = (sec=0) => {
   return `${m}:${s.toString().padStart(2,'0')}`;
 };
 
-function getTrackById(id){ return state.tracks.find(t => t.id === id); }
-
-function rebuildFacetOptions() {
-  const genres = new Set();
-  const artists = new Set();
-  state.tracks.forEach(t => { if (t.genre) genres.add(t.genre); if (t.artist) artists.add(t.artist); });
-  const addOptions = (sel, values) => {
-    const existing = new Set(Array.from(sel.options).map(o=>o.value));
-    values.forEach(v => {
-      if (!existing.has(v)) {
-        const o = document.createElement('option');
-        o.value = v; o.textContent = v;
-        sel.appendChild(o);
-      }
-    });
+function getTrackById(id){ return state.trackIndex.get(id); }
+
+// Fetch the tracks among `ids` that aren't in state.trackIndex yet.
+async function ensureTracks(ids) {
+  const missing = [...new Set(ids)].filter(id => !getTrackById(id));
+  if (!missing.length) return;
+  const res = await API.music.byIds(missing);
+  (res.tracks || []).forEach(t => state.trackIndex.set(t.id, t));
+}
+
+const ART_PLACEHOLDER = 'data:image/svg+xml,' + encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" fill="#8884"/>' +
+  '<text x="32" y="43" font-size="28" text-anchor="middle" fill="#fff9">♪</text></svg>'
+);
+function setArtwork(img, track, size='sm') {
+  img.onerror = () => { img.onerror = null; img.src = ART_PLACEHOLDER; };
+  img.src = track && track.artwork ? API.music.artworkUrl(track, size) : ART_PLACEHOLDER;
+}
+
+// Replace filter options with the facet counts of the latest search,
+// keeping the current choice even when it no longer matches anything.
+function rebuildFacetOptions(facets={}) {
+  const fill = (sel, label, values=[]) => {
+    const current = sel.value;
+    sel.innerHTML = '';
+    sel.appendChild(new Option(label, ''));
+    values.forEach(({ value, count }) => sel.appendChild(new Option(`${value} (${count})`, value)));
+    if (current && !values.some(v => v.value === current)) sel.appendChild(new Option(`${current} (0)`, current));
+    sel.value = current;
   };
-  addOptions(genreFilter, genres);
-  addOptions(artistFilter, artists);
-}
-
-function filterTracks() {
-  const q = searchInput.value.toLowerCase();
-  const g = genreFilter.value;
-  const a = artistFilter.value;
-  return state.tracks.filter(t => {
-    const textOk = !q || [t.title, t.artist, t.album].join(' ').toLowerCase().includes(q);
-    const gOk = !g || t.genre === g;
-    const aOk = !a || t.artist === a;
-    return textOk && gOk && aOk;
-  });
+  fill(genreFilter, 'All genres', facets.genre);
+  fill(artistFilter, 'All artists', facets.artist);
+  fill(albumFilter, 'All albums', facets.album);
+}
+
+// -------- Library search (server-side, paged) --------
+const PAGE_SIZE = 100;
+const ROW_HEIGHT = 70; // px per #trackList row, see .list.virtual in styles.css
+
+function libraryParams() {
+  const params = {};
+  const q = searchInput.value.trim();
+  if (q) params.q = q;
+  if (genreFilter.value) params.genre = genreFilter.value;
+  if (artistFilter.value) params.artist = artistFilter.value;
+  if (albumFilter.value) params.album = albumFilter.value;
+  return params;
+}
+
+// Load the next page of results, or start over with `reset` (keeping at
+// least `limit` rows so a refresh doesn't lose the scroll position).
+async function loadLibrary({ reset=false, limit=PAGE_SIZE } = {}) {
+  const lib = state.library;
+  if (!reset && (lib.loading || !lib.cursor)) return;
+  const seq = ++lib.seq;
+  lib.loading = true;
+  const params = { ...libraryParams(), limit };
+  if (!reset) params.cursor = lib.cursor;
+  let res;
+  try {
+    res = await API.music.search(params);
+    if (res.ok === false) throw new Error(res.error || 'search failed');
+  } catch (e) {
+    if (seq === lib.seq) libraryCount.textContent = `Could not load the library: ${e.message}`;
+    return;
+  } finally {
+    if (seq === lib.seq) lib.loading = false;
+  }
+  if (seq !== lib.seq) return; // superseded by a newer search
+  if (reset) lib.items = [];
+  lib.items.push(...(res.tracks || []));
+  (res.tracks || []).forEach(t => state.trackIndex.set(t.id, t));
+  lib.total = res.total || 0;
+  lib.cursor = res.nextCursor || null;
+  if (reset) rebuildFacetOptions(res.facets);
+  libraryCount.textContent = `${lib.total} track${lib.total === 1 ? '' : 's'}`;
+  renderTrackList();
+}
+
+function searchLibrary() {
+  trackList.scrollTop = 0;
+  loadLibrary({ reset: true });
+}
+
+let searchTimer = null;
+function searchLibraryDebounced() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(searchLibrary, 200);
 }
 
 // -------- Rendering --------
+function buildTrackRow(t) {
+  const node = tTrack.content.firstElementChild.cloneNode(true);
+  node.dataset.id = t.id;
+  setArtwork(node.querySelector('.art'), t);
+  const select = node.querySelector('.select');
+  select.checked = state.selected.has(t.id);
+  select.addEventListener('change', () => toggleSelected(t.id, select.checked));
+  node.querySelector('.item-title').textContent = t.title || 'Untitled';
+  node.querySelector('.item-subtitle').textContent = [t.missing ? 'Unavailable' : '', t.artist, t.album, t.genre].filter(Boolean).join(' • ');
+  node.classList.toggle('unavailable', Boolean(t.missing));
+  node.querySelector("[data-action='queue']").addEventListener('click', () => enqueueTrack(t.id));
+  node.querySelector("[data-action='addToPlaylist']").addEventListener('click', () => addTrackToPlaylistFlow(t.id));
+  node.querySelector("[data-action='edit']").addEventListener('click', () => openEditor([t.id]));
+  node.querySelector("[data-action='delete']").addEventListener('click', async () => {
+    if (!confirm('Delete this track?')) return;
+    await API.music.del(t.id);
+    await refreshAll();
+  });
+  node.querySelector('.item-main').addEventListener('click', () => enqueueTrack(t.id, { playNow: true }));
+  return node;
+}
+
+// Virtualized: only the rows in (and just around) the viewport exist in the DOM.
+// A sizer element keeps the scroll height at `total` rows.
 function renderTrackList() {
-  trackList.innerHTML = '';
-  const items = filterTracks();
-  items.forEach(t => {
-    const node = tTrack.content.firstElementChild.cloneNode(true);
-    node.dataset.id = t.id;
-    node.querySelector('.item-title').textContent = t.title || 'Untitled';
-    node.querySelector('.item-subtitle').textContent = [t.artist, t.album, t.genre].filter(Boolean).join(' • ');
-    node.querySelector("[data-action='queue']").addEventListener('click', () => enqueueTrack(t.id));
-    node.querySelector("[data-action='addToPlaylist']").addEventListener('click', () => addTrackToPlaylistFlow(t.id));
-    node.querySelector("[data-action='delete']").addEventListener('click', async () => {
-      if (!confirm('Delete this track?')) return;
-      await API.music.del(t.id);
-      await refreshAll();
-    });
-    node.querySelector('.item-main').addEventListener('click', () => enqueueTrack(t.id, { playNow: true }));
+  const lib = state.library;
+  let sizer = trackList.querySelector('.virtual-sizer');
+  if (!sizer) {
+    sizer = document.createElement('li');
+    sizer.className = 'virtual-sizer';
+    trackList.appendChild(sizer);
+  }
+  sizer.style.height = `${lib.total * ROW_HEIGHT}px`;
+  $$('.track-item, .empty', trackList).forEach(n => n.remove());
+  if (!lib.total && !lib.loading) {
+    const empty = document.createElement('li'); empty.className = 'empty item-subtitle';
+    empty.textContent = 'No tracks match.';
+    trackList.appendChild(empty);
+    return;
+  }
+  const viewHeight = trackList.clientHeight || 320;
+  const first = Math.max(0, Math.floor(trackList.scrollTop / ROW_HEIGHT) - 5);
+  const last = Math.min(lib.items.length, Math.ceil((trackList.scrollTop + viewHeight) / ROW_HEIGHT) + 5);
+  for (let i = first; i < last; i++) {
+    const node = buildTrackRow(lib.items[i]);
+    node.style.top = `${i * ROW_HEIGHT}px`;
     trackList.appendChild(node);
-  });
+  }
+  if (last + 20 >= lib.items.length && lib.cursor) loadLibrary();
 }
 
+// Rows follow play order, so while shuffling the list shows what plays next.
 function renderQueue() {
   queueList.innerHTML = '';
-  state.queue.forEach((id, idx) => {
+  playOrder().forEach((idx, pos) => {
+    const id = state.queue[idx];
     const t = getTrackById(id);
     if (!t) return;
     const li = document.createElement('li');
-    li.className = 'item';
+    li.className = 'item with-art';
+    makeSortable(li, pos, queueMove);
+    li.classList.toggle('current', idx === state.currentIndex);
+    const art = document.createElement('img'); art.className = 'art'; art.alt = ''; art.loading = 'lazy';
+    setArtwork(art, t);
     const main = document.createElement('div'); main.className = 'item-main';
     const title = document.createElement('div'); title.className = 'item-title'; title.textContent = t.title || 'Untitled';
     const sub = document.createElement('div'); sub.className = 'item-subtitle'; sub.textContent = [t.artist, t.album].filter(Boolean).join(' • ');
     main.appendChild(title); main.appendChild(sub);
     const actions = document.createElement('div'); actions.className = 'item-actions';
     const playBtn = document.createElement('button'); playBtn.className = 'btn small'; playBtn.textContent = 'Play ▶️';
-    playBtn.addEventListener('click', () => { state.currentIndex = idx; playCurrent(); });
+    playBtn.addEventListener('click', () => {
+      // a remote control starts this queue on the speaker
+      if (sendRemote('enqueue', { trackIds: state.queue, playNow: true, startIndex: idx })) return;
+      state.currentIndex = idx; playCurrent();
+    });
     const remBtn = document.createElement('button'); remBtn.className = 'btn small danger'; remBtn.textContent = 'Remove';
     remBtn.addEventListener('click', () => {
-      state.queue.splice(idx,1);
-      if (idx === state.currentIndex) { audio.pause(); audio.currentTime = 0; state.currentIndex = -1; updateNowPlaying(null); }
-      else if (idx < state.currentIndex) { state.currentIndex -= 1; }
+      const wasCurrent = idx === state.currentIndex;
+      queueRemove(idx);
+      if (wasCurrent) { closePlay('stopped'); stopPlayback(); audio.currentTime = 0; updateNowPlaying(null); }
       renderQueue();
     });
     actions.appendChild(playBtn); actions.appendChild(remBtn);
-    li.appendChild(main); li.appendChild(actions); queueList.appendChild(li);
+    li.appendChild(art); li.appendChild(main); li.appendChild(actions); queueList.appendChild(li);
   });
+  refocusMovedRow(queueList);
+  scheduleSessionSave();
 }
 
 function renderPlaylists() {
@@ -165,12 +635,29 @@ function renderPlaylists() {
     const node = tPlaylist.content.firstElementChild.cloneNode(true);
     node.dataset.id = pl.id;
     node.querySelector('.item-title').textContent = pl.name;
-    node.querySelector('.item-subtitle').textContent = `${pl.trackIds.length} tracks`;
-    node.querySelector("[data-action='play']").addEventListener('click', () => {
-      state.queue = pl.trackIds.slice();
-      state.currentIndex = 0;
-      renderQueue();
-      playCurrent();
+    const smart = pl.type === 'smart';
+    const summary = smart ? `Smart • ${pl.rules.conditions.length} rule${pl.rules.conditions.length === 1 ? '' : 's'}` : `${pl.trackIds.length} tracks`;
+    const sharing = pl.readOnly ? `shared by ${pl.owner}` : pl.shared ? 'shared' : '';
+    node.querySelector('.item-subtitle').textContent = [summary, sharing].filter(Boolean).join(' • ');
+    node.querySelector("[data-action='play']").addEventListener('click', async () => {
+      const res = await API.playlists.tracks(pl.id);
+      const ids = (res.tracks || []).map(t => t.id);
+      if (!ids.length) { alert(`"${pl.name}" has no tracks right now.`); return; }
+      await ensureTracks(ids);
+      playTracks(ids);
+    });
+    node.querySelector("[data-action='open']").addEventListener('click', () => openPlaylist(pl.id));
+    const rulesBtn = node.querySelector("[data-action='rules']");
+    rulesBtn.hidden = !smart || pl.readOnly;
+    rulesBtn.addEventListener('click', () => openSmartEditor(pl));
+    // playlists shared by other users can be played and exported, not changed
+    ['share', 'rename', 'delete'].forEach(a => { node.querySelector(`[data-action='${a}']`).hidden = pl.readOnly; });
+    const shareBtn = node.querySelector("[data-action='share']");
+    shareBtn.textContent = pl.shared ? 'Unshare' : 'Share';
+    shareBtn.addEventListener('click', async () => {
+      const res = await API.playlists.share(pl.id, !pl.shared);
+      if (!res.ok) alert(res.error || 'Could not change sharing');
+      await refreshPlaylists();
     });
     node.querySelector("[data-action='rename']").addEventListener('click', async () => {
       const name = prompt('Rename playlist', pl.name);
@@ -179,6 +666,7 @@ function renderPlaylists() {
         await refreshPlaylists();
       }
     });
+    node.querySelector("[data-action='export']").addEventListener('click', () => exportPlaylistFlow(pl));
     node.querySelector("[data-action='delete']").addEventListener('click', async () => {
       if (!confirm(`Delete playlist "${pl.name}"?`)) return;
       await API.playlists.del(pl.id);
@@ -189,55 +677,1269 @@ function renderPlaylists() {
 }
 
 // -------- Queue & Playback --------
+// URL tracks play from their offline copy if they have one, else through the
+// server's proxy (same origin, so the audio graph can use them) unless that
+// was turned off for the track.
 function trackToSrc(t) {
-  if (t.type === 'file') return API.music.streamUrl(t.id);
-  if (t.type === 'url') return t.src;
+  if (t.type === 'file' || t.offline) return API.music.streamUrl(t.id);
+  if (t.type === 'url') return t.proxy === false ? t.src : API.music.proxyUrl(t.id);
   return '';
 }
 
+// Queue indices in the order they will play.
+function playOrder() {
+  return state.shuffleOrder || state.queue.map((_, i) => i);
+}
+
+// Random order over the whole queue starting with `firstIndex` (if >= 0). Smart
+// shuffle avoids following a track with another by the same artist when it can.
+function buildShuffleOrder(firstIndex, prevArtist='') {
+  const rest = state.queue.map((_, i) => i).filter(i => i !== firstIndex);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  const order = firstIndex >= 0 ? [firstIndex] : [];
+  if (state.shuffle !== 'smart') return order.concat(rest);
+  const artistAt = (i) => (getTrackById(state.queue[i])?.artist || '').toLowerCase();
+  let last = order.length ? artistAt(order[0]) : prevArtist.toLowerCase();
+  while (rest.length) {
+    let pick = rest.findIndex(i => !last || artistAt(i) !== last);
+    if (pick === -1) pick = 0;
+    const [i] = rest.splice(pick, 1);
+    order.push(i);
+    last = artistAt(i);
+  }
+  return order;
+}
+
+function setShuffle(mode) {
+  state.shuffle = mode;
+  // turning shuffle off returns to queue order; currentIndex already points at the playing track
+  state.shuffleOrder = mode === 'off' ? null : buildShuffleOrder(state.currentIndex);
+  renderModeButtons(); renderQueue(); saveSettings();
+}
+
+function setQueue(ids, startIndex=0) {
+  state.queue = ids.slice();
+  state.currentIndex = state.queue.length ? startIndex : -1;
+  state.shuffleOrder = state.shuffle === 'off' ? null : buildShuffleOrder(state.currentIndex);
+  renderQueue();
+}
+
+// Insert a track id at queue index `at`. While shuffling it plays right after
+// the current track when `upNext`, otherwise somewhere among the unplayed tracks.
+function queueInsert(at, id, { upNext=false } = {}) {
+  state.queue.splice(at, 0, id);
+  if (state.currentIndex >= at) state.currentIndex += 1;
+  if (!state.shuffleOrder) return;
+  const order = state.shuffleOrder.map(i => (i >= at ? i + 1 : i));
+  const pos = order.indexOf(state.currentIndex);
+  const from = pos + 1;
+  const slot = upNext ? from : from + Math.floor(Math.random() * (order.length - from + 1));
+  order.splice(slot, 0, at);
+  state.shuffleOrder = order;
+}
+
+function queueRemove(idx) {
+  state.queue.splice(idx, 1);
+  if (idx === state.currentIndex) state.currentIndex = -1;
+  else if (idx < state.currentIndex) state.currentIndex -= 1;
+  if (state.shuffleOrder) {
+    state.shuffleOrder = state.shuffleOrder.filter(i => i !== idx).map(i => (i > idx ? i - 1 : i));
+  }
+}
+
+// Move the row at play-order position `from` to `to`. Without shuffle the queue
+// itself is reordered (currentIndex follows the playing track); while shuffling
+// only the shuffle order changes.
+function queueMove(from, to) {
+  if (state.shuffleOrder) {
+    state.shuffleOrder.splice(to, 0, ...state.shuffleOrder.splice(from, 1));
+  } else {
+    state.queue.splice(to, 0, ...state.queue.splice(from, 1));
+    const cur = state.currentIndex;
+    if (cur === from) state.currentIndex = to;
+    else if (from < cur && to >= cur) state.currentIndex -= 1;
+    else if (from > cur && to <= cur) state.currentIndex += 1;
+  }
+  renderQueue();
+}
+
 function enqueueTrack(id, opts={}) {
   const { playNow=false } = opts;
+  if (sendRemote('enqueue', { trackIds: [id], playNow })) return;
   if (playNow) {
-    if (state.currentIndex === -1) { state.queue = [id]; state.currentIndex = 0; renderQueue(); playCurrent(); }
-    else { state.queue.splice(state.currentIndex+1, 0, id); state.currentIndex += 1; renderQueue(); playCurrent(); }
+    if (state.currentIndex === -1) { setQueue([id]); playCurrent(); }
+    else { queueInsert(state.currentIndex + 1, id, { upNext: true }); state.currentIndex += 1; renderQueue(); playCurrent(); }
   } else {
-    state.queue.push(id); renderQueue();
-    if (state.currentIndex === -1) { state.currentIndex = 0; playCurrent(); }
+    queueInsert(state.queue.length, id); renderQueue();
+    if (state.currentIndex === -1) { state.currentIndex = playOrder()[0]; playCurrent(); }
   }
 }
 
-function playCurrent() {
+// Add several tracks at the end of the queue (in one command to the speaker).
+function enqueueTracks(ids) {
+  if (!ids.length || sendRemote('enqueue', { trackIds: ids })) return;
+  ids.forEach(id => enqueueTrack(id));
+}
+
+// Replace the queue with `ids` and play from `startIndex`.
+function playTracks(ids, startIndex=0) {
+  if (sendRemote('enqueue', { trackIds: ids, playNow: true, startIndex })) return;
+  setQueue(ids, startIndex);
+  playCurrent();
+}
+
+// `skipped` counts unplayable tracks passed over, so a queue of only missing
+// tracks stops instead of looping forever under repeat-all. With
+// `autoplay: false` the track is only loaded (and cued to `startAt` seconds).
+function playCurrent({ skipped=0, autoplay=true, startAt=0 } = {}) {
   if (state.currentIndex < 0 || state.currentIndex >= state.queue.length) {
-    audio.pause(); updateNowPlaying(null); return;
+    stopPlayback(); updateNowPlaying(null); return;
   }
   const id = state.queue[state.currentIndex];
   const track = getTrackById(id);
-  if (!track) { next(); return; }
-  audio.src = trackToSrc(track);
-  audio.play().catch(()=>{});
+  closePlay('skipped');
+  if (!track || track.missing) {
+    if (skipped < state.queue.length) next({ skipped: skipped + 1, autoplay });
+    else { stopPlayback(); updateNowPlaying(null); }
+    return;
+  }
+  armPlay(track.id);
+  loadDeck(track);
+  applyNormalization();
+  const deck = audio;
+  if (startAt > 0) deck.addEventListener('loadedmetadata', () => { deck.currentTime = startAt; }, { once: true });
+  if (autoplay) audio.play().catch(()=>{});
   updateNowPlaying(track);
+  renderQueue();
 }
 
 function updateNowPlaying(track) {
+  reportRemoteState();
   if (!track) {
     npTitle.textContent = 'Nothing playing';
     npSubtitle.textContent = '';
     durationEl.textContent = '0:00';
     currentTimeEl.textContent = '0:00';
     seekBar.value = 0;
+    setArtwork(npArt, null);
+    loadLyrics(null);
+    updateMediaSession(null);
     return;
   }
+  setArtwork(npArt, track, 'md');
   npTitle.textContent = track.title || 'Untitled';
   npSubtitle.textContent = [track.artist, track.album, track.genre].filter(Boolean).join(' • ');
+  loadLyrics(track);
+  updateMediaSession(track);
 }
 
-function next() {
-  if (state.currentIndex < state.queue.length - 1) { state.currentIndex += 1; playCurrent(); }
-  else { audio.pause(); }
+// `auto` is set when the current track ended by itself (repeat-one replays it).
+function next({ auto=false, skipped=0, autoplay=true } = {}) {
+  if (!auto && !skipped && sendRemote('next')) return;
+  if (auto && state.repeat === 'one' && state.currentIndex >= 0) {
+    armPlay(state.queue[state.currentIndex]);
+    audio.currentTime = 0; audio.play().catch(()=>{}); return;
+  }
+  const order = playOrder();
+  const pos = order.indexOf(state.currentIndex);
+  if (pos < order.length - 1) { state.currentIndex = order[pos + 1]; playCurrent({ skipped, autoplay }); return; }
+  if (state.repeat === 'all' && state.queue.length) {
+    if (state.shuffleOrder) {
+      // fresh order for the next round, not starting with the track that just played
+      const lastArtist = getTrackById(state.queue[state.currentIndex])?.artist || '';
+      let order2 = buildShuffleOrder(-1, lastArtist);
+      if (order2.length > 1 && order2[0] === state.currentIndex) order2.push(order2.shift());
+      state.shuffleOrder = order2;
+    }
+    state.currentIndex = playOrder()[0];
+    playCurrent({ skipped, autoplay });
+    return;
+  }
+  stopPlayback();
+}
+function togglePlay() {
+  if (sendRemote('toggle')) return;
+  if (audio.paused) audio.play().catch(()=>{});
+  else { cancelTransition(); audio.pause(); }
+}
+function seekBy(seconds) {
+  if (controllingRemote()) {
+    if (remote.state?.trackId) sendRemote('seek', Math.max(0, remotePosition() + seconds));
+    return;
+  }
+  if (state.currentIndex < 0) return;
+  const end = Number.isFinite(audio.duration) ? audio.duration : Infinity;
+  audio.currentTime = Math.min(end, Math.max(0, (audio.currentTime || 0) + seconds));
 }
 function prev() {
+  if (sendRemote('prev')) return;
   if (audio.currentTime > 3) { audio.currentTime = 0; return; }
-  if (state.currentIndex > 0) { state.currentIndex -= 1; playCurrent(); }
+  const order = playOrder();
+  const pos = order.indexOf(state.currentIndex);
+  if (pos > 0) { state.currentIndex = order[pos - 1]; playCurrent(); }
+  else if (state.repeat === 'all' && order.length) { state.currentIndex = order[order.length - 1]; playCurrent(); }
+}
+
+const REPEAT_MODES = { off: ['🔁', 'Repeat: off'], all: ['🔁', 'Repeat: all'], one: ['🔂', 'Repeat: one'] };
+const SHUFFLE_MODES = { off: ['🔀', 'Shuffle: off'], on: ['🔀', 'Shuffle: on'], smart: ['🔀', 'Smart shuffle: avoids the same artist twice in a row'] };
+
+function renderModeButtons() {
+  [repeatBtn.textContent, repeatBtn.title] = REPEAT_MODES[state.repeat];
+  repeatBtn.classList.toggle('active', state.repeat !== 'off');
+  repeatBtn.setAttribute('aria-pressed', String(state.repeat !== 'off'));
+  [shuffleBtn.textContent, shuffleBtn.title] = SHUFFLE_MODES[state.shuffle];
+  shuffleBtn.classList.toggle('active', state.shuffle !== 'off');
+  shuffleBtn.classList.toggle('smart', state.shuffle === 'smart');
+  shuffleBtn.setAttribute('aria-pressed', String(state.shuffle !== 'off'));
+}
+
+// -------- Playback engine --------
+// The next queue item is loaded on the idle deck shortly before the current one
+// ends, then started right at the end (gapless) or faded in over
+// `state.crossfade` seconds. Tracks of the same album always follow gaplessly.
+const PRELOAD_AHEAD = 20; // seconds before the transition
+const engine = {
+  preloaded: null, // { index, id } loaded on the idle deck
+  timer: null,     // pending gapless start
+  fade: null,      // { outgoing, timer } while crossfading
+};
+const deckLevel = new Map(decks.map(el => [el, 1])); // fade position per deck
+const idleDeck = () => decks.find(el => el !== audio);
+
+function setDeckLevel(el, level) {
+  deckLevel.set(el, level);
+  el.volume = Math.max(0, Math.min(1, state.volume * level));
+}
+function applyVolume() { decks.forEach(el => setDeckLevel(el, deckLevel.get(el))); }
+
+function renderCrossfade() {
+  crossfadeValue.textContent = state.crossfade ? `Crossfade ${state.crossfade}s` : 'Gapless';
+}
+
+// Queue index next() moves to when the current track ends by itself, or -1 when
+// that is not a plain step (repeat-one, end of the queue, a reshuffled round).
+function upcomingIndex() {
+  if (state.currentIndex < 0 || state.repeat === 'one') return -1;
+  const order = playOrder();
+  const pos = order.indexOf(state.currentIndex);
+  if (pos < order.length - 1) return order[pos + 1];
+  if (state.repeat === 'all' && !state.shuffleOrder && order.length > 1) return order[0];
+  return -1;
+}
+
+const sameAlbum = (a, b) => Boolean(a && b && a.album && a.album.toLowerCase() === (b.album || '').toLowerCase());
+
+// The idle deck still holds what the queue says comes next.
+const preloadValid = () => Boolean(engine.preloaded)
+  && engine.preloaded.index === upcomingIndex()
+  && state.queue[engine.preloaded.index] === engine.preloaded.id;
+
+function stopIdleDeck() {
+  const idle = idleDeck();
+  idle.pause();
+  idle.removeAttribute('src');
+  setDeckLevel(idle, 1);
+  engine.preloaded = null;
+}
+
+// Play `track` on a deck: the idle one when it already has it loaded.
+function loadDeck(track) {
+  cancelTransition();
+  if (engine.preloaded && engine.preloaded.id === track.id) {
+    const outgoing = audio;
+    audio = idleDeck();
+    engine.preloaded = null;
+    outgoing.pause();
+    audio.currentTime = 0;
+    showDuration();
+  } else {
+    stopIdleDeck();
+    audio.src = trackToSrc(track);
+  }
+  setDeckLevel(audio, 1);
+}
+
+function stopPlayback() {
+  cancelTransition();
+  stopIdleDeck();
+  audio.pause();
+}
+
+function preloadNext() {
+  const index = upcomingIndex();
+  const track = index >= 0 ? getTrackById(state.queue[index]) : null;
+  if (!track || track.missing) return;
+  const idle = idleDeck();
+  engine.preloaded = { index, id: track.id };
+  setDeckLevel(idle, 1);
+  idle.preload = 'auto';
+  idle.src = trackToSrc(track);
+  applyNormalization(idle, track);
+}
+
+// Runs on every timeupdate of the playing deck.
+function checkTransition() {
+  if (engine.fade || audio.paused) return;
+  const remaining = audio.duration - audio.currentTime;
+  if (!Number.isFinite(remaining)) return; // live streams have no end
+  if (engine.preloaded && !preloadValid()) stopIdleDeck();
+  if (!engine.preloaded) {
+    if (remaining <= PRELOAD_AHEAD + state.crossfade) preloadNext();
+    return;
+  }
+  const current = getTrackById(state.queue[state.currentIndex]);
+  const lead = sameAlbum(current, getTrackById(engine.preloaded.id)) ? 0 : state.crossfade;
+  if (lead > 0 && remaining <= lead) startTransition(Math.max(remaining, 0.1));
+  else if (lead === 0 && remaining <= 0.5 && !engine.timer) {
+    engine.timer = setTimeout(() => {
+      engine.timer = null;
+      if (!audio.paused) startTransition(0);
+    }, Math.max(0, remaining * 1000 / (audio.playbackRate || 1)));
+  }
+}
+
+// Hand over to the preloaded deck, fading over `seconds` (0 = cut at the end).
+function startTransition(seconds) {
+  clearTimeout(engine.timer); engine.timer = null;
+  if (!preloadValid()) return false;
+  const outgoing = audio;
+  const incoming = idleDeck();
+  const { index } = engine.preloaded;
+  engine.preloaded = null;
+  closePlay('completed');
+  state.currentIndex = index;
+  const track = getTrackById(state.queue[index]);
+  audio = incoming;
+  armPlay(track.id);
+  setDeckLevel(incoming, seconds > 0 ? 0 : 1);
+  incoming.play().catch(()=>{});
+  if (seconds > 0) crossfade(outgoing, incoming, seconds);
+  else outgoing.pause();
+  showDuration();
+  updateNowPlaying(track);
+  renderQueue();
+  return true;
+}
+
+// Equal-power fade so the overall level stays even.
+function crossfade(outgoing, incoming, seconds) {
+  const started = performance.now();
+  const timer = setInterval(() => {
+    const t = Math.min(1, (performance.now() - started) / (seconds * 1000));
+    setDeckLevel(incoming, Math.sin(t * Math.PI / 2));
+    setDeckLevel(outgoing, Math.cos(t * Math.PI / 2));
+    if (t >= 1) cancelTransition();
+  }, 50);
+  engine.fade = { outgoing, timer };
+}
+
+// Finish a fade at once and drop a pending gapless start.
+function cancelTransition() {
+  clearTimeout(engine.timer); engine.timer = null;
+  if (!engine.fade) return;
+  clearInterval(engine.fade.timer);
+  engine.fade.outgoing.pause();
+  setDeckLevel(engine.fade.outgoing, 1);
+  setDeckLevel(audio, 1);
+  engine.fade = null;
+}
+
+// -------- Audio graph --------
+// One Web Audio graph carries all sound processing:
+//
+//   deck A/B -> gain per deck (normalization) -> input -> [stages] -> analyser -> speakers
+//
+// The stages are the EQ preamp and its ten bands; other effects add theirs with
+// addGraphStage(). The graph is built the first time a feature needs it: once
+// an element feeds Web Audio it can't be detached, and remote streams then
+// need CORS to be heard.
+const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const graph = { ctx: null, gains: new Map(), input: null, stages: [], analyser: null, preamp: null, bands: [] };
+
+function ensureAudioGraph() {
+  if (graph.ctx) return graph.ctx;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  const ctx = graph.ctx = new Ctx();
+  graph.input = ctx.createGain();
+  graph.analyser = ctx.createAnalyser();
+  graph.analyser.fftSize = 2048;
+  graph.analyser.connect(ctx.destination);
+  graph.preamp = ctx.createGain();
+  graph.bands = EQ_BANDS.map((frequency, i) => {
+    const f = ctx.createBiquadFilter();
+    f.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+    f.frequency.value = frequency;
+    f.Q.value = 1.1;
+    return f;
+  });
+  graph.stages = [graph.preamp, ...graph.bands];
+  wireGraph();
+  decks.forEach(el => {
+    const gain = ctx.createGain();
+    ctx.createMediaElementSource(el).connect(gain).connect(graph.input);
+    graph.gains.set(el, gain);
+  });
+  applyEq();
+  return ctx;
+}
+
+function wireGraph() {
+  const chain = [graph.input, ...graph.stages, graph.analyser];
+  chain.slice(0, -1).forEach((node, i) => { node.disconnect(); node.connect(chain[i + 1]); });
+}
+
+// Append an effect (a node or { input, output } pair) after the EQ.
+function addGraphStage(stage) {
+  if (!ensureAudioGraph()) return false;
+  graph.stages.push(stage);
+  wireGraph();
+  return true;
+}
+
+// Linear gain for `track` in the current mode: ReplayGain tags first (album
+// mode falls back to track gain and vice versa), then the server's estimate.
+// The peak caps the gain so a boost never clips; without a peak there is no boost.
+function normalizationGain(track) {
+  if (!track || state.normalization === 'off') return 1;
+  const rg = track.replayGain || {};
+  const album = state.normalization === 'album';
+  let db = album ? (rg.albumGain ?? rg.trackGain) : (rg.trackGain ?? rg.albumGain);
+  let peak = album ? (rg.albumPeak ?? rg.trackPeak) : (rg.trackPeak ?? rg.albumPeak);
+  if (db === undefined && track.loudness && !track.loudness.error) ({ gain: db, peak } = track.loudness);
+  if (db === undefined) return 1;
+  const linear = Math.pow(10, db / 20);
+  return peak > 0 ? Math.min(linear, 1 / peak) : Math.min(linear, 1);
+}
+
+const needsEstimate = (t) => (t.type === 'file' || t.offline) && !t.replayGain && (t.loudness === undefined || Boolean(t.loudness?.error));
+
+// Set the normalization gain of `deck` for the track it plays.
+async function applyNormalization(deck=audio, track=getTrackById(state.queue[state.currentIndex])) {
+  if (state.normalization === 'off' && !graph.ctx) return;
+  if (!ensureAudioGraph()) return;
+  if (graph.ctx.state === 'suspended') graph.ctx.resume().catch(()=>{});
+  const loaded = deck.getAttribute('src');
+  const set = () => {
+    if (deck.getAttribute('src') !== loaded) return; // deck moved on meanwhile
+    const gain = normalizationGain(track);
+    graph.gains.get(deck).gain.setTargetAtTime(gain, graph.ctx.currentTime, 0.05);
+    if (deck === audio) normSelect.title = `Loudness normalization${gain !== 1 ? ` (${(20 * Math.log10(gain)).toFixed(1)} dB)` : ''}`;
+  };
+  set();
+  if (track && state.normalization !== 'off' && needsEstimate(track)) {
+    const res = await API.music.loudness(track.id).catch(() => ({}));
+    track.loudness = res.loudness || null;
+    set();
+  }
+}
+
+// -------- Equalizer --------
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+function applyEq() {
+  eqBtn.classList.toggle('active', state.eq.enabled);
+  if (!graph.ctx) { if (state.eq.enabled) ensureAudioGraph(); return; } // ensureAudioGraph calls back
+  const { enabled, preamp, gains } = state.eq;
+  const now = graph.ctx.currentTime;
+  graph.preamp.gain.setTargetAtTime(enabled ? dbToGain(preamp) : 1, now, 0.02);
+  graph.bands.forEach((band, i) => band.gain.setTargetAtTime(enabled ? gains[i] : 0, now, 0.02));
+}
+
+const fmtHz = (hz) => (hz >= 1000 ? `${hz / 1000}k` : String(hz));
+
+function renderEqDialog() {
+  eqEnabled.checked = state.eq.enabled;
+  eqPreamp.value = state.eq.preamp;
+  eqPresetSelect.innerHTML = '';
+  addOption(eqPresetSelect, '', 'Custom');
+  state.eqPresets.forEach(p => addOption(eqPresetSelect, p.name, p.builtIn ? p.name : `★ ${p.name}`));
+  eqPresetSelect.value = state.eqPresets.some(p => p.name === state.eq.preset) ? state.eq.preset : '';
+  $("#eqDeleteBtn").disabled = !state.eqPresets.some(p => p.name === state.eq.preset && !p.builtIn);
+  $("#eqPreampValue").textContent = `${state.eq.preamp > 0 ? '+' : ''}${state.eq.preamp} dB`;
+  eqBandsEl.querySelectorAll('input').forEach((input, i) => { input.value = state.eq.gains[i]; });
+}
+
+function buildEqBands() {
+  EQ_BANDS.forEach((hz, i) => {
+    const label = document.createElement('label'); label.className = 'eq-band';
+    const input = document.createElement('input');
+    input.type = 'range'; input.min = '-12'; input.max = '12'; input.step = '0.5'; input.value = '0';
+    input.setAttribute('aria-label', `${fmtHz(hz)} Hz`);
+    input.addEventListener('input', () => {
+      state.eq.gains[i] = Number(input.value);
+      state.eq.preset = '';
+      eqPresetSelect.value = '';
+      applyEq();
+    });
+    input.addEventListener('change', saveSettings);
+    const span = document.createElement('span'); span.textContent = fmtHz(hz);
+    label.appendChild(input); label.appendChild(span);
+    eqBandsEl.appendChild(label);
+  });
+}
+
+async function refreshEqPresets() {
+  const res = await API.eq.presets().catch(() => ({}));
+  state.eqPresets = res.presets || [];
+  renderEqDialog();
+}
+
+function chooseEqPreset(name) {
+  const p = state.eqPresets.find(x => x.name === name);
+  if (!p) return;
+  state.eq = { ...state.eq, enabled: true, preset: p.name, preamp: p.preamp, gains: p.gains.slice() };
+  applyEq(); saveSettings(); renderEqDialog();
+}
+
+async function saveEqPreset() {
+  const name = (prompt('Save equalizer preset as:', state.eq.preset || '') || '').trim();
+  if (!name) return;
+  const res = await API.eq.savePreset(name, { preamp: state.eq.preamp, gains: state.eq.gains });
+  if (!res.ok) { alert(res.error || 'Could not save preset'); return; }
+  state.eq.preset = name;
+  saveSettings();
+  await refreshEqPresets();
+}
+
+async function deleteEqPreset() {
+  const name = state.eq.preset;
+  if (!name || !confirm(`Delete preset "${name}"?`)) return;
+  const res = await API.eq.delPreset(name);
+  if (!res.ok) { alert(res.error || 'Could not delete preset'); return; }
+  state.eq.preset = '';
+  saveSettings();
+  await refreshEqPresets();
+}
+
+// -------- Visualizer --------
+const VISUALIZER_MODES = { off: 'Visualizer: off', spectrum: 'Visualizer: spectrum', scope: 'Visualizer: oscilloscope' };
+let vizFrame = null;
+
+function renderVisualizer() {
+  const on = state.visualizer !== 'off';
+  vizBtn.title = VISUALIZER_MODES[state.visualizer];
+  vizBtn.classList.toggle('active', on);
+  vizBtn.setAttribute('aria-pressed', String(on));
+  vizCanvas.hidden = !on;
+  if (on && !vizFrame && ensureAudioGraph()) vizFrame = requestAnimationFrame(drawVisualizer);
+}
+
+function drawVisualizer() {
+  if (state.visualizer === 'off') { vizFrame = null; return; }
+  vizFrame = requestAnimationFrame(drawVisualizer);
+  const g = vizCanvas.getContext('2d');
+  if (!g) return;
+  const { width, height } = vizCanvas;
+  const color = getComputedStyle(document.documentElement).getPropertyValue('--primary').trim() || '#6aa1ff';
+  g.clearRect(0, 0, width, height);
+  const analyser = graph.analyser;
+  if (state.visualizer === 'spectrum') {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(data);
+    // log-spaced bars so the low end isn't squeezed into a sliver
+    const bars = 48;
+    const barWidth = width / bars;
+    g.fillStyle = color;
+    for (let i = 0; i < bars; i++) {
+      const from = Math.floor(Math.pow(data.length, i / bars));
+      const to = Math.max(from + 1, Math.floor(Math.pow(data.length, (i + 1) / bars)));
+      let peak = 0;
+      for (let j = from; j < to && j < data.length; j++) peak = Math.max(peak, data[j]);
+      const h = (peak / 255) * height;
+      g.fillRect(i * barWidth + 1, height - h, barWidth - 2, h);
+    }
+  } else {
+    const data = new Uint8Array(analyser.fftSize);
+    analyser.getByteTimeDomainData(data);
+    g.strokeStyle = color;
+    g.lineWidth = 2;
+    g.beginPath();
+    data.forEach((v, i) => {
+      const x = (i / (data.length - 1)) * width;
+      const y = (v / 255) * height;
+      if (i) g.lineTo(x, y); else g.moveTo(x, y);
+    });
+    g.stroke();
+  }
+}
+
+// -------- Media Session --------
+// OS media keys, headset buttons and lock-screen controls.
+const mediaSession = 'mediaSession' in navigator ? navigator.mediaSession : null;
+const SEEK_STEP = 10; // seconds, when the OS doesn't say how far
+const ARTWORK_PX = { sm: 64, md: 256, lg: 640 };
+
+function updateMediaSession(track) {
+  if (!mediaSession) return;
+  if (!track) {
+    mediaSession.metadata = null;
+    mediaSession.playbackState = 'none';
+    return;
+  }
+  const artwork = track.artwork ? Object.entries(ARTWORK_PX).map(([size, px]) => ({
+    src: new URL(API.music.artworkUrl(track, size), location.href).href,
+    sizes: `${px}x${px}`,
+    type: 'image/jpeg'
+  })) : [];
+  mediaSession.metadata = new MediaMetadata({ title: track.title || 'Untitled', artist: track.artist || '', album: track.album || '', artwork });
+}
+
+// Live streams have no duration, so no position either.
+function updatePositionState() {
+  if (!mediaSession || !mediaSession.setPositionState) return;
+  const duration = audio.duration;
+  try {
+    if (!Number.isFinite(duration) || duration <= 0) mediaSession.setPositionState();
+    else mediaSession.setPositionState({ duration, playbackRate: audio.playbackRate || 1, position: Math.min(audio.currentTime || 0, duration) });
+  } catch (e) {}
+}
+
+function setupMediaSession() {
+  if (!mediaSession) return;
+  const handlers = {
+    play: () => { if (!sendRemote('play')) audio.play().catch(()=>{}); },
+    pause: () => { if (!sendRemote('pause')) { cancelTransition(); audio.pause(); } },
+    stop: () => { closePlay('stopped'); cancelTransition(); audio.pause(); audio.currentTime = 0; },
+    previoustrack: () => prev(),
+    nexttrack: () => next(),
+    seekbackward: (d) => seekBy(-(d.seekOffset || SEEK_STEP)),
+    seekforward: (d) => seekBy(d.seekOffset || SEEK_STEP),
+    seekto: (d) => {
+      if (d.fastSeek && audio.fastSeek) audio.fastSeek(d.seekTime);
+      else audio.currentTime = d.seekTime;
+      updatePositionState();
+    }
+  };
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try { mediaSession.setActionHandler(action, handler); } catch (e) { /* action not supported by this browser */ }
+  });
+}
+
+// -------- Keyboard shortcuts --------
+// Keys are `KeyboardEvent.key` values, with Ctrl+/Alt+/Meta+ (and Shift+ for
+// named keys; "?" already implies Shift) in front.
+const SEEK_SHORTCUT_STEP = 5;
+const VOLUME_STEP = 0.05;
+const SHORTCUTS = {
+  playPause: { label: 'Play / pause', key: ' ', run: () => togglePlay() },
+  seekBack: { label: `Seek back ${SEEK_SHORTCUT_STEP} s`, key: 'ArrowLeft', repeat: true, run: () => seekBy(-SEEK_SHORTCUT_STEP) },
+  seekForward: { label: `Seek forward ${SEEK_SHORTCUT_STEP} s`, key: 'ArrowRight', repeat: true, run: () => seekBy(SEEK_SHORTCUT_STEP) },
+  volumeUp: { label: 'Volume up', key: 'ArrowUp', repeat: true, run: () => changeVolume(VOLUME_STEP) },
+  volumeDown: { label: 'Volume down', key: 'ArrowDown', repeat: true, run: () => changeVolume(-VOLUME_STEP) },
+  next: { label: 'Next track', key: 'n', run: () => next() },
+  prev: { label: 'Previous track', key: 'p', run: () => prev() },
+  search: { label: 'Focus search', key: '/', run: () => {
+    const input = browse.view === 'tracks' ? searchInput : browseFilter;
+    input.focus(); input.select();
+  } },
+  queueSelected: { label: 'Add selected track(s) to the queue', key: 'q', run: () => queueSelection() },
+  help: { label: 'Show this list', key: '?', run: () => openShortcuts() },
+};
+const shortcutEdit = { action: null }; // action waiting for its new key
+
+const defaultShortcuts = () => Object.fromEntries(Object.entries(SHORTCUTS).map(([action, s]) => [action, s.key]));
+
+function shortcutKey(e) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return '';
+  const named = e.key.length > 1;
+  return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.metaKey && 'Meta', e.shiftKey && named && 'Shift', e.key].filter(Boolean).join('+');
+}
+const describeKey = (key) => (key ? key.replace(/(^|\+) $/, '$1Space').replace(/Arrow(\w+)/, '$1 arrow') : '—');
+
+// Typing in a text field (or using a select or slider) keeps its keys.
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset', 'file'].includes(el.type);
+}
+
+function changeVolume(delta) {
+  if (controllingRemote()) {
+    if (remote.state) sendRemote('volume', Math.round(Math.min(1, Math.max(0, remote.state.volume + delta)) * 100) / 100);
+    return;
+  }
+  state.volume = Math.round(Math.min(1, Math.max(0, state.volume + delta)) * 100) / 100;
+  volumeBar.value = state.volume;
+  applyVolume();
+  saveSettings();
+  reportRemoteState();
+}
+
+// The ticked tracks, or else the focused row.
+function queueSelection() {
+  const row = document.activeElement && document.activeElement.closest('.track-item');
+  const ids = state.selected.size ? [...state.selected] : row ? [row.dataset.id] : [];
+  enqueueTracks(ids);
+}
+
+function handleShortcut(e) {
+  if (shortcutEdit.action) return captureShortcut(e);
+  if (e.defaultPrevented || isTypingTarget(e.target) || $('dialog[open]')) return;
+  const key = shortcutKey(e);
+  // Space and Enter on a focused button or checkbox work it as usual
+  if (e.target.closest && e.target.closest('button, input, a[href]') && [' ', 'Enter'].includes(key)) return;
+  const action = Object.keys(SHORTCUTS).find(a => state.shortcuts[a] === key);
+  if (!action || (e.repeat && !SHORTCUTS[action].repeat)) return;
+  e.preventDefault();
+  SHORTCUTS[action].run();
+}
+
+function captureShortcut(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  const action = shortcutEdit.action;
+  const key = shortcutKey(e);
+  if (!key) return;
+  shortcutEdit.action = null;
+  if (key !== 'Escape') {
+    // a key can only do one thing: the action that had it loses it
+    Object.keys(state.shortcuts).forEach(a => { if (state.shortcuts[a] === key) state.shortcuts[a] = ''; });
+    state.shortcuts[action] = key;
+    saveSettings();
+  }
+  renderShortcuts();
+}
+
+function renderShortcuts() {
+  shortcutList.innerHTML = '';
+  Object.entries(SHORTCUTS).forEach(([action, s]) => {
+    const li = document.createElement('li');
+    li.className = 'item';
+    const label = document.createElement('span');
+    label.textContent = s.label;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn small secondary shortcut-key';
+    const capturing = shortcutEdit.action === action;
+    btn.classList.toggle('capturing', capturing);
+    btn.textContent = capturing ? 'Press a key…' : describeKey(state.shortcuts[action]);
+    btn.title = capturing ? 'Esc cancels' : 'Change';
+    btn.addEventListener('click', () => { shortcutEdit.action = capturing ? null : action; renderShortcuts(); });
+    li.appendChild(label); li.appendChild(btn);
+    shortcutList.appendChild(li);
+  });
+}
+
+function openShortcuts() {
+  shortcutEdit.action = null;
+  renderShortcuts();
+  shortcutsDialog.showModal();
+}
+
+// -------- Play history --------
+// Each time a track starts playing the server gets a play record, which is
+// closed as completed, skipped (with how far it got) or stopped.
+const tracker = {
+  pendingTrackId: null, // loaded but not yet heard; reported on the 'playing' event
+  play: null,           // Promise of the open play record
+  position: 0,          // furthest-known position of the open play
+};
+
+function armPlay(trackId) {
+  tracker.pendingTrackId = trackId;
+  tracker.position = 0;
+}
+
+function startPlay() {
+  if (!tracker.pendingTrackId) return;
+  const trackId = tracker.pendingTrackId;
+  tracker.pendingTrackId = null;
+  tracker.play = API.plays.start(trackId).then(r => r.play).catch(() => null);
+  tracker.play.then(() => refreshRecent());
+}
+
+function closePlay(outcome, opts={}) {
+  tracker.pendingTrackId = null;
+  if (!tracker.play) return;
+  const pending = tracker.play;
+  const playedSeconds = tracker.position;
+  tracker.play = null;
+  pending.then(play => play && API.plays.finish(play.id, outcome, playedSeconds, opts)).catch(()=>{});
+}
+
+const fmtAgo = (iso) => {
+  const sec = Math.max(0, (Date.now() - new Date(iso)) / 1000);
+  if (sec < 60) return 'just now';
+  if (sec < 3600) return `${Math.floor(sec / 60)} min ago`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)} h ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+async function refreshRecent() {
+  const res = await API.plays.history({ limit: 10 }).catch(() => ({}));
+  recentList.innerHTML = '';
+  (res.plays || []).forEach(p => {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.classList.toggle('unavailable', !p.available);
+    const main = document.createElement('div'); main.className = 'item-main';
+    const title = document.createElement('div'); title.className = 'item-title'; title.textContent = p.track.title || 'Untitled';
+    const sub = document.createElement('div'); sub.className = 'item-subtitle';
+    sub.textContent = [p.track.artist, fmtAgo(p.startedAt), p.outcome === 'skipped' ? `skipped at ${fmtTime(p.playedSeconds)}` : ''].filter(Boolean).join(' • ');
+    main.appendChild(title); main.appendChild(sub);
+    if (p.available) main.addEventListener('click', () => enqueueTrack(p.trackId, { playNow: true }));
+    li.appendChild(main);
+    recentList.appendChild(li);
+  });
+  if (!recentList.children.length) {
+    const empty = document.createElement('li'); empty.className = 'item-subtitle'; empty.textContent = 'Nothing played yet.';
+    recentList.appendChild(empty);
+  }
+}
+
+const fmtDuration = (sec=0) => {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  return h ? `${h} h ${m} min` : `${m} min`;
+};
+
+async function renderStats() {
+  const res = await API.plays.stats({ range: statsRange.value, limit: 10 });
+  if (res.ok === false) { statsSummary.textContent = res.error; return; }
+  statsSummary.textContent = `${res.totalPlays} plays • ${fmtDuration(res.listeningSeconds)} listened • ${Math.round(res.skipRate * 100)}% skipped`;
+  statsLists.innerHTML = '';
+  const column = (heading, rows, label) => {
+    const box = document.createElement('div');
+    const h = document.createElement('h4'); h.textContent = heading; box.appendChild(h);
+    const ol = document.createElement('ol');
+    rows.forEach(r => {
+      const li = document.createElement('li');
+      li.textContent = `${label(r)} — ${r.plays} play${r.plays === 1 ? '' : 's'}`;
+      ol.appendChild(li);
+    });
+    if (!rows.length) { const li = document.createElement('li'); li.className = 'item-subtitle'; li.textContent = 'No plays'; ol.appendChild(li); }
+    box.appendChild(ol);
+    statsLists.appendChild(box);
+  };
+  column('Top tracks', res.topTracks, r => [r.artist, r.title].filter(Boolean).join(' - '));
+  column('Top artists', res.topArtists, r => r.artist);
+  column('Top albums', res.topAlbums, r => [r.album, r.artist].filter(Boolean).join(' — '));
+  column('Top genres', res.topGenres, r => r.genre);
+}
+
+// -------- Sessions --------
+// The queue, position and play modes are saved on the server under a session
+// name (kept per browser in localStorage), so a reload or another device can
+// pick up where playback left off.
+const session = {
+  name: localStorage.getItem(SESSION_KEY) || 'default',
+  restored: false,   // nothing is saved until the stored session has been applied
+  restoring: false,
+  timer: null,
+  lastSavedAt: 0,
+};
+
+function sessionPayload() {
+  return {
+    queue: state.queue,
+    currentIndex: state.currentIndex,
+    position: state.currentIndex >= 0 ? audio.currentTime || 0 : 0,
+    volume: state.volume,
+    repeat: state.repeat,
+    shuffle: state.shuffle,
+    shuffleOrder: state.shuffleOrder,
+  };
+}
+
+function scheduleSessionSave(delay=1000) {
+  if (!session.restored || session.restoring) return;
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => saveSession(), delay);
+}
+
+async function saveSession(opts={}) {
+  clearTimeout(session.timer);
+  if (!session.restored) return;
+  session.lastSavedAt = Date.now();
+  await API.session.save(session.name, sessionPayload(), opts).catch(()=>{});
+}
+
+function applySession(s) {
+  state.repeat = s.repeat;
+  state.shuffle = s.shuffle;
+  state.volume = s.volume; volumeBar.value = s.volume; applyVolume();
+  state.queue = s.queue.slice();
+  state.shuffleOrder = s.shuffleOrder;
+  state.currentIndex = s.currentIndex;
+  renderModeButtons();
+  renderQueue();
+  if (state.currentIndex >= 0) playCurrent({ autoplay: false, startAt: s.position });
+  else { stopPlayback(); audio.removeAttribute('src'); updateNowPlaying(null); }
+}
+
+// Load the named session from the server (deleted tracks are already dropped
+// there); an unknown name starts an empty queue.
+async function restoreSession(name=session.name) {
+  session.restoring = true;
+  session.name = name;
+  localStorage.setItem(SESSION_KEY, name);
+  const res = await API.session.get(name).catch(() => ({}));
+  if (res.session) { await ensureTracks(res.session.queue); applySession(res.session); }
+  else if (session.restored) { setQueue([]); stopPlayback(); updateNowPlaying(null); }
+  session.restoring = false;
+  session.restored = true;
+  await renderSessions();
+}
+
+async function renderSessions() {
+  const res = await API.session.list().catch(() => ({}));
+  const names = new Set((res.sessions || []).map(s => s.name));
+  names.add(session.name);
+  sessionSelect.innerHTML = '';
+  [...names].sort().forEach(n => sessionSelect.appendChild(new Option(n, n)));
+  sessionSelect.appendChild(new Option('+ New session…', '__new__'));
+  sessionSelect.value = session.name;
+}
+
+async function switchSession(name) {
+  if (name === session.name) return;
+  await saveSession();
+  await restoreSession(name);
+  scheduleSessionSave(0);
+}
+
+// -------- Uploads --------
+const UPLOAD_STATUS = { accepted: 'Added', linked: 'Linked', rejected: 'Rejected' };
+
+async function uploadFiles(files) {
+  const fd = new FormData();
+  fd.append('onDuplicate', linkDuplicates.checked ? 'link' : 'reject');
+  files.forEach(f => fd.append('files', f));
+  const bar = uploadProgress.querySelector('progress');
+  const label = uploadProgress.querySelector('span');
+  bar.value = 0;
+  label.textContent = `Uploading ${files.length} file${files.length === 1 ? '' : 's'}…`;
+  uploadProgress.hidden = false;
+  uploadResults.hidden = true;
+  const res = await API.music.upload(fd, (p) => {
+    bar.value = p;
+    // the server reads tags once everything has arrived
+    label.textContent = p < 1 ? `Uploading… ${Math.round(p * 100)}%` : 'Reading tags…';
+  }).catch(e => ({ ok:false, error: e.message }));
+  uploadProgress.hidden = true;
+  if (res.ok) await Promise.all([refreshTracks(), ensureTracks((res.possibleDuplicates || []).flatMap(d => d.matches))]);
+  renderUploadResults(res);
+}
+
+// One row per file: added (possibly with warnings), linked or rejected with the reason.
+function renderUploadResults(res) {
+  uploadResults.innerHTML = '';
+  const maybeSame = new Map((res.possibleDuplicates || []).map(d => [d.trackId, d.matches]));
+  const rows = res.ok ? res.files || [] : [{ file: 'Upload', status: 'rejected', reason: res.error || 'upload failed' }];
+  rows.forEach(f => {
+    const li = document.createElement('li');
+    li.className = `item upload-${f.status}`;
+    const main = document.createElement('div'); main.className = 'item-main';
+    const title = document.createElement('div'); title.className = 'item-title'; title.textContent = f.file;
+    const notes = [...(f.warnings || [])];
+    const similar = (maybeSame.get(f.trackId) || []).map(id => getTrackById(id)).filter(Boolean);
+    if (similar.length) notes.push(`possibly the same recording as ${similar.map(t => `"${t.title}"`).join(', ')}`);
+    const sub = document.createElement('div'); sub.className = 'item-subtitle';
+    sub.textContent = [UPLOAD_STATUS[f.status] || f.status, f.reason, ...notes].filter(Boolean).join(' • ');
+    main.appendChild(title); main.appendChild(sub);
+    li.appendChild(main);
+    uploadResults.appendChild(li);
+  });
+  const close = document.createElement('li');
+  close.appendChild(smallButton('Dismiss', () => { uploadResults.hidden = true; }));
+  uploadResults.appendChild(close);
+  uploadResults.hidden = false;
+}
+
+// -------- Duplicates --------
+
+async function openDuplicates() {
+  let res = await API.music.duplicates();
+  if (res.unhashed) {
+    // files from before content hashing: hash them once so copies are found
+    dupGroups.textContent = `Checking ${res.unhashed} older file${res.unhashed === 1 ? '' : 's'}…`;
+    if (!dupDialog.open) dupDialog.showModal();
+    await API.music.hashFiles();
+    res = await API.music.duplicates();
+  }
+  await ensureTracks((res.groups || []).flatMap(g => g.trackIds));
+  const groups = (res.groups || []).filter(g => g.trackIds.every(getTrackById));
+  dupGroups.innerHTML = '';
+  if (!groups.length) dupGroups.textContent = 'No duplicates found.';
+  groups.forEach((g, gi) => {
+    const box = document.createElement('div'); box.className = 'dup-group';
+    const head = document.createElement('div'); head.className = 'item-subtitle';
+    head.textContent = g.kind === 'exact' ? 'Identical files' : 'Likely the same recording';
+    box.appendChild(head);
+    g.trackIds.forEach((id, i) => {
+      const t = getTrackById(id);
+      const label = document.createElement('label');
+      const radio = document.createElement('input'); radio.type = 'radio'; radio.name = `dup-${gi}`; radio.value = id; radio.checked = i === 0;
+      const text = document.createElement('span');
+      text.textContent = `${[t.artist, t.title].filter(Boolean).join(' - ')} (${fmtTime(t.duration)}${t.album ? ', ' + t.album : ''})`;
+      label.appendChild(radio); label.appendChild(text);
+      box.appendChild(label);
+    });
+    const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'btn small'; btn.textContent = 'Merge';
+    btn.addEventListener('click', async () => {
+      const keepId = box.querySelector('input:checked').value;
+      const r = await API.music.merge(keepId, g.trackIds.filter(id => id !== keepId));
+      if (!r.ok) { alert(r.error || 'Merge failed'); return; }
+      state.queue = state.queue.map(id => (r.removed.includes(id) ? keepId : id));
+      await refreshAll();
+      openDuplicates();
+    });
+    box.appendChild(btn);
+    dupGroups.appendChild(box);
+  });
+  if (!dupDialog.open) dupDialog.showModal();
+}
+
+// -------- Library folders --------
+let libraryPoll = null;
+
+async function refreshLibraryStatus() {
+  const st = await API.library.status();
+  libraryStatus.hidden = !(st.roots && st.roots.length);
+  if (libraryStatus.hidden) return;
+  if (st.state === 'scanning') {
+    libraryStatusText.textContent = `Scanning… ${st.processed}/${st.filesSeen} files`;
+  } else {
+    const when = st.finishedAt ? new Date(st.finishedAt).toLocaleTimeString() : 'never';
+    const missing = st.missing ? `, ${st.missing} unavailable` : '';
+    libraryStatusText.textContent = `${st.roots.length} folder(s), last scan ${when}${missing}`;
+  }
+  rescanBtn.disabled = st.state === 'scanning';
+  if (st.state === 'scanning' && !libraryPoll) {
+    libraryPoll = setInterval(async () => {
+      const cur = await API.library.status();
+      if (cur.state !== 'scanning') { clearInterval(libraryPoll); libraryPoll = null; await refreshTracks(); }
+      refreshLibraryStatus();
+    }, 1000);
+  }
+}
+
+// -------- Artists and albums --------
+// The Artists and Albums tabs show a grid from /api/artists or /api/albums;
+// opening a card shows its tracks (an artist's also lists its albums). `trail`
+// holds the open cards so Back can return from an album to its artist.
+const browse = { view: 'tracks', trail: [], seq: 0, tracks: [] };
+const BROWSE_SORTS = {
+  artists: [['name', 'Name'], ['tracks', 'Most tracks'], ['duration', 'Longest']],
+  albums: [['name', 'Name'], ['artist', 'Artist'], ['year', 'Year'], ['tracks', 'Most tracks'], ['duration', 'Longest']]
+};
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function showLibraryView(view) {
+  browse.view = view;
+  $$('.tabs .tab').forEach(tab => tab.setAttribute('aria-selected', String(tab.dataset.view === view)));
+  tracksView.hidden = view !== 'tracks';
+  browseView.hidden = view === 'tracks';
+  if (view === 'tracks') { renderTrackList(); return; }
+  browseSort.innerHTML = '';
+  BROWSE_SORTS[view].forEach(([value, label]) => browseSort.appendChild(new Option(label, value)));
+  browseFilter.value = '';
+  browse.trail = [];
+  loadBrowseGrid();
+}
+
+async function loadBrowseGrid() {
+  const kind = browse.view;
+  const seq = ++browse.seq;
+  const params = { sort: browseSort.value };
+  if (browseFilter.value.trim()) params.q = browseFilter.value.trim();
+  const res = await API.browse.list(kind, params);
+  if (seq !== browse.seq || browse.trail.length) return;
+  renderBrowseView();
+  const items = res[kind] || [];
+  $("#browseCount").textContent = plural(res.total || 0, kind === 'artists' ? 'artist' : 'album');
+  browseGrid.innerHTML = '';
+  items.forEach(item => browseGrid.appendChild(buildBrowseCard(kind, item)));
+  if (!items.length) {
+    const empty = document.createElement('li'); empty.className = 'empty item-subtitle';
+    empty.textContent = kind === 'artists' ? 'No artists match.' : 'No albums match.';
+    browseGrid.appendChild(empty);
+  }
+}
+
+function describeGroup(kind, item) {
+  const parts = kind === 'artists'
+    ? [item.albumCount ? plural(item.albumCount, 'album') : '', plural(item.trackCount, 'track')]
+    : [item.artist, item.year || '', plural(item.trackCount, 'track')];
+  return [...parts, fmtTime(item.duration)].filter(Boolean).join(' • ');
+}
+
+function buildBrowseCard(kind, item) {
+  const li = document.createElement('li');
+  li.className = 'grid-card';
+  li.tabIndex = 0;
+  const art = document.createElement('img'); art.className = 'art'; art.alt = ''; art.loading = 'lazy';
+  setArtwork(art, item.track, 'md');
+  const title = document.createElement('div'); title.className = 'item-title'; title.textContent = item.name;
+  const sub = document.createElement('div'); sub.className = 'item-subtitle'; sub.textContent = describeGroup(kind, item);
+  sub.title = sub.textContent;
+  const actions = document.createElement('div'); actions.className = 'item-actions';
+  const play = smallButton('▶️', (e) => { e.stopPropagation(); playGroup(kind, item.id); }, 'primary');
+  const queue = smallButton('Queue', (e) => { e.stopPropagation(); queueGroup(kind, item.id); });
+  play.title = 'Play all';
+  queue.title = 'Queue all';
+  actions.append(play, queue);
+  li.append(art, title, sub, actions);
+  li.addEventListener('click', () => openBrowseDetail(kind, item.id));
+  li.addEventListener('keydown', (e) => { if (e.key === 'Enter' && e.target === li) openBrowseDetail(kind, item.id); });
+  return li;
+}
+
+// Tracks of an artist or album in play order; null when it no longer exists.
+async function groupTracks(kind, id) {
+  const res = await (kind === 'artists' ? API.browse.artist(id) : API.browse.album(id));
+  if (!res.tracks) return null;
+  // the queue resolves ids through state.trackIndex
+  res.tracks.forEach(t => state.trackIndex.set(t.id, t));
+  return res;
+}
+
+async function playGroup(kind, id) {
+  const res = await groupTracks(kind, id);
+  if (!res || !res.tracks.length) return;
+  playTracks(res.tracks.map(t => t.id));
+}
+
+async function queueGroup(kind, id) {
+  const res = await groupTracks(kind, id);
+  if (res) enqueueTracks(res.tracks.map(t => t.id));
+}
+
+function renderBrowseView() {
+  const open = browse.trail.length > 0;
+  browseDetail.hidden = !open;
+  browseGrid.hidden = open;
+  $("#browseFilters").hidden = open;
+}
+
+async function openBrowseDetail(kind, id, { replace=false } = {}) {
+  const res = await groupTracks(kind, id);
+  if (!res) { alert('This no longer exists in the library.'); return; }
+  if (replace) browse.trail.pop();
+  browse.trail.push({ kind, id });
+  const item = res.artist || res.album;
+  browse.tracks = res.tracks;
+  renderBrowseView();
+  setArtwork($("#browseArt"), item.track);
+  $("#browseTitle").textContent = item.name;
+  $("#browseSubtitle").textContent = describeGroup(kind, item);
+  const albums = $("#browseAlbums");
+  albums.innerHTML = '';
+  (res.albums || []).forEach(album => albums.appendChild(buildBrowseCard('albums', album)));
+  renderBrowseTracks(kind);
+}
+
+// Album tracks show their numbers, with a heading per disc on multi-disc albums.
+function renderBrowseTracks(kind) {
+  browseTrackList.innerHTML = '';
+  const ids = browse.tracks.map(t => t.id);
+  const discs = new Set(browse.tracks.map(t => t.discNo || 1)).size;
+  let disc = null;
+  browse.tracks.forEach((t, index) => {
+    if (kind === 'albums' && discs > 1 && (t.discNo || 1) !== disc) {
+      disc = t.discNo || 1;
+      const heading = document.createElement('li'); heading.className = 'disc-heading';
+      heading.textContent = `Disc ${disc}`;
+      browseTrackList.appendChild(heading);
+    }
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.classList.toggle('unavailable', Boolean(t.missing));
+    const main = document.createElement('div'); main.className = 'item-main';
+    const title = document.createElement('div'); title.className = 'item-title';
+    title.textContent = `${kind === 'albums' && t.trackNo ? `${t.trackNo}. ` : ''}${t.title || 'Untitled'}`;
+    const sub = document.createElement('div'); sub.className = 'item-subtitle';
+    sub.textContent = [kind === 'albums' ? t.artist : t.album, fmtTime(t.duration)].filter(Boolean).join(' • ');
+    main.append(title, sub);
+    main.addEventListener('click', () => playTracks(ids, index));
+    const actions = document.createElement('div'); actions.className = 'item-actions';
+    actions.appendChild(smallButton('Queue', () => enqueueTrack(t.id)));
+    li.append(main, actions);
+    browseTrackList.appendChild(li);
+  });
+}
+
+function browseBack() {
+  browse.trail.pop();
+  const prev = browse.trail.pop();
+  if (prev) openBrowseDetail(prev.kind, prev.id);
+  else loadBrowseGrid();
+}
+
+// After library changes: reload what the Artists/Albums tab shows.
+function refreshBrowse() {
+  if (browse.view === 'tracks') return;
+  const open = browse.trail[browse.trail.length - 1];
+  if (open) openBrowseDetail(open.kind, open.id, { replace: true });
+  else loadBrowseGrid();
+}
+
+// -------- Drag and drop ordering --------
+// Rows made sortable can be dragged within their list or moved with Alt+↑/↓.
+// `onMove(from, to)` gets row positions; renderers call refocusMovedRow()
+// so a row moved from the keyboard keeps the focus.
+const sorting = { list: null, from: -1, focus: null };
+
+function clearDropMarks(list) {
+  $$('.drop-before, .drop-after', list).forEach(el => el.classList.remove('drop-before', 'drop-after'));
+}
+
+function makeSortable(li, pos, onMove) {
+  li.draggable = true;
+  li.tabIndex = 0;
+  li.dataset.pos = pos;
+  const after = (e) => e.clientY > li.getBoundingClientRect().top + li.offsetHeight / 2;
+  li.addEventListener('dragstart', (e) => {
+    sorting.list = li.parentElement;
+    sorting.from = pos;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(pos));
+    li.classList.add('dragging');
+  });
+  li.addEventListener('dragend', () => {
+    li.classList.remove('dragging');
+    if (sorting.list) clearDropMarks(sorting.list);
+    sorting.list = null;
+  });
+  li.addEventListener('dragover', (e) => {
+    if (sorting.list !== li.parentElement) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    clearDropMarks(sorting.list);
+    li.classList.add(after(e) ? 'drop-after' : 'drop-before');
+  });
+  li.addEventListener('drop', (e) => {
+    if (sorting.list !== li.parentElement) return;
+    e.preventDefault();
+    const gap = pos + (after(e) ? 1 : 0);
+    const from = sorting.from;
+    const to = gap > from ? gap - 1 : gap;
+    clearDropMarks(sorting.list);
+    sorting.list = null;
+    if (to !== from) onMove(from, to);
+  });
+  li.addEventListener('keydown', (e) => {
+    if (!e.altKey || !['ArrowUp', 'ArrowDown'].includes(e.key) || e.target !== li) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const rows = $$('[data-pos]', li.parentElement).map(el => Number(el.dataset.pos));
+    const i = rows.indexOf(pos) + (e.key === 'ArrowUp' ? -1 : 1);
+    if (i < 0 || i >= rows.length) return;
+    sorting.focus = { list: li.parentElement, pos: rows[i] };
+    onMove(pos, rows[i]);
+  });
+}
+
+function refocusMovedRow(list) {
+  if (!sorting.focus || sorting.focus.list !== list) return;
+  const row = $(`[data-pos="${sorting.focus.pos}"]`, list);
+  sorting.focus = null;
+  if (row) row.focus();
 }
 
 // -------- Playlists --------
@@ -247,38 +1949,647 @@ async function ensurePlaylist(name) {
 }
 
 async function addTrackToPlaylistFlow(trackId) {
-  const names = Object.values(state.playlists).map(p => p.name).join(', ');
+  const own = Object.values(state.playlists).filter(p => !p.readOnly);
+  const names = own.filter(p => p.type !== 'smart').map(p => p.name).join(', ');
   const choice = prompt(`Add to playlist.\nExisting: ${names || '(none)'}\nEnter playlist name (new or existing):`);
   if (!choice || !choice.trim()) return;
-  let pl = Object.values(state.playlists).find(p => p.name.toLowerCase() === choice.trim().toLowerCase());
+  let pl = own.find(p => p.name.toLowerCase() === choice.trim().toLowerCase());
+  if (pl && pl.type === 'smart') { alert(`"${pl.name}" is a smart playlist; its tracks come from its rules.`); return; }
+  if (pl && pl.trackIds.includes(trackId) && !confirm(`"${pl.name}" already has this track. Add it again?`)) return;
   if (!pl) pl = await ensurePlaylist(choice);
   await API.playlists.addTrack(pl.id, trackId);
   await refreshPlaylists();
   alert(`Added to "${pl.name}"`);
 }
 
+// Track list of one playlist. Own regular playlists can be reordered (drag or
+// Alt+↑/↓) and entries removed; each change names the revision it was based
+// on, so edits from another tab or device aren't silently overwritten.
+const playlistView = { id: null, trackIds: [], revision: 0, tracks: [] };
+
+async function openPlaylist(id) {
+  const pl = state.playlists[id];
+  if (!pl) return;
+  const res = await API.playlists.tracks(id);
+  if (!res.ok) { alert(res.error || 'Could not load the playlist'); return; }
+  (res.tracks || []).forEach(t => state.trackIndex.set(t.id, t));
+  Object.assign(playlistView, { id, revision: res.revision || 0, tracks: res.tracks || [], trackIds: (res.tracks || []).map(t => t.id) });
+  $("#playlistHeading").textContent = pl.name;
+  $("#playlistHint").textContent = pl.type === 'smart' ? 'Smart playlist: tracks and order come from its rules.'
+    : pl.readOnly ? `Shared by ${pl.owner} (read-only).`
+    : 'Drag tracks to reorder them, or focus one and press Alt+↑/↓.';
+  renderPlaylistDetail();
+  if (!playlistDialog.open) playlistDialog.showModal();
+}
+
+function renderPlaylistDetail() {
+  const pl = state.playlists[playlistView.id];
+  const editable = pl && pl.type !== 'smart' && !pl.readOnly;
+  playlistTrackList.innerHTML = '';
+  if (!playlistView.trackIds.length) {
+    const empty = document.createElement('li'); empty.className = 'empty item-subtitle';
+    empty.textContent = 'No tracks yet. Use "Add ➕" in the library.';
+    playlistTrackList.appendChild(empty);
+  }
+  playlistView.trackIds.forEach((id, index) => {
+    const t = getTrackById(id) || playlistView.tracks.find(x => x.id === id);
+    if (!t) return;
+    const li = document.createElement('li');
+    li.className = 'item';
+    if (editable) makeSortable(li, index, movePlaylistEntry);
+    const main = document.createElement('div'); main.className = 'item-main';
+    const title = document.createElement('div'); title.className = 'item-title'; title.textContent = `${index + 1}. ${t.title || 'Untitled'}`;
+    const sub = document.createElement('div'); sub.className = 'item-subtitle'; sub.textContent = [t.artist, t.album].filter(Boolean).join(' • ');
+    main.appendChild(title); main.appendChild(sub);
+    const actions = document.createElement('div'); actions.className = 'item-actions';
+    actions.appendChild(smallButton('Play from here', () => playTracks(playlistView.trackIds, index), 'primary'));
+    if (editable) actions.appendChild(smallButton('Remove', () => removePlaylistEntry(index), 'danger'));
+    li.appendChild(main); li.appendChild(actions);
+    playlistTrackList.appendChild(li);
+  });
+  refocusMovedRow(playlistTrackList);
+}
+
+// Apply a track-list change locally right away, then on the server; if the
+// server refuses (e.g. the playlist changed elsewhere) reload its version.
+async function changePlaylist(localIds, request) {
+  playlistView.trackIds = localIds;
+  renderPlaylistDetail();
+  const res = await request;
+  if (!res.ok) {
+    alert(res.error || 'Could not change the playlist');
+    await openPlaylist(playlistView.id);
+  } else {
+    playlistView.revision = res.playlist.revision;
+  }
+  await refreshPlaylists();
+}
+
+function movePlaylistEntry(from, to) {
+  const ids = playlistView.trackIds.slice();
+  ids.splice(to, 0, ...ids.splice(from, 1));
+  return changePlaylist(ids, API.playlists.moveTrack(playlistView.id, from, to, playlistView.revision));
+}
+
+function removePlaylistEntry(index) {
+  const trackId = playlistView.trackIds[index];
+  const ids = playlistView.trackIds.filter((x, i) => i !== index);
+  return changePlaylist(ids, API.playlists.removeTrack(playlistView.id, trackId, { index, revision: playlistView.revision }));
+}
+
+async function exportPlaylistFlow(pl) {
+  const format = prompt('Export format: m3u8, pls or xspf', 'm3u8');
+  if (!format || !format.trim()) return;
+  const f = format.trim().toLowerCase();
+  if (!['m3u8','m3u','pls','xspf'].includes(f)) { alert(`Unknown format "${format}"`); return; }
+  // stream URLs need a login; a stream token in the links lets other players open them
+  let token = null;
+  if (confirm('Let other players open the links without signing in?\n\nThis adds a new stream token to them; revoke it under Account to disable the links.')) {
+    const res = await API.auth.createToken(`Playlist "${pl.name}"`.slice(0, 64), 'stream');
+    if (!res.ok) { alert(res.error || 'Could not create a token'); return; }
+    token = res.secret;
+  }
+  const a = document.createElement('a');
+  a.href = API.playlists.exportUrl(pl.id, f, token);
+  a.download = '';
+  document.body.appendChild(a); a.click(); a.remove();
+}
+
+// -------- Lyrics --------
+// Synced lyrics follow audio.currentTime; unsynced lyrics are shown as plain text.
+const lyrics = { trackId: null, synced: false, lines: [], active: -1 };
+
+async function loadLyrics(track, { force=false } = {}) {
+  if (!force && (track ? track.id : null) === lyrics.trackId) return;
+  lyrics.trackId = track ? track.id : null;
+  lyrics.synced = false; lyrics.lines = []; lyrics.active = -1;
+  renderLyrics(null);
+  if (!track) return;
+  const res = await API.music.lyrics(track.id).catch(() => ({}));
+  if (lyrics.trackId !== track.id) return; // track changed meanwhile
+  lyrics.synced = Boolean(res.lyrics?.synced);
+  lyrics.lines = res.lyrics?.lines || [];
+  renderLyrics(res.lyrics || null);
+  syncLyrics();
+}
+
+function renderLyrics(data) {
+  lyricsPanel.hidden = !lyrics.trackId;
+  lyricsList.innerHTML = '';
+  lyricsList.classList.toggle('synced', lyrics.synced);
+  lyricsSource.textContent = data ? { sidecar: '.lrc file', embedded: 'from tags', user: 'added by you' }[data.source] || '' : '';
+  if (!lyrics.lines.length) {
+    const li = document.createElement('li'); li.className = 'item-subtitle'; li.textContent = 'No lyrics for this track.';
+    lyricsList.appendChild(li);
+    return;
+  }
+  lyrics.lines.forEach(line => {
+    const li = document.createElement('li');
+    li.textContent = line.text || '♪';
+    if (lyrics.synced) {
+      li.title = fmtTime(line.time);
+      li.addEventListener('click', () => { audio.currentTime = line.time; syncLyrics(); });
+    }
+    lyricsList.appendChild(li);
+  });
+}
+
+// Highlight the last line whose time has passed and keep it in the middle of the panel.
+function syncLyrics() {
+  if (!lyrics.synced || !lyrics.lines.length) return;
+  const now = audio.currentTime || 0;
+  let idx = -1;
+  for (let i = 0; i < lyrics.lines.length && lyrics.lines[i].time <= now; i++) idx = i;
+  if (idx === lyrics.active) return;
+  lyricsList.children[lyrics.active]?.classList.remove('active');
+  lyrics.active = idx;
+  const li = lyricsList.children[idx];
+  if (!li) return;
+  li.classList.add('active');
+  lyricsList.scrollTop = li.offsetTop - lyricsList.clientHeight / 2 + li.offsetHeight / 2;
+}
+
+function openLyricsEditor() {
+  if (!lyrics.trackId) return;
+  const hasTimes = lyrics.synced;
+  const stamp = (t) => `[${String(Math.floor(t / 60)).padStart(2, '0')}:${(t % 60).toFixed(2).padStart(5, '0')}]`;
+  lyricsForm.elements.text.value = lyrics.lines.map(l => (hasTimes ? stamp(l.time) : '') + l.text).join('\n');
+  lyricsForm.dataset.id = lyrics.trackId;
+  lyricsDialog.showModal();
+}
+
+async function saveLyricsEditor(action) {
+  const id = lyricsForm.dataset.id;
+  const text = lyricsForm.elements.text.value;
+  const res = action === 'remove' || !text.trim() ? await API.music.delLyrics(id) : await API.music.setLyrics(id, text);
+  if (!res.ok) { alert(res.error || 'Could not save lyrics'); return; }
+  if (id === lyrics.trackId) loadLyrics(getTrackById(id), { force: true });
+}
+
+// -------- Smart playlists --------
+const SMART_FIELDS = {
+  genre: { label: 'Genre', ops: ['is', 'contains', 'in'] },
+  artist: { label: 'Artist', ops: ['in', 'is', 'contains'] },
+  album: { label: 'Album', ops: ['is', 'contains', 'in'] },
+  title: { label: 'Title', ops: ['contains', 'is', 'in'] },
+  text: { label: 'Search', ops: ['matches'] },
+  addedAt: { label: 'Added', ops: ['withinDays', 'notWithinDays'] },
+  lastPlayed: { label: 'Last played', ops: ['withinDays', 'notWithinDays'] },
+  playCount: { label: 'Play count', ops: ['gte', 'lte', 'eq', 'between'] },
+  duration: { label: 'Duration (s)', ops: ['between', 'gte', 'lte'] },
+  year: { label: 'Year', ops: ['between', 'gte', 'lte', 'eq'] }
+};
+const SMART_OPS = {
+  is: 'is', contains: 'contains', in: 'is one of', matches: 'matches',
+  eq: '=', gte: '≥', lte: '≤', between: 'between',
+  withinDays: 'in the last … days', notWithinDays: 'not in the last … days'
+};
+
+const addOption = (select, value, label) => {
+  const o = document.createElement('option'); o.value = value; o.textContent = label; select.appendChild(o);
+};
+
+// One editable condition row; `row.read()` returns { field, op, value }.
+function addConditionRow(c = { field: 'genre', op: 'is', value: '' }) {
+  const row = document.createElement('div'); row.className = 'smart-row';
+  const fieldSel = document.createElement('select');
+  const opSel = document.createElement('select');
+  const valueBox = document.createElement('span'); valueBox.className = 'smart-value';
+  const remBtn = document.createElement('button'); remBtn.type = 'button'; remBtn.className = 'btn small secondary'; remBtn.textContent = '✕';
+  Object.entries(SMART_FIELDS).forEach(([f, def]) => addOption(fieldSel, f, def.label));
+  fieldSel.value = c.field;
+
+  const input = (type, value, placeholder='') => {
+    const el = document.createElement('input');
+    el.type = type; el.value = value ?? ''; el.placeholder = placeholder;
+    if (type === 'number') el.min = '0';
+    valueBox.appendChild(el);
+  };
+  const renderValue = (value) => {
+    valueBox.innerHTML = '';
+    const op = opSel.value;
+    if (op === 'between') { input('number', value?.[0], 'min'); input('number', value?.[1], 'max'); }
+    else if (op === 'in') input('text', Array.isArray(value) ? value.join(', ') : value, 'comma, separated');
+    else if (['is', 'contains', 'matches'].includes(op)) input('text', value, op === 'matches' ? 'e.g. artist:daft year:>2000' : '');
+    else input('number', value);
+  };
+  const renderOps = (value) => {
+    opSel.innerHTML = '';
+    SMART_FIELDS[fieldSel.value].ops.forEach(op => addOption(opSel, op, SMART_OPS[op]));
+    if (SMART_FIELDS[fieldSel.value].ops.includes(c.op)) opSel.value = c.op;
+    renderValue(value);
+  };
+  fieldSel.addEventListener('change', () => renderOps());
+  opSel.addEventListener('change', () => renderValue());
+  remBtn.addEventListener('click', () => row.remove());
+  renderOps(c.value);
+
+  row.read = () => {
+    const values = [...valueBox.querySelectorAll('input')].map(el => el.value.trim());
+    const op = opSel.value;
+    let value = values[0];
+    if (op === 'between') value = values.map(Number);
+    else if (op === 'in') value = value.split(',').map(v => v.trim()).filter(Boolean);
+    else if (!['is', 'contains', 'matches'].includes(op)) value = Number(value);
+    return { field: fieldSel.value, op, value };
+  };
+  row.appendChild(fieldSel); row.appendChild(opSel); row.appendChild(valueBox); row.appendChild(remBtn);
+  smartConditions.appendChild(row);
+}
+
+function openSmartEditor(pl=null) {
+  const rules = pl ? pl.rules : { match: 'all', conditions: [{ field: 'genre', op: 'is', value: '' }] };
+  smartForm.dataset.id = pl ? pl.id : '';
+  $("#smartHeading").textContent = pl ? `Edit "${pl.name}"` : 'New smart playlist';
+  smartForm.elements.name.value = pl ? pl.name : '';
+  smartForm.elements.match.value = rules.match;
+  smartForm.elements.limit.value = rules.limit || '';
+  smartForm.elements.sort.value = rules.sort ? rules.sort.field : '';
+  smartForm.elements.order.value = rules.sort ? rules.sort.order : 'asc';
+  smartConditions.innerHTML = '';
+  rules.conditions.forEach(c => addConditionRow(c));
+  smartDialog.showModal();
+}
+
+async function saveSmartEditor() {
+  const f = smartForm.elements;
+  const name = f.name.value.trim();
+  const rules = {
+    match: f.match.value,
+    conditions: [...smartConditions.children].map(row => row.read()),
+    limit: f.limit.value ? Number(f.limit.value) : undefined,
+    sort: f.sort.value ? { field: f.sort.value, order: f.order.value } : undefined
+  };
+  const id = smartForm.dataset.id;
+  const res = !name ? { ok: false, error: 'name required' }
+    : id ? await API.playlists.update(id, { name, rules })
+    : await API.playlists.create(name, rules);
+  if (!res.ok) {
+    alert(`Could not save smart playlist: ${res.error}`);
+    smartDialog.showModal();
+    return;
+  }
+  await refreshPlaylists();
+}
+
+function describeImport(res) {
+  const counts = { matched: 0, created: 0, unmatched: 0 };
+  res.report.forEach(r => { counts[r.status] += 1; });
+  const lines = [
+    `Imported "${res.playlist.name}" (${res.format.toUpperCase()}):`,
+    `${counts.matched} matched in library, ${counts.created} added as URL tracks, ${counts.unmatched} not found.`
+  ];
+  const missing = res.report.filter(r => r.status === 'unmatched');
+  if (missing.length) {
+    lines.push('', 'Not found:');
+    missing.slice(0, 15).forEach(r => lines.push(`• ${[r.artist, r.title].filter(Boolean).join(' - ') || r.location}`));
+    if (missing.length > 15) lines.push(`…and ${missing.length - 15} more`);
+  }
+  return lines.join('\n');
+}
+
+// -------- Metadata editing --------
+const EDIT_FIELDS = ['title', 'artist', 'album', 'genre'];
+
+function toggleSelected(id, on) {
+  if (on) state.selected.add(id); else state.selected.delete(id);
+  renderBulkBar();
+}
+
+function renderBulkBar() {
+  // drop selections for tracks that no longer exist
+  state.selected.forEach(id => { if (!getTrackById(id)) state.selected.delete(id); });
+  bulkBar.hidden = state.selected.size === 0;
+  selectedCount.textContent = `${state.selected.size} selected`;
+}
+
+async function openEditor(ids) {
+  const tracks = ids.map(getTrackById).filter(Boolean);
+  if (!tracks.length) return;
+  const multi = tracks.length > 1;
+  editForm.dataset.ids = JSON.stringify(tracks.map(t => t.id));
+  editHeading.textContent = multi ? `Edit ${tracks.length} tracks` : 'Edit track';
+  editHint.textContent = multi ? 'Fields left as "(mixed)" or unchanged keep their current values.' : '';
+  EDIT_FIELDS.forEach(f => {
+    const input = editForm.elements[f];
+    const values = [...new Set(tracks.map(t => t[f] || ''))];
+    input.value = values.length === 1 ? values[0] : '';
+    input.placeholder = values.length > 1 ? '(mixed)' : '';
+    input.dataset.initial = input.value;
+    input.disabled = multi && f === 'title';
+  });
+  const remote = !multi && tracks[0].type === 'url' ? tracks[0] : null;
+  editRemote.hidden = !remote;
+  if (remote) {
+    editRemoteSrc.textContent = remote.src;
+    editForm.elements.proxy.checked = remote.proxy !== false;
+    editForm.elements.offline.checked = Boolean(remote.offline);
+  }
+  editHistory.hidden = true;
+  editHistoryList.innerHTML = '';
+  editDialog.showModal();
+  if (!multi) renderEditHistory(tracks[0].id);
+}
+
+async function renderEditHistory(id) {
+  const res = await API.music.history(id);
+  const history = res.history || [];
+  editHistory.hidden = history.length === 0;
+  editHistoryList.innerHTML = '';
+  history.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = 'item';
+    const main = document.createElement('div'); main.className = 'item-main';
+    const title = document.createElement('div'); title.className = 'item-subtitle';
+    title.textContent = new Date(entry.at).toLocaleString() + (entry.rescan ? ' · from file tags' : '');
+    const sub = document.createElement('div');
+    sub.textContent = Object.entries(entry.changes).map(([f, c]) => `${f}: "${c.from}" → "${c.to}"`).join('; ');
+    main.appendChild(title); main.appendChild(sub);
+    const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'btn small secondary'; btn.textContent = 'Revert';
+    btn.addEventListener('click', async () => {
+      const r = await API.music.revert(id, entry.id);
+      if (!r.ok) { alert(r.error || 'Revert failed'); return; }
+      await refreshTracks();
+      openEditor([id]);
+    });
+    li.appendChild(main); li.appendChild(btn);
+    editHistoryList.appendChild(li);
+  });
+}
+
+// Proxy / offline settings of a URL track that differ from the editor's checkboxes.
+function remoteChanges(t) {
+  const changes = {};
+  const proxy = editForm.elements.proxy.checked;
+  const offline = editForm.elements.offline.checked;
+  if (proxy !== (t.proxy !== false)) changes.proxy = proxy;
+  if (offline !== Boolean(t.offline)) changes.offline = offline;
+  return changes;
+}
+
+async function saveEditor() {
+  const ids = JSON.parse(editForm.dataset.ids || '[]');
+  const changes = {};
+  EDIT_FIELDS.forEach(f => {
+    const input = editForm.elements[f];
+    if (input.disabled || input.value === input.dataset.initial) return;
+    if (ids.length > 1 && !input.value.trim()) return;
+    changes[f] = input.value;
+  });
+  const remote = editRemote.hidden ? {} : remoteChanges(getTrackById(ids[0]));
+  if (!Object.keys(changes).length && !Object.keys(remote).length) return;
+  if (Object.keys(changes).length) {
+    const res = ids.length > 1 ? await API.music.bulkUpdate(ids, changes) : await API.music.update(ids[0], changes);
+    if (!res.ok) { alert(res.error || 'Could not save changes'); return; }
+  }
+  if (Object.keys(remote).length) {
+    const res = await API.music.setRemote(ids[0], remote);
+    if (!res.ok) alert(res.error || 'Could not change the web source settings');
+  }
+  await refreshTracks();
+  updateNowPlaying(getTrackById(state.queue[state.currentIndex]) || null);
+}
+
+// -------- Live updates --------
+// Every open player keeps an event stream (GET /api/events) and refetches what
+// other players or users change. A burst of changes (a folder scan, a bulk
+// edit) is fetched once, LIVE_REFRESH_DELAY ms after the last of them.
+const LIVE_REFRESH_DELAY = 300;
+const live = { source: null, clientId: null, timer: null, pending: { tracks: false, playlists: false, nowPlaying: false } };
+
+function connectLive() {
+  if (live.source || !window.EventSource) return;
+  live.source = new EventSource(`/api/events?name=${encodeURIComponent(session.name)}`);
+  const on = (type, handler) => live.source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+  on('hello', ({ clientId, remote: current }) => {
+    const reconnected = Boolean(live.clientId);
+    live.clientId = clientId;
+    if (reconnected) {
+      refreshAll(); // whatever changed while the stream was down
+      // the server stops using a speaker whose stream drops; take the role back
+      if (remote.wasSpeaker && !current.speaker) API.remote.setSpeaker(clientId).catch(()=>{});
+    }
+    applyRemote(current);
+  });
+  on('tracks', ({ action, ids }) => {
+    live.pending.tracks = true;
+    if (action === 'removed') live.pending.playlists = true; // deleted tracks leave their playlists
+    if (ids.includes(state.queue[state.currentIndex])) live.pending.nowPlaying = true;
+    scheduleLiveRefresh();
+  });
+  on('playlists', () => { live.pending.playlists = true; scheduleLiveRefresh(); });
+  on('remote', applyRemote);
+  on('command', runRemoteCommand);
+}
+
+function scheduleLiveRefresh() {
+  clearTimeout(live.timer);
+  live.timer = setTimeout(runLiveRefresh, LIVE_REFRESH_DELAY);
+}
+
+async function runLiveRefresh() {
+  const { tracks, playlists, nowPlaying } = live.pending;
+  live.pending = { tracks: false, playlists: false, nowPlaying: false };
+  await Promise.all([tracks && refreshTracks(), playlists && refreshPlaylists()]).catch(()=>{});
+  if (tracks) refreshBrowse();
+  const current = getTrackById(state.queue[state.currentIndex]);
+  if (nowPlaying && current) {
+    updateNowPlaying(current);
+    loadLyrics(current, { force: true });
+  }
+  if (playlistDialog.open) {
+    if (state.playlists[playlistView.id]) openPlaylist(playlistView.id);
+    else playlistDialog.close(); // deleted (or no longer shared with us)
+  }
+}
+
+// -------- Remote control --------
+// One of the user's open players can be the speaker. The others turn into
+// remote controls: play/pause, skipping, seeking, volume and queueing go to the
+// speaker (see sendRemote), and they show what it reports it is playing. The
+// speaker reports whenever its playback changes, and every REMOTE_REPORT_EVERY
+// ms while playing so the others don't drift.
+const REMOTE_REPORT_EVERY = 15000;
+const remote = { speaker: null, state: null, receivedAt: 0, wasSpeaker: false, reportTimer: null, reportedAt: 0, ticker: null };
+
+const isSpeaker = () => Boolean(live.clientId && remote.speaker?.clientId === live.clientId);
+const controllingRemote = () => Boolean(remote.speaker) && !isSpeaker();
+
+// Send `command` to the speaker if this player is a remote control. Returns
+// false when it isn't, so the caller goes on locally.
+function sendRemote(command, value) {
+  if (!controllingRemote()) return false;
+  API.remote.command(command, value).then(res => {
+    if (!res.ok) alert(res.error || 'The speaker did not take the command');
+  }).catch(()=>{});
+  return true;
+}
+
+// The speaker's position now, counted on from its last report.
+function remotePosition() {
+  const s = remote.state;
+  if (!s) return 0;
+  if (!s.playing) return s.position;
+  const position = s.position + (Date.now() - remote.receivedAt) / 1000;
+  return s.duration ? Math.min(position, s.duration) : position;
+}
+
+function applyRemote({ speaker, state: playerState }) {
+  const wasControlling = controllingRemote();
+  Object.assign(remote, { speaker, state: playerState, receivedAt: Date.now() });
+  if (isSpeaker() && !remote.wasSpeaker) reportRemoteState();
+  // music plays on the speaker only
+  if (controllingRemote() && !wasControlling) { cancelTransition(); audio.pause(); }
+  remote.wasSpeaker = isSpeaker();
+  renderRemote();
+}
+
+// On the speaker: tell the remote controls what plays. Calls within 250 ms
+// send one report.
+function reportRemoteState() {
+  if (!isSpeaker() || remote.reportTimer) return;
+  remote.reportTimer = setTimeout(() => {
+    remote.reportTimer = null;
+    if (!isSpeaker()) return;
+    const track = getTrackById(state.queue[state.currentIndex]);
+    remote.reportedAt = Date.now();
+    API.remote.report({
+      trackId: track ? track.id : null,
+      title: track ? track.title || 'Untitled' : '',
+      artist: track?.artist || '',
+      album: track?.album || '',
+      artwork: track?.artwork || '',
+      playing: Boolean(track) && !audio.paused,
+      position: track ? audio.currentTime || 0 : 0,
+      duration: track && Number.isFinite(audio.duration) ? audio.duration : 0,
+      volume: state.volume
+    }).catch(()=>{});
+  }, 250);
+}
+
+// What the speaker does with a remote control's command (already checked by the server).
+const REMOTE_COMMANDS = {
+  play: () => audio.play().catch(()=>{}),
+  pause: () => { cancelTransition(); audio.pause(); },
+  toggle: () => togglePlay(),
+  next: () => next(),
+  prev: () => prev(),
+  seek: (seconds) => seekBy(seconds - (audio.currentTime || 0)),
+  volume: (volume) => changeVolume(volume - state.volume),
+  enqueue: async ({ trackIds, playNow, startIndex }) => {
+    await ensureTracks(trackIds);
+    if (playNow) playTracks(trackIds, startIndex);
+    else enqueueTracks(trackIds);
+  }
+};
+
+function runRemoteCommand({ command, value }) {
+  if (isSpeaker() && REMOTE_COMMANDS[command]) REMOTE_COMMANDS[command](value);
+}
+
+async function toggleSpeaker() {
+  const res = await (isSpeaker() ? API.remote.release() : API.remote.setSpeaker(live.clientId)).catch(() => ({}));
+  if (!res.ok) alert(res.error || 'Could not change the speaker');
+}
+
+async function releaseSpeaker() {
+  const res = await API.remote.release().catch(() => ({}));
+  if (!res.ok) alert(res.error || 'Could not disconnect the speaker');
+}
+
+function renderRemote() {
+  const { speaker } = remote;
+  const here = isSpeaker();
+  const controlling = controllingRemote();
+  remoteBtn.classList.toggle('active', Boolean(speaker));
+  remoteBanner.hidden = !controlling;
+  $("#remoteStatus").textContent = here ? 'This player is the speaker. Your other open players control what it plays.'
+    : controlling ? `"${speaker.name}" is the speaker. Play, pause, skip, seek, volume and queueing here go to it.`
+    : 'No speaker. Make this player the speaker, then control it from your other open players (a phone, another tab).';
+  $("#remoteSpeakerBtn").textContent = here ? 'Stop being the speaker' : 'Play on this device';
+  $("#remoteReleaseBtn").hidden = !controlling;
+  remotePanel.hidden = !controlling;
+  clearInterval(remote.ticker);
+  remote.ticker = null;
+  if (!controlling) return;
+  const s = remote.state && remote.state.trackId ? remote.state : null;
+  remoteBanner.textContent = `📡 Playing on ${speaker.name}${s ? `: ${s.title}` : ''}`;
+  $("#remoteTitle").textContent = s ? s.title : 'Nothing playing';
+  $("#remoteSubtitle").textContent = s ? [s.artist, s.album].filter(Boolean).join(' • ') : '';
+  setArtwork($("#remoteArt"), s && { id: s.trackId, artwork: s.artwork }, 'md');
+  $("#remotePlayBtn").textContent = s && s.playing ? '⏸' : '▶️';
+  remoteSeek.max = s ? s.duration : 0;
+  $("#remoteDuration").textContent = fmtTime(s ? s.duration : 0);
+  if (!remoteVolume.dragging) remoteVolume.value = remote.state ? remote.state.volume : 1;
+  renderRemotePosition();
+  // the position moves on by itself while the speaker plays
+  if (s && s.playing) remote.ticker = setInterval(renderRemotePosition, 1000);
+}
+
+function renderRemotePosition() {
+  const position = remotePosition();
+  $("#remoteTime").textContent = fmtTime(position);
+  if (!remoteSeek.dragging) remoteSeek.value = position;
+}
+
+function openRemote() {
+  renderRemote();
+  remoteDialog.showModal();
+}
+
 // -------- Events --------
 fileInput.addEventListener('change', async (e) => {
   const files = Array.from(e.target.files || []);
   if (!files.length) return;
-  const fd = new FormData();
-  files.forEach(f => fd.append('files', f));
-  await API.music.upload(fd);
-  await refreshTracks();
-  uploadForm.reset();
+  fileInput.value = '';
+  await uploadFiles(files);
 });
 
 addUrlBtn.addEventListener('click', async () => {
   const url = streamUrl.value.trim();
   if (!url) return;
-  await API.music.addUrl({ url });
+  addUrlBtn.disabled = true;
+  const res = await API.music.addUrl({ url, offline: urlOffline.checked }).finally(() => { addUrlBtn.disabled = false; });
+  if (!res.ok) { alert(res.error || 'Could not add the URL'); return; }
+  if (res.warnings?.length) alert(`Added "${res.track.title}":\n${res.warnings.join('\n')}`);
   streamUrl.value = '';
   await refreshTracks();
 });
 
-searchInput.addEventListener('input', renderTrackList);
-genreFilter.addEventListener('change', renderTrackList);
-artistFilter.addEventListener('change', renderTrackList);
+editSelectedBtn.addEventListener('click', () => openEditor([...state.selected]));
+clearSelectionBtn.addEventListener('click', () => { state.selected.clear(); renderBulkBar(); renderTrackList(); });
+$("#editCancelBtn").addEventListener('click', () => editDialog.close('cancel'));
+editDialog.addEventListener('close', () => { if (editDialog.returnValue === 'save') saveEditor(); });
+
+findDuplicatesBtn.addEventListener('click', openDuplicates);
+$("#dupCloseBtn").addEventListener('click', () => dupDialog.close());
+
+rescanBtn.addEventListener('click', async () => {
+  const res = await API.library.rescan();
+  if (!res.ok) { alert(res.error || 'Rescan failed'); return; }
+  refreshLibraryStatus();
+});
+
+$$('.tabs .tab').forEach(tab => tab.addEventListener('click', () => showLibraryView(tab.dataset.view)));
+let browseFilterTimer = null;
+browseFilter.addEventListener('input', () => { clearTimeout(browseFilterTimer); browseFilterTimer = setTimeout(loadBrowseGrid, 200); });
+browseSort.addEventListener('change', loadBrowseGrid);
+$("#browseBackBtn").addEventListener('click', browseBack);
+$("#browsePlayBtn").addEventListener('click', () => {
+  if (browse.tracks.length) playTracks(browse.tracks.map(t => t.id));
+});
+$("#browseQueueBtn").addEventListener('click', () => enqueueTracks(browse.tracks.map(t => t.id)));
+
+searchInput.addEventListener('input', searchLibraryDebounced);
+genreFilter.addEventListener('change', searchLibrary);
+artistFilter.addEventListener('change', searchLibrary);
+albumFilter.addEventListener('change', searchLibrary);
+
+let scrollFrame = null;
+trackList.addEventListener('scroll', () => {
+  if (scrollFrame) return;
+  scrollFrame = requestAnimationFrame(() => { scrollFrame = null; renderTrackList(); });
+});
 
 newPlaylistBtn.addEventListener('click', async () => {
   const name = prompt('New playlist name:');
@@ -288,35 +2599,180 @@ newPlaylistBtn.addEventListener('click', async () => {
   }
 });
 
+$("#lyricsEditBtn").addEventListener('click', openLyricsEditor);
+$("#lyricsCancelBtn").addEventListener('click', () => lyricsDialog.close('cancel'));
+lyricsDialog.addEventListener('close', () => {
+  if (['save', 'remove'].includes(lyricsDialog.returnValue)) saveLyricsEditor(lyricsDialog.returnValue);
+});
+$("#lyricsFile").addEventListener('change', async (e) => {
+  const file = (e.target.files || [])[0];
+  if (file) lyricsForm.elements.text.value = await file.text();
+  e.target.value = '';
+});
+
+$("#playlistCloseBtn").addEventListener('click', () => playlistDialog.close());
+$("#playlistPlayBtn").addEventListener('click', () => {
+  if (playlistView.trackIds.length) playTracks(playlistView.trackIds);
+});
+
+newSmartPlaylistBtn.addEventListener('click', () => openSmartEditor());
+$("#smartAddConditionBtn").addEventListener('click', () => addConditionRow());
+$("#smartCancelBtn").addEventListener('click', () => smartDialog.close('cancel'));
+smartDialog.addEventListener('close', () => { if (smartDialog.returnValue === 'save') saveSmartEditor(); });
+
+playlistImportInput.addEventListener('change', async (e) => {
+  const file = (e.target.files || [])[0];
+  if (!file) return;
+  const content = await file.text();
+  const res = await API.playlists.import({ content, fileName: file.name });
+  playlistImportInput.value = '';
+  if (!res.ok) { alert(`Import failed: ${res.error}`); return; }
+  await refreshAll();
+  alert(describeImport(res));
+});
+
+sessionSelect.addEventListener('change', async () => {
+  let name = sessionSelect.value;
+  if (name === '__new__') {
+    name = (prompt('New session name (e.g. office, home):') || '').trim();
+    if (!name) { sessionSelect.value = session.name; return; }
+  }
+  await switchSession(name);
+});
+
 clearQueueBtn.addEventListener('click', () => {
-  state.queue = []; state.currentIndex = -1;
-  renderQueue(); audio.pause(); updateNowPlaying(null);
+  closePlay('stopped');
+  setQueue([]);
+  stopPlayback(); updateNowPlaying(null);
 });
 
-playPauseBtn.addEventListener('click', () => { if (audio.paused) audio.play(); else audio.pause(); });
-prevBtn.addEventListener('click', prev);
-nextBtn.addEventListener('click', next);
+playPauseBtn.addEventListener('click', togglePlay);
+prevBtn.addEventListener('click', () => prev());
+nextBtn.addEventListener('click', () => next());
+repeatBtn.addEventListener('click', () => {
+  const modes = ['off', 'all', 'one'];
+  state.repeat = modes[(modes.indexOf(state.repeat) + 1) % modes.length];
+  renderModeButtons(); saveSettings();
+});
+shuffleBtn.addEventListener('click', () => {
+  const modes = ['off', 'on', 'smart'];
+  setShuffle(modes[(modes.indexOf(state.shuffle) + 1) % modes.length]);
+});
 
-audio.addEventListener('loadedmetadata', () => { seekBar.max = audio.duration || 0; durationEl.textContent = fmtTime(audio.duration || 0); });
-audio.addEventListener('timeupdate', () => {
+// Both decks fire media events; only the playing one drives the UI.
+const onDeck = (type, handler) => decks.forEach(el => el.addEventListener(type, (e) => { if (el === audio) handler(e); }));
+function showDuration() { seekBar.max = audio.duration || 0; durationEl.textContent = fmtTime(audio.duration || 0); }
+
+onDeck('loadedmetadata', showDuration);
+onDeck('timeupdate', () => {
   currentTimeEl.textContent = fmtTime(audio.currentTime || 0);
+  if (tracker.play) tracker.position = audio.currentTime || 0;
   if (!seekBar.dragging) seekBar.value = audio.currentTime || 0;
+  syncLyrics();
+  checkTransition();
+  if (!audio.paused && Date.now() - session.lastSavedAt > 10000) scheduleSessionSave();
+  if (!audio.paused && Date.now() - remote.reportedAt > REMOTE_REPORT_EVERY) reportRemoteState();
+});
+onDeck('ended', () => {
+  if (startTransition(0)) return; // the gapless timer was late
+  closePlay('completed');
+  next({ auto: true });
 });
-audio.addEventListener('ended', next);
+onDeck('playing', startPlay);
+onDeck('pause', () => scheduleSessionSave());
+if (mediaSession) {
+  onDeck('play', () => { mediaSession.playbackState = 'playing'; updatePositionState(); });
+  onDeck('pause', () => { mediaSession.playbackState = 'paused'; updatePositionState(); });
+  ['loadedmetadata', 'durationchange', 'seeked', 'ratechange'].forEach(type => onDeck(type, updatePositionState));
+}
+onDeck('seeking', () => { clearTimeout(engine.timer); engine.timer = null; });
+onDeck('seeked', () => { syncLyrics(); scheduleSessionSave(); });
+['play', 'pause', 'seeked', 'loadedmetadata'].forEach(type => onDeck(type, reportRemoteState));
+window.addEventListener('pagehide', () => { closePlay('stopped', { keepalive: true }); saveSession({ keepalive: true }); });
 
 seekBar.addEventListener('input', () => { seekBar.dragging = true; });
 seekBar.addEventListener('change', () => { audio.currentTime = Number(seekBar.value || 0); seekBar.dragging = false; });
 
-volumeBar.addEventListener('input', () => { audio.volume = Number(volumeBar.value); });
+volumeBar.addEventListener('input', () => { state.volume = Number(volumeBar.value); applyVolume(); });
+volumeBar.addEventListener('change', () => { saveSettings(); reportRemoteState(); });
+normSelect.addEventListener('change', () => {
+  state.normalization = normSelect.value;
+  saveSettings();
+  applyNormalization();
+  if (engine.preloaded) applyNormalization(idleDeck(), getTrackById(engine.preloaded.id));
+});
+onDeck('play', () => { if (graph.ctx && graph.ctx.state === 'suspended') graph.ctx.resume().catch(()=>{}); });
+eqBtn.addEventListener('click', () => { eqDialog.showModal(); refreshEqPresets(); });
+$("#eqCloseBtn").addEventListener('click', () => eqDialog.close());
+$("#eqSaveBtn").addEventListener('click', saveEqPreset);
+$("#eqDeleteBtn").addEventListener('click', deleteEqPreset);
+eqEnabled.addEventListener('change', () => { state.eq.enabled = eqEnabled.checked; applyEq(); saveSettings(); });
+eqPresetSelect.addEventListener('change', () => chooseEqPreset(eqPresetSelect.value));
+eqPreamp.addEventListener('input', () => {
+  state.eq.preamp = Number(eqPreamp.value);
+  $("#eqPreampValue").textContent = `${state.eq.preamp > 0 ? '+' : ''}${state.eq.preamp} dB`;
+  applyEq();
+});
+eqPreamp.addEventListener('change', saveSettings);
+vizBtn.addEventListener('click', () => {
+  const modes = Object.keys(VISUALIZER_MODES);
+  state.visualizer = modes[(modes.indexOf(state.visualizer) + 1) % modes.length];
+  renderVisualizer(); saveSettings();
+});
+
+crossfadeBar.addEventListener('input', () => { state.crossfade = Number(crossfadeBar.value); renderCrossfade(); });
+crossfadeBar.addEventListener('change', saveSettings);
+
+statsBtn.addEventListener('click', () => { statsDialog.showModal(); renderStats(); });
+statsRange.addEventListener('change', renderStats);
+$("#statsCloseBtn").addEventListener('click', () => statsDialog.close());
+
+remoteBtn.addEventListener('click', openRemote);
+remoteBanner.addEventListener('click', openRemote);
+$("#remoteCloseBtn").addEventListener('click', () => remoteDialog.close());
+$("#remoteSpeakerBtn").addEventListener('click', toggleSpeaker);
+$("#remoteReleaseBtn").addEventListener('click', releaseSpeaker);
+$("#remotePrevBtn").addEventListener('click', () => sendRemote('prev'));
+$("#remotePlayBtn").addEventListener('click', () => sendRemote('toggle'));
+$("#remoteNextBtn").addEventListener('click', () => sendRemote('next'));
+remoteSeek.addEventListener('input', () => { remoteSeek.dragging = true; });
+remoteSeek.addEventListener('change', () => {
+  remoteSeek.dragging = false;
+  if (!remote.state || !sendRemote('seek', Number(remoteSeek.value))) return;
+  // show the new position until the speaker reports it
+  Object.assign(remote, { state: { ...remote.state, position: Number(remoteSeek.value) }, receivedAt: Date.now() });
+});
+remoteVolume.addEventListener('input', () => { remoteVolume.dragging = true; });
+remoteVolume.addEventListener('change', () => { remoteVolume.dragging = false; sendRemote('volume', Number(remoteVolume.value)); });
+
+authForm.addEventListener('submit', (e) => { e.preventDefault(); submitAuth(); });
+authSwitch.addEventListener('click', () => setAuthMode(auth.mode === 'register' ? 'login' : 'register'));
+$("#logoutBtn").addEventListener('click', logout);
+$("#accountBtn").addEventListener('click', openAccount);
+$("#accountCloseBtn").addEventListener('click', () => accountDialog.close());
+$("#newTokenBtn").addEventListener('click', createToken);
+$("#newUserBtn").addEventListener('click', createUser);
+passwordForm.addEventListener('submit', (e) => { e.preventDefault(); changePassword(); });
+
+document.addEventListener('keydown', handleShortcut);
+$("#shortcutsBtn").addEventListener('click', openShortcuts);
+$("#shortcutsCloseBtn").addEventListener('click', () => shortcutsDialog.close());
+$("#shortcutsResetBtn").addEventListener('click', () => { state.shortcuts = defaultShortcuts(); shortcutEdit.action = null; saveSettings(); renderShortcuts(); });
+shortcutsDialog.addEventListener('close', () => { shortcutEdit.action = null; });
 
 themeToggle.addEventListener('click', () => { document.body.classList.toggle('light'); saveTheme(); });
 
 // -------- Refresh helpers --------
+// Reload the library rows and the tracks the queue and selection refer to
+// (not the whole library), dropping deleted tracks from state.trackIndex.
 async function refreshTracks() {
-  const res = await API.music.list();
-  state.tracks = res.tracks || [];
-  rebuildFacetOptions();
-  renderTrackList();
+  const ids = [...new Set([...state.queue, ...state.selected])];
+  const [res] = await Promise.all([
+    ids.length ? API.music.byIds(ids) : { tracks: [] },
+    loadLibrary({ reset: true, limit: Math.max(PAGE_SIZE, state.library.items.length) })
+  ]);
+  state.trackIndex = new Map([...state.library.items, ...(res.tracks || [])].map(t => [t.id, t]));
+  renderBulkBar();
   renderQueue();
 }
 async function refreshPlaylists() {
@@ -326,9 +2782,20 @@ async function refreshPlaylists() {
 }
 
 async function refreshAll() {
-  await Promise.all([refreshTracks(), refreshPlaylists()]);
+  await Promise.all([refreshTracks(), refreshPlaylists(), refreshLibraryStatus(), refreshRecent()]);
+  refreshBrowse();
+  if (!session.restored) await restoreSession();
 }
 
 // -------- Init --------
 loadTheme();
-refreshAll();
+buildEqBands();
+loadSettings();
+setupMediaSession();
+updateNowPlaying(null);
+API.auth.me().then(me => {
+  if (!me.user) return showAuthScreen(me);
+  signedIn(me.user);
+  refreshAll();
+  connectLive();
+}).catch(() => showAuthScreen());
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, serve } from './helpers.js';
+
+useTempDirs();
+const { default: sharp } = await import('sharp');
+const { extractArtwork, artworkFile } = await import('../backend/lib/artwork.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+const red = (format) => sharp({ create: { width: 8, height: 8, channels: 3, background: '#c00' } })[format]().toBuffer();
+const embedded = (data, format) => ({ common: { picture: [{ data, format, type: 'Cover (front)' }] } });
+
+test('extractArtwork', async (t) => {
+  await t.test('stores JPEG as .jpg and other images as .png', async () => {
+    assert.match(await extractArtwork('', embedded(await red('jpeg'), 'image/jpeg')), /^[0-9a-f]{40}\.jpg$/);
+    const name = await extractArtwork('', embedded(await red('webp'), 'image/webp'));
+    assert.match(name, /^[0-9a-f]{40}\.png$/);
+    const stored = fs.readFileSync(path.join(process.env.ARTWORK_DIR, name));
+    assert.equal((await sharp(stored).metadata()).format, 'png');
+  });
+  await t.test('the label is ignored; the content decides', async () => {
+    assert.match(await extractArtwork('', embedded(await red('png'), 'text/html')), /\.png$/);
+  });
+  await t.test('refuses anything but JPEG, PNG, WebP and GIF', async () => {
+    const html = Buffer.from('<html><script>alert(1)</script></html>');
+    await assert.rejects(extractArtwork('', embedded(html, 'text/html')));
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><script>alert(1)</script></svg>');
+    await assert.rejects(extractArtwork('', embedded(svg, 'image/svg+xml')));
+    assert.deepEqual(fs.readdirSync(process.env.ARTWORK_DIR).filter(n => !/\.(jpg|png)$/.test(n)), []);
+  });
+  await t.test('concurrent requests for a new size both succeed', async () => {
+    const name = await extractArtwork('', embedded(await red('png'), 'image/png'));
+    const files = await Promise.all([artworkFile(name, 'md'), artworkFile(name, 'md'), artworkFile(name, 'md')]);
+    assert.equal(new Set(files).size, 1);
+    assert.equal((await sharp(files[0]).metadata()).format, 'jpeg');
+    assert.deepEqual(fs.readdirSync(path.dirname(files[0])).filter(n => n.endsWith('.tmp')), []);
+  });
+  await t.test('artworkFile only serves image names', async () => {
+    const hash = 'a'.repeat(40);
+    for (const ext of ['html', 'svg', 'js']) await assert.rejects(artworkFile(`${hash}.${ext}`, 'original'));
+  });
+});
+
+test('GET /api/music/:id/artwork sends nosniff', async (t) => {
+  const artwork = await extractArtwork('', embedded(await red('jpeg'), 'image/jpeg'));
+  const store = await memoryStore({ tracks: [{ id: 'a', type: 'file', path: 'a.mp3', title: 'a', artwork }] });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const res = await fetch(`${server.url}/api/music/a/artwork?size=sm`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(res.headers.get('content-type'), 'image/jpeg');
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs, memoryStore, serve, admin, listener } from './helpers.js';
+
+useTempDirs();
+const { default: eqRoutes } = await import('../backend/routes/eq.js');
+
+const gains = [1, 2, 3, 4, 5, 6, 5, 4, 3, 2];
+
+test('EQ presets', async (t) => {
+  const store = await memoryStore({ eqPresets: {} });
+  const mount = app => app.use('/api/eq', eqRoutes({ store }));
+  const asAdmin = await serve(mount, { user: admin });
+  const asListener = await serve(mount, { user: listener });
+  t.after(() => Promise.all([asAdmin.close(), asListener.close()]));
+  const put = (server, name, body) => fetch(`${server.url}/api/eq/presets/${encodeURIComponent(name)}`, {
+    method: 'PUT', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const del = (server, name) => fetch(`${server.url}/api/eq/presets/${encodeURIComponent(name)}`, { method: 'DELETE' });
+  const saved = async (server) => (await (await fetch(`${server.url}/api/eq/presets`)).json()).presets
+    .filter(p => !p.builtIn).map(p => p.name);
+
+  await t.test('each user has their own', async () => {
+    assert.equal((await put(asAdmin, 'Mine', { preamp: -2, gains })).status, 200);
+    assert.equal((await put(asListener, 'Mine', { preamp: 0, gains })).status, 200);
+    assert.deepEqual(await saved(asAdmin), ['Mine']);
+    assert.equal((await del(asListener, 'Mine')).status, 200);
+    assert.deepEqual(await saved(asListener), []);
+    assert.deepEqual(await saved(asAdmin), ['Mine']);
+    assert.equal((await del(asListener, 'Mine')).status, 404);
+  });
+  await t.test('saving again replaces', async () => {
+    await put(asAdmin, 'Mine', { preamp: -5, gains });
+    const { presets } = await (await fetch(`${asAdmin.url}/api/eq/presets`)).json();
+    assert.equal(presets.find(p => p.name === 'Mine').preamp, -5);
+    assert.equal(presets.filter(p => p.name === 'Mine').length, 1);
+  });
+  await t.test('built-in names and object property names', async () => {
+    assert.equal((await put(asAdmin, 'Rock', { gains })).status, 409);
+    assert.equal((await del(asAdmin, 'Rock')).status, 400);
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+      assert.equal((await put(asAdmin, name, { gains })).status, 200, name);
+    }
+    assert.deepEqual(await saved(asAdmin), ['__proto__', 'constructor', 'Mine', 'toString']);
+    assert.equal((await del(asAdmin, '__proto__')).status, 200);
+    assert.equal((await del(asAdmin, 'valueOf')).status, 404);
+  });
+  await t.test('bad presets', async () => {
+    assert.equal((await put(asAdmin, 'Bad', { gains: [1, 2] })).status, 400);
+    assert.equal((await put(asAdmin, 'Bad', { preamp: 20, gains })).status, 400);
+    assert.equal((await put(asAdmin, 'a/b', { gains })).status, 400);
+  });
+});
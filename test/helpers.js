@@ -0,0 +1,51 @@
+// Shared setup for the tests: a throwaway data directory, an in-memory store
+// and an Express app on an ephemeral port.
+//
+// backend/config.js reads the environment once, so test files call useTempDirs()
+// before importing any backend module (with a dynamic import()).
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+export function useTempDirs() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-test-'));
+  process.env.UPLOAD_DIR = path.join(dir, 'uploads');
+  process.env.ARTWORK_DIR = path.join(dir, 'artwork');
+  fs.mkdirSync(process.env.UPLOAD_DIR);
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+export const admin = { id: 'u-admin', username: 'admin', role: 'admin' };
+export const listener = { id: 'u-listener', username: 'listener', role: 'listener' };
+
+// A store like backend/storage's, minus the file.
+export async function memoryStore(db = {}) {
+  const { createStore } = await import('../backend/storage/index.js');
+  return createStore({ load: async () => db, save: async () => {} });
+}
+
+// Serve `mount(app)` as `user` on 127.0.0.1; resolves to { url, close }.
+export async function serve(mount, { user = admin } = {}) {
+  const { default: express } = await import('express');
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  mount(app);
+  app.use((err, req, res, next) => res.status(500).json({ ok:false, error: err.message }));
+  return listen(app);
+}
+
+// Listen on an ephemeral port with a plain request handler.
+export function listen(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      url: `http://127.0.0.1:${port}`,
+      close: () => new Promise(done => { server.closeAllConnections(); server.close(done); })
+    });
+  }));
+}
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore } from './helpers.js';
+
+const dir = useTempDirs();
+const { createLibrary } = await import('../backend/lib/library.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+const { applyEdit, revertChanges } = await import('../backend/lib/track-edits.js');
+
+test('the ignore list forgets files that are gone', async () => {
+  const root = path.join(dir, 'music');
+  fs.mkdirSync(root);
+  const kept = path.join(root, 'kept.mp3');
+  const gone = path.join(root, 'gone.mp3');
+  const outside = path.join(dir, 'elsewhere', 'old.mp3');
+  fs.writeFileSync(kept, Buffer.alloc(10));
+  const store = await memoryStore({ tracks: [], playlists: {}, lyrics: {}, library: { ignored: [kept, gone, outside] } });
+  const library = createLibrary({ store, roots: [root], events: createEventHub() });
+  await library.scan();
+  const db = await store.read();
+  assert.deepEqual(db.library.ignored, [kept]);
+  assert.equal(db.tracks.length, 0, 'an ignored file is still skipped');
+});
+
+test('rescans keep edited fields and record new tags in the history', async () => {
+  const root = path.join(dir, 'rescan');
+  fs.mkdirSync(root);
+  const file = path.join(root, 'Band - Song.mp3');
+  fs.writeFileSync(file, Buffer.alloc(10));
+  const track = { id: 't', type: 'file', source: 'library', path: file, root, size: 0, mtimeMs: 0, title: 'Old', artist: 'Mine', album: '', genre: '' };
+  const edit = { id: 'e', at: '2024-01-01T00:00:00.000Z', changes: { artist: { from: 'Old band', to: 'Mine' } } };
+  const store = await memoryStore({ tracks: [track], playlists: {}, lyrics: {}, trackHistory: { t: [edit] }, library: { ignored: [] } });
+  const library = createLibrary({ store, roots: [root], events: createEventHub() });
+  await library.scan();
+  let db = await store.read();
+  assert.equal(db.tracks[0].title, 'Song');
+  assert.equal(db.tracks[0].artist, 'Mine');
+  const rescan = db.trackHistory.t.at(-1);
+  assert.equal(rescan.rescan, true);
+  assert.deepEqual(rescan.changes, { title: { from: 'Old', to: 'Song' } });
+
+  // once the edit is undone, the artist follows the file again
+  await store.update(db => {
+    applyEdit(db, db.tracks[0], revertChanges(edit), { revertOf: edit.id });
+    db.tracks[0].size = 0;
+  });
+  await library.scan();
+  db = await store.read();
+  assert.equal(db.tracks[0].artist, 'Band');
+  assert.deepEqual(db.trackHistory.t.at(-1).changes, { artist: { from: 'Old band', to: 'Band' } });
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, serve, listener } from './helpers.js';
+
+const dir = useTempDirs();
+process.env.LOUDNESS_MAX_BYTES = String(64 * 1024);
+process.env.LOUDNESS_MAX_SECONDS = '60';
+const { estimateLoudness } = await import('../backend/lib/loudness.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+// A 440 Hz sine at `amplitude`, 8 kHz mono 16-bit.
+function sineWav(seconds, amplitude) {
+  const data = Buffer.alloc(8000 * 2 * seconds);
+  for (let i = 0; i < data.length / 2; i++) {
+    data.writeInt16LE(Math.round(amplitude * 32767 * Math.sin(2 * Math.PI * 440 * i / 8000)), i * 2);
+  }
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0); h.writeUInt32LE(36 + data.length, 4); h.write('WAVE', 8);
+  h.write('fmt ', 12); h.writeUInt32LE(16, 16); h.writeUInt16LE(1, 20); h.writeUInt16LE(1, 22);
+  h.writeUInt32LE(8000, 24); h.writeUInt32LE(16000, 28); h.writeUInt16LE(2, 32); h.writeUInt16LE(16, 34);
+  h.write('data', 36); h.writeUInt32LE(data.length, 40);
+  return Buffer.concat([h, data]);
+}
+const file = (name, content) => {
+  const p = path.join(dir, 'uploads', name);
+  fs.writeFileSync(p, content);
+  return p;
+};
+
+test('estimateLoudness', async (t) => {
+  await t.test('measures a decodable file', async () => {
+    const { gain, peak } = await estimateLoudness(file('sine.wav', sineWav(2, 0.5)));
+    assert.ok(Math.abs(peak - 0.5) < 0.01, `peak ${peak}`);
+    assert.ok(Number.isFinite(gain));
+    const quiet = await estimateLoudness(file('quiet.wav', sineWav(2, 0.1)));
+    assert.ok(quiet.gain > gain + 10, 'a quieter file needs more gain');
+  });
+  await t.test('refuses files over the limits', async () => {
+    await assert.rejects(estimateLoudness(file('long.wav', sineWav(5, 0.5))), /too large/);
+    await assert.rejects(estimateLoudness(file('sine.wav', sineWav(2, 0.5)), { duration: 61 }), /too long/);
+  });
+  await t.test('undecodable files reject', async () => {
+    await assert.rejects(estimateLoudness(file('junk.mp3', Buffer.from('not audio at all'))));
+  });
+});
+
+test('POST /api/music/:id/loudness', async (t) => {
+  file('song.wav', sineWav(1, 0.5));
+  const junk = file('junk.wav', Buffer.from('not audio at all'));
+  const store = await memoryStore({
+    tracks: [
+      { id: 'song', type: 'file', path: 'song.wav', title: 'song', duration: 1 },
+      { id: 'tagged', type: 'file', path: 'song.wav', title: 'tagged', loudness: { gain: -3, peak: 1 } },
+      { id: 'junk', type: 'file', path: 'junk.wav', title: 'junk', loudness: { error: 'saved by an older version' } }
+    ]
+  });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })), { user: listener });
+  t.after(() => server.close());
+  const loudness = (id) => fetch(`${server.url}/api/music/${id}/loudness`, { method: 'POST' });
+
+  await t.test('measured once and saved', async () => {
+    const res = await loudness('song');
+    assert.equal(res.status, 200);
+    const measured = (await res.json()).loudness;
+    assert.ok(Math.abs(measured.peak - 0.5) < 0.01);
+    assert.deepEqual((await store.read()).tracks[0].loudness, measured);
+    assert.deepEqual((await (await loudness('tagged')).json()).loudness, { gain: -3, peak: 1 });
+    assert.equal((await loudness('nope')).status, 404);
+    assert.equal((await fetch(`${server.url}/api/music/song/loudness`)).status, 404, 'GET is not a route');
+  });
+  await t.test('failures are not saved, and a changed file is measured again', async () => {
+    const failed = await (await loudness('junk')).json();
+    assert.equal(failed.loudness, null);
+    assert.ok(failed.error);
+    const before = await store.read();
+    assert.deepEqual(await (await loudness('junk')).json(), failed);
+    assert.equal(await store.read(), before, 'a repeated failure is answered from memory');
+
+    fs.writeFileSync(junk, sineWav(1, 0.25));
+    const measured = (await (await loudness('junk')).json()).loudness;
+    assert.ok(Math.abs(measured.peak - 0.25) < 0.01);
+    assert.deepEqual((await store.read()).tracks[2].loudness, measured);
+  });
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs } from './helpers.js';
+
+const dir = useTempDirs();
+const { readLyrics } = await import('../backend/lib/lyrics.js');
+
+const syncsafe = (n) => Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+
+// An ID3v2.3 tag with one SYLT frame (Latin-1, millisecond timestamps), then
+// some bytes standing in for the audio. `tagSize` overrides the header's size.
+function taggedFile(name, lines, { tagSize } = {}) {
+  const body = Buffer.concat([
+    Buffer.from([0]), Buffer.from('eng'), Buffer.from([2, 1]), Buffer.from([0]),
+    ...lines.flatMap(([ms, text]) => {
+      const time = Buffer.alloc(4); time.writeUInt32BE(ms);
+      return [Buffer.from(`${text}\0`, 'latin1'), time];
+    })
+  ]);
+  const header = Buffer.alloc(10);
+  header.write('SYLT', 0); header.writeUInt32BE(body.length, 4);
+  const frames = Buffer.concat([header, body]);
+  const tag = Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0]), syncsafe(tagSize ?? frames.length), frames]);
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, Buffer.concat([tag, Buffer.alloc(64)]));
+  return file;
+}
+
+test('SYLT lyrics', async (t) => {
+  await t.test('read from the ID3 tag', async () => {
+    const lyrics = await readLyrics(taggedFile('a.mp3', [[2000, 'second'], [1000, 'first']]), null);
+    assert.deepEqual(lyrics, { source: 'embedded', synced: true, lines: [{ time: 1, text: 'first' }, { time: 2, text: 'second' }] });
+  });
+  await t.test('a tag size past the end of the file is capped', async () => {
+    const lyrics = await readLyrics(taggedFile('b.mp3', [[500, 'hello']], { tagSize: 0x0fffffff }), null);
+    assert.deepEqual(lyrics.lines, [{ time: 0.5, text: 'hello' }]);
+  });
+  await t.test('a frame running past the file is skipped', async () => {
+    const file = taggedFile('c.mp3', [[500, 'hello']], { tagSize: 0x0fffffff });
+    const buf = fs.readFileSync(file);
+    buf.writeUInt32BE(0x7fffffff, 14); // the SYLT frame's size
+    fs.writeFileSync(file, buf);
+    assert.equal(await readLyrics(file, null), null);
+  });
+});
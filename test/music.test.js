@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, serve, admin, listener } from './helpers.js';
+
+const dir = useTempDirs();
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+const post = (url, body) => fetch(url, {
+  method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+});
+
+test('POST /api/music/by-ids', async (t) => {
+  const track = (id) => ({ id, type: 'url', src: `http://example.com/${id}.mp3`, title: id });
+  const store = await memoryStore({ tracks: ['a', 'b', 'c'].map(track) });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })), { user: listener });
+  t.after(() => server.close());
+  const byIds = (body) => post(`${server.url}/api/music/by-ids`, body);
+
+  await t.test('only the asked-for tracks, unknown ids left out', async () => {
+    const res = await byIds({ ids: ['c', 'a', 'gone', 'a'] });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).tracks.map(t => t.id), ['a', 'c']);
+  });
+  await t.test('bad input', async () => {
+    assert.equal((await byIds({})).status, 400);
+    assert.equal((await byIds({ ids: 'a' })).status, 400);
+    assert.equal((await byIds({ ids: [1] })).status, 400);
+  });
+});
+
+test('duplicates', async (t) => {
+  for (const name of ['a.mp3', 'b.mp3']) fs.writeFileSync(path.join(dir, 'uploads', name), Buffer.alloc(100, 7));
+  const file = (id, title) => ({ id, type: 'file', path: `${id}.mp3`, title, artist: '', duration: 0 });
+  const store = await memoryStore({ tracks: [file('a', 'One'), file('b', 'Two')], playlists: {} });
+  const mount = app => app.use('/api/music', musicRoutes({ store, events: createEventHub() }));
+  const asAdmin = await serve(mount, { user: admin });
+  const asListener = await serve(mount, { user: listener });
+  t.after(() => Promise.all([asAdmin.close(), asListener.close()]));
+  const duplicates = async (server) => (await fetch(`${server.url}/api/music/duplicates`)).json();
+  const hash = (server) => fetch(`${server.url}/api/music/duplicates/hash`, { method: 'POST' });
+
+  await t.test('GET is read-only', async () => {
+    const before = await store.read();
+    assert.deepEqual(await duplicates(asListener), { groups: [], unhashed: 2 });
+    assert.equal(await store.read(), before);
+  });
+  await t.test('hashing is for admins', async () => {
+    assert.equal((await hash(asListener)).status, 403);
+    const res = await hash(asAdmin);
+    assert.deepEqual(await res.json(), { ok: true, hashed: 2 });
+    assert.deepEqual(await duplicates(asListener), { groups: [{ kind: 'exact', trackIds: ['a', 'b'] }], unhashed: 0 });
+    assert.deepEqual(await (await hash(asAdmin)).json(), { ok: true, hashed: 0 });
+  });
+});
+
+test('POST /api/music/merge', async (t) => {
+  const track = (id) => ({ id, type: 'url', src: `http://example.com/${id}.mp3`, title: id });
+  const session = (queue) => ({ queue, currentIndex: 1, position: 0, volume: 1, repeat: 'off', shuffle: 'off', shuffleOrder: null });
+  const store = await memoryStore({
+    tracks: ['keep', 'copy', 'other'].map(track),
+    playlists: { p: { id: 'p', name: 'Mix', trackIds: ['copy', 'other', 'keep'] } },
+    plays: [{ id: '1', trackId: 'copy', userId: 'u' }, { id: '2', trackId: 'other', userId: 'u' }],
+    sessions: { u: { work: session(['other', 'copy', 'keep']) }, legacy: session(['copy']) },
+    trackHistory: {}, lyrics: {}, library: { ignored: [] }
+  });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })), { user: admin });
+  t.after(() => server.close());
+
+  const res = await post(`${server.url}/api/music/merge`, { keepId: 'keep', trackIds: ['copy'] });
+  assert.deepEqual((await res.json()).removed, ['copy']);
+  const db = await store.read();
+  assert.deepEqual(db.tracks.map(t => t.id), ['keep', 'other']);
+  assert.deepEqual(db.playlists.p.trackIds, ['other', 'keep']);
+  assert.deepEqual(db.plays.map(p => p.trackId), ['keep', 'other']);
+  assert.deepEqual(db.sessions.u.work.queue, ['other', 'keep', 'keep']);
+  assert.equal(db.sessions.u.work.currentIndex, 1);
+  assert.deepEqual(db.sessions.legacy.queue, ['keep']);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs, memoryStore, serve } from './helpers.js';
+
+useTempDirs();
+const { default: playlistRoutes } = await import('../backend/routes/playlists.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+const { serializePlaylist, parsePlaylist } = await import('../backend/lib/playlist-formats.js');
+
+test('playlist formats', async (t) => {
+  await t.test('XSPF character references outside Unicode become U+FFFD', () => {
+    const xml = '<playlist><trackList><track><location>http://x/a.mp3</location>'
+      + '<title>&#99999999;&#xD800;&#x1F3B5;&#233;</title></track></trackList></playlist>';
+    assert.equal(parsePlaylist(xml, 'xspf').entries[0].title, '\uFFFD\uFFFD\u{1F3B5}é');
+  });
+  await t.test('line breaks in names and tags stay on one line', () => {
+    const entries = [{ location: 'http://x/a.mp3', title: 'A\r\n#EXTINF:1,B', artist: 'C', album: 'D\nE', duration: 1 }];
+    const m3u = serializePlaylist('m3u8', 'Mix\r\nhttp://evil/', entries);
+    assert.deepEqual(m3u.trim().split('\n'), [
+      '#EXTM3U', '#PLAYLIST:Mix http://evil/', '#EXTINF:1,C - A #EXTINF:1,B', '#EXTALB:D E', 'http://x/a.mp3'
+    ]);
+    assert.equal(parsePlaylist(m3u, 'm3u8').entries.length, 1);
+    const pls = serializePlaylist('pls', 'Mix', entries);
+    assert.equal(parsePlaylist(pls, 'pls').entries.length, 1);
+    assert.match(pls, /^Title1=C - A #EXTINF:1,B$/m);
+  });
+});
+
+test('playlist routes refuse non-string names and formats', async (t) => {
+  const store = await memoryStore({ tracks: [], playlists: {} });
+  const server = await serve(app => app.use('/api/playlists', playlistRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const send = (method, p, body) => fetch(`${server.url}/api/playlists${p}`, {
+    method, headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const content = '#EXTM3U\nhttp://example.com/a.mp3\n';
+
+  await t.test('create', async () => {
+    for (const name of [1, {}, ['x'], null, '  ']) {
+      assert.equal((await send('POST', '/', { name })).status, 400, JSON.stringify(name));
+    }
+  });
+  await t.test('rename', async () => {
+    const { playlist } = await (await send('POST', '/', { name: 'Mix' })).json();
+    assert.equal((await send('PUT', `/${playlist.id}`, { name: 1 })).status, 400);
+    assert.equal((await send('PUT', `/${playlist.id}`, { name: ' Renamed ' })).status, 200);
+    assert.equal((await store.read()).playlists[playlist.id].name, 'Renamed');
+  });
+  await t.test('import', async () => {
+    assert.equal((await send('POST', '/import', { content, format: {} })).status, 400);
+    assert.equal((await send('POST', '/import', { content, fileName: 5 })).status, 400);
+    assert.equal((await send('POST', '/import', { content, name: 1 })).status, 400);
+    assert.equal((await send('POST', '/import', { content: 1 })).status, 400);
+  });
+});
+
+test('playlist track edits', async (t) => {
+  const track = (id) => ({ id, type: 'url', src: `http://example.com/${id}.mp3`, title: id });
+  const store = await memoryStore({ tracks: ['a', 'b', 'c', 'd'].map(track), playlists: {} });
+  const server = await serve(app => app.use('/api/playlists', playlistRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const send = async (method, p, body) => {
+    const res = await fetch(`${server.url}/api/playlists${p}`, {
+      method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const { body: { playlist: { id } } } = await send('POST', '/', { name: 'Mix' });
+  const reset = async (trackIds) => (await send('PUT', `/${id}/tracks`, { trackIds })).body.playlist;
+  const listed = async () => (await store.read()).playlists[id];
+
+  await t.test('move puts the entry at the target index', async () => {
+    await reset(['a', 'b', 'c', 'd']);
+    assert.deepEqual((await send('POST', `/${id}/tracks/move`, { from: 0, to: 2 })).body.playlist.trackIds, ['b', 'c', 'a', 'd']);
+    assert.deepEqual((await send('POST', `/${id}/tracks/move`, { from: 3, to: 0 })).body.playlist.trackIds, ['d', 'b', 'c', 'a']);
+    const { revision } = await listed();
+    assert.equal((await send('POST', `/${id}/tracks/move`, { from: 1, to: 1 })).status, 200);
+    assert.equal((await listed()).revision, revision, 'a move that changes nothing keeps the revision');
+  });
+
+  await t.test('out-of-range indexes are refused', async () => {
+    await reset(['a', 'b', 'a']);
+    for (const [from, to] of [[3, 0], [0, 3], [-1, 0], [0, 1.5], ['0', 1], [undefined, 1]]) {
+      const res = await send('POST', `/${id}/tracks/move`, { from, to });
+      assert.equal(res.status, 400, JSON.stringify({ from, to }));
+      assert.equal(res.body.error, 'from and to must be indexes from 0 to 2');
+    }
+    for (const index of [4, -1, 1.5, '1']) {
+      assert.equal((await send('POST', `/${id}/tracks`, { trackId: 'c', index })).status, 400, JSON.stringify(index));
+    }
+    assert.equal((await send('DELETE', `/${id}/tracks/a?index=x`)).status, 400);
+    assert.equal((await send('DELETE', `/${id}/tracks/a?index=7`)).status, 409);
+    assert.equal((await send('DELETE', `/${id}/tracks/a?index=1`)).status, 409, 'index 1 holds b');
+    assert.deepEqual((await listed()).trackIds, ['a', 'b', 'a']);
+  });
+
+  await t.test('inserting and removing single entries', async () => {
+    await reset(['a', 'b', 'a']);
+    assert.deepEqual((await send('POST', `/${id}/tracks`, { trackId: 'c', index: 0 })).body.playlist.trackIds, ['c', 'a', 'b', 'a']);
+    assert.deepEqual((await send('POST', `/${id}/tracks`, { trackId: 'c' })).body.playlist.trackIds, ['c', 'a', 'b', 'a', 'c']);
+    assert.deepEqual((await send('DELETE', `/${id}/tracks/a?index=3`)).body.playlist.trackIds, ['c', 'a', 'b', 'c']);
+    assert.deepEqual((await send('DELETE', `/${id}/tracks/c`)).body.playlist.trackIds, ['a', 'b']);
+  });
+
+  await t.test('a stale revision is refused with the current one', async () => {
+    const { revision } = await reset(['a', 'b', 'c']);
+    const edits = [
+      ['PUT', `/${id}/tracks`, { trackIds: ['c'] }],
+      ['POST', `/${id}/tracks/move`, { from: 0, to: 1 }],
+      ['POST', `/${id}/tracks`, { trackId: 'd' }]
+    ];
+    for (const [method, p, body] of edits) {
+      const res = await send(method, p, { ...body, revision: revision - 1 });
+      assert.equal(res.status, 409, `${method} ${p}`);
+      assert.equal(res.body.revision, revision);
+    }
+    const removed = await send('DELETE', `/${id}/tracks/a?index=0&revision=${revision + 1}`);
+    assert.equal(removed.status, 409);
+    assert.equal(removed.body.revision, revision);
+    assert.deepEqual((await listed()).trackIds, ['a', 'b', 'c'], 'refused edits change nothing');
+
+    const moved = await send('POST', `/${id}/tracks/move`, { from: 0, to: 2, revision });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.playlist.revision, revision + 1);
+    assert.equal((await send('POST', `/${id}/tracks/move`, { from: 0, to: 2, revision })).status, 409, 'the same edit twice');
+  });
+});
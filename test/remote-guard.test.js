@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs, memoryStore, serve, listen } from './helpers.js';
+
+// Without REMOTE_ALLOW_PRIVATE: internal addresses are refused
+delete process.env.REMOTE_ALLOW_PRIVATE;
+useTempDirs();
+const { isPrivateAddress, lookupPublic, probeUrl, downloadRemote } = await import('../backend/lib/remote.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+test('isPrivateAddress', () => {
+  for (const address of ['127.0.0.1', '10.0.0.5', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('lookupPublic', async () => {
+  const lookup = (host, options) => new Promise((resolve, reject) => {
+    lookupPublic(host, options, (err, ...result) => err ? reject(err) : resolve(result));
+  });
+  await assert.rejects(lookup('localhost', {}), /localhost is a local or private address/);
+  await assert.rejects(lookup('localhost', { all: true }), /local or private address/);
+  await assert.rejects(lookup('name.invalid', {}), { code: 'ENOTFOUND' });
+});
+
+test('internal hosts are refused', async (t) => {
+  let hits = 0;
+  const internal = await listen((req, res) => { hits += 1; res.end('secret'); });
+  t.after(() => internal.close());
+  const port = new URL(internal.url).port;
+
+  for (const url of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`, `http://[::1]:${port}/`, 'http://169.254.169.254/latest/meta-data/']) {
+    await assert.rejects(probeUrl(url), /local or private address/, url);
+  }
+  await assert.rejects(downloadRemote({ src: `${internal.url}/a.mp3`, title: 'a' }, { dir: process.env.UPLOAD_DIR, maxBytes: 1000 }), /local or private address/);
+
+  const store = await memoryStore({ tracks: [{ id: 'u', type: 'url', src: `${internal.url}/a.mp3`, title: 'a' }] });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const res = await fetch(`${server.url}/api/music/proxy/u`);
+  assert.equal(res.status, 502);
+  assert.match((await res.json()).error, /local or private address/);
+
+  const add = await fetch(`${server.url}/api/music/url`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url: `${internal.url}/a.mp3` })
+  });
+  assert.equal(add.status, 400);
+  assert.equal(hits, 0);
+});
@@ -0,0 +1,219 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import { useTempDirs, memoryStore, serve, listen } from './helpers.js';
+
+// The stand-in source runs on 127.0.0.1, which is refused by default
+process.env.REMOTE_ALLOW_PRIVATE = '1';
+process.env.REMOTE_TIMEOUT_MS = '300';
+useTempDirs();
+const { checkRemoteUrl, probeUrl, downloadRemote } = await import('../backend/lib/remote.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { default: playlistRoutes } = await import('../backend/routes/playlists.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+// One second of 8 kHz mono 16-bit silence.
+function wav(seconds = 1) {
+  const data = Buffer.alloc(8000 * 2 * seconds);
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0); h.writeUInt32LE(36 + data.length, 4); h.write('WAVE', 8);
+  h.write('fmt ', 12); h.writeUInt32LE(16, 16); h.writeUInt16LE(1, 20); h.writeUInt16LE(1, 22);
+  h.writeUInt32LE(8000, 24); h.writeUInt32LE(16000, 28); h.writeUInt16LE(2, 32); h.writeUInt16LE(16, 34);
+  h.write('data', 36); h.writeUInt32LE(data.length, 40);
+  return Buffer.concat([h, data]);
+}
+const song = wav();
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// A small file server: Range and If-None-Match on /song.wav, plus the ways a
+// source can misbehave.
+function source(req, res) {
+  const path = new URL(req.url, 'http://x').pathname;
+  if (path === '/song.wav' || path === '/octet') {
+    res.setHeader('Content-Type', path === '/octet' ? 'application/octet-stream' : 'audio/wav');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', '"v1"');
+    if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end();
+    const m = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+    if (m) {
+      const start = Number(m[1]);
+      const end = Math.min(m[2] ? Number(m[2]) : song.length - 1, song.length - 1);
+      if (start >= song.length) return res.writeHead(416, { 'Content-Range': `bytes */${song.length}` }).end();
+      res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${song.length}`, 'Content-Length': end - start + 1 });
+      return res.end(req.method === 'HEAD' ? undefined : song.subarray(start, end + 1));
+    }
+    res.writeHead(200, { 'Content-Length': song.length });
+    return res.end(req.method === 'HEAD' ? undefined : song);
+  }
+  if (path === '/redirect') return res.writeHead(302, { Location: '/hop' }).end();
+  if (path === '/hop') return res.writeHead(307, { Location: '/song.wav' }).end();
+  if (path === '/loop') return res.writeHead(302, { Location: '/loop' }).end();
+  if (path === '/page.html') return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<!doctype html><html><body>not audio</body></html>');
+  if (path === '/missing') return res.writeHead(404).end();
+  if (path === '/cut') {
+    // promises the whole file, sends half, then drops the connection
+    res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': song.length });
+    res.write(song.subarray(0, song.length / 2));
+    return setTimeout(() => res.socket.destroy(), 50);
+  }
+  if (path === '/stall') {
+    res.writeHead(200, { 'Content-Type': 'audio/wav' });
+    return res.write(song.subarray(0, 1024)); // and nothing more
+  }
+  res.writeHead(500).end();
+}
+
+const upstream = await listen(source);
+const uploads = () => fs.readdirSync(process.env.UPLOAD_DIR);
+test.after(() => upstream.close());
+
+test('checkRemoteUrl', () => {
+  assert.equal(checkRemoteUrl('https://example.com/a.mp3'), null);
+  assert.equal(checkRemoteUrl('not a url'), 'invalid url');
+  assert.match(checkRemoteUrl('ftp://example.com/a.mp3'), /http/);
+  assert.match(checkRemoteUrl('file:///etc/passwd'), /http/);
+});
+
+test('probeUrl', async (t) => {
+  await t.test('reads type, size and duration', async () => {
+    const probe = await probeUrl(`${upstream.url}/song.wav`);
+    assert.equal(probe.contentType, 'audio/wav');
+    assert.equal(probe.size, song.length);
+    assert.equal(Math.round(probe.info.duration), 1);
+    assert.deepEqual(probe.warnings, []);
+  });
+  await t.test('follows redirects', async () => {
+    const probe = await probeUrl(`${upstream.url}/redirect`);
+    assert.equal(probe.size, song.length);
+  });
+  await t.test('gives up on redirect loops', async () => {
+    await assert.rejects(probeUrl(`${upstream.url}/loop`), /too many redirects/);
+  });
+  await t.test('sniffs audio sent with a generic type', async () => {
+    const probe = await probeUrl(`${upstream.url}/octet`);
+    assert.equal(probe.contentType, 'application/octet-stream');
+  });
+  await t.test('refuses non-audio content', async () => {
+    await assert.rejects(probeUrl(`${upstream.url}/page.html`), /not an audio file/);
+  });
+  await t.test('reports HTTP errors', async () => {
+    await assert.rejects(probeUrl(`${upstream.url}/missing`), /HTTP 404/);
+  });
+  await t.test('reports unreachable servers', async () => {
+    const closed = await listen(() => {});
+    await closed.close();
+    await assert.rejects(probeUrl(`${closed.url}/a.wav`), /ECONNREFUSED/);
+  });
+});
+
+test('downloadRemote', async (t) => {
+  const track = (path) => ({ id: 'r1', type: 'url', src: `${upstream.url}${path}`, title: 'Song' });
+  const dir = process.env.UPLOAD_DIR;
+
+  await t.test('saves the file with its size and checksum', async () => {
+    const copy = await downloadRemote(track('/song.wav'), { dir, maxBytes: 1 << 20 });
+    assert.match(copy.path, /song\.wav$/);
+    assert.equal(copy.size, song.length);
+    assert.equal(copy.sha256, sha256(song));
+    assert.deepEqual(fs.readFileSync(`${dir}/${copy.path}`), song);
+    fs.unlinkSync(`${dir}/${copy.path}`);
+  });
+  await t.test('stops past maxBytes and leaves nothing behind', async () => {
+    await assert.rejects(downloadRemote(track('/song.wav'), { dir, maxBytes: 1000 }), /larger than/);
+    await assert.rejects(downloadRemote(track('/stall'), { dir, maxBytes: 512 }), /larger than/);
+    assert.deepEqual(uploads(), []);
+  });
+  await t.test('refuses non-audio content', async () => {
+    await assert.rejects(downloadRemote(track('/page.html'), { dir, maxBytes: 1 << 20 }), /not a supported audio file/);
+    assert.deepEqual(uploads(), []);
+  });
+  await t.test('a connection dropped mid-stream leaves nothing behind', async () => {
+    await assert.rejects(downloadRemote(track('/cut'), { dir, maxBytes: 1 << 20 }));
+    assert.deepEqual(uploads(), []);
+  });
+  await t.test('a stalled server times out', async () => {
+    await assert.rejects(downloadRemote(track('/stall'), { dir, maxBytes: 1 << 20 }), /stopped sending data/);
+    assert.deepEqual(uploads(), []);
+  });
+  await t.test('HTTP errors', async () => {
+    await assert.rejects(downloadRemote(track('/missing'), { dir, maxBytes: 1 << 20 }), /HTTP 404/);
+  });
+});
+
+test('GET /api/music/proxy/:id', async (t) => {
+  const urlTrack = (id, path) => ({ id, type: 'url', src: `${upstream.url}${path}`, title: id, proxy: true, offline: null });
+  const store = await memoryStore({
+    tracks: [urlTrack('song', '/song.wav'), urlTrack('moved', '/redirect'), urlTrack('missing', '/missing'),
+      urlTrack('cut', '/cut'), { id: 'file', type: 'file', path: 'x.mp3', title: 'file' }]
+  });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const proxy = (id, init) => fetch(`${server.url}/api/music/proxy/${id}`, init);
+
+  await t.test('whole file', async () => {
+    const res = await proxy('song');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/wav');
+    assert.equal(res.headers.get('content-length'), String(song.length));
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), song);
+  });
+  await t.test('passes ranges through', async () => {
+    const res = await proxy('song', { headers: { range: 'bytes=100-199' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), `bytes 100-199/${song.length}`);
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), song.subarray(100, 200));
+    const past = await proxy('song', { headers: { range: `bytes=${song.length}-` } });
+    assert.equal(past.status, 416);
+    assert.equal(past.headers.get('content-range'), `bytes */${song.length}`);
+  });
+  await t.test('HEAD and validators', async () => {
+    const head = await proxy('song', { method: 'HEAD' });
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get('etag'), '"v1"');
+    assert.equal((await proxy('song', { headers: { 'if-none-match': '"v1"' } })).status, 304);
+  });
+  await t.test('follows redirects', async () => {
+    const res = await proxy('moved', { headers: { range: 'bytes=0-9' } });
+    assert.equal(res.status, 206);
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), song.subarray(0, 10));
+  });
+  await t.test('source errors -> 502', async () => {
+    const res = await proxy('missing');
+    assert.equal(res.status, 502);
+    assert.match((await res.json()).error, /HTTP 404/);
+  });
+  await t.test('a source dropping mid-stream cuts the response short', async () => {
+    const res = await proxy('cut');
+    assert.equal(res.status, 200);
+    await assert.rejects(res.arrayBuffer());
+  });
+  await t.test('only URL tracks', async () => {
+    assert.equal((await proxy('file')).status, 400);
+    assert.equal((await proxy('nope')).status, 404);
+  });
+});
+
+test('POST /api/playlists/import probes new URL tracks', async (t) => {
+  const store = await memoryStore({ tracks: [], playlists: {} });
+  const server = await serve(app => app.use('/api/playlists', playlistRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const content = ['#EXTM3U', '#EXTINF:-1,Artist - Song', `${upstream.url}/song.wav`,
+    `${upstream.url}/page.html`, `${upstream.url}/song.wav`].join('\n');
+  const res = await fetch(`${server.url}/api/playlists/import`, {
+    method: 'POST', headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ content, fileName: 'list.m3u' })
+  });
+  assert.equal(res.status, 200);
+  const { playlist, report } = await res.json();
+  assert.deepEqual(report.map(r => r.status), ['created', 'unmatched', 'matched']);
+  assert.match(report[1].reason, /could not add the URL: not an audio file/);
+  const { tracks } = await store.read();
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].title, 'Song');
+  assert.equal(tracks[0].proxy, true);
+  assert.equal(tracks[0].offline, null);
+  assert.ok(tracks[0].duration > 0.9);
+  assert.deepEqual(playlist.trackIds, [tracks[0].id, tracks[0].id]);
+});
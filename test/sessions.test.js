@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs, memoryStore, serve, admin } from './helpers.js';
+
+useTempDirs();
+const { default: sessionRoutes } = await import('../backend/routes/sessions.js');
+
+test('session names that are object properties', async (t) => {
+  const store = await memoryStore({ tracks: [{ id: 'a', type: 'url', src: 'http://example.com/a.mp3' }], sessions: {} });
+  const server = await serve(app => app.use('/api/session', sessionRoutes({ store })));
+  t.after(() => server.close());
+  const url = (name) => `${server.url}/api/session/${encodeURIComponent(name)}`;
+  const names = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+
+  await t.test('are unknown until saved', async () => {
+    for (const name of names) {
+      assert.equal((await fetch(url(name))).status, 404, `GET ${name}`);
+      assert.equal((await fetch(url(name), { method: 'DELETE' })).status, 404, `DELETE ${name}`);
+    }
+    assert.deepEqual((await store.read()).sessions, {});
+  });
+  await t.test('work like any other name once saved', async () => {
+    const body = JSON.stringify({ queue: ['a'], currentIndex: 0 });
+    for (const name of names) {
+      const put = await fetch(url(name), { method: 'PUT', headers: { 'content-type': 'application/json' }, body });
+      assert.equal(put.status, 200, `PUT ${name}`);
+      const res = await fetch(url(name));
+      assert.equal(res.status, 200, `GET ${name}`);
+      assert.deepEqual((await res.json()).session.queue, ['a']);
+    }
+    const list = await (await fetch(`${server.url}/api/session`)).json();
+    assert.deepEqual(list.sessions.map(s => s.name).sort(), [...names].sort());
+    assert.equal((await fetch(url('__proto__'), { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(url('__proto__'))).status, 404);
+    assert.equal(Object.getPrototypeOf((await store.read()).sessions[admin.id]), Object.prototype);
+  });
+});
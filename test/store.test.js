@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs } from './helpers.js';
+
+const dir = useTempDirs();
+const { createAdapter, createStore, emptyDB, StorageCorruptError } = await import('../backend/storage/index.js');
+
+let files = 0;
+const dbFile = () => path.join(dir, `db-${++files}.json`);
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+test('JSON adapter', async (t) => {
+  await t.test('a missing file loads as an empty db', async () => {
+    assert.deepEqual(await createAdapter('json', { file: dbFile() }).load(), emptyDB());
+  });
+
+  await t.test('saves replace the file through a temp file', async () => {
+    const file = dbFile();
+    const adapter = createAdapter('json', { file, backupCount: 0 });
+    await adapter.save({ tracks: [{ id: 'a' }] });
+    assert.deepEqual(readJson(file), { tracks: [{ id: 'a' }] });
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.startsWith(path.basename(file))), [path.basename(file)]);
+
+    // a write that fails part way leaves the old file whole
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(tmp);
+    await assert.rejects(adapter.save({ tracks: [] }), { code: 'EISDIR' });
+    assert.deepEqual(readJson(file), { tracks: [{ id: 'a' }] });
+    fs.rmdirSync(tmp);
+  });
+
+  await t.test('backups rotate, newest first, at most once per interval', async () => {
+    const file = dbFile();
+    const adapter = createAdapter('json', { file, backupCount: 2, backupIntervalMs: 60 * 60 * 1000 });
+    for (const n of [1, 2, 3, 4]) {
+      // as if the last backup were older than the interval
+      if (fs.existsSync(`${file}.bak.1`)) fs.utimesSync(`${file}.bak.1`, 0, 0);
+      await adapter.save({ n });
+    }
+    assert.deepEqual(readJson(file), { n: 4 });
+    assert.deepEqual(readJson(`${file}.bak.1`), { n: 3 });
+    assert.deepEqual(readJson(`${file}.bak.2`), { n: 2 });
+    assert.equal(fs.existsSync(`${file}.bak.3`), false);
+
+    await adapter.save({ n: 5 });
+    assert.deepEqual(readJson(`${file}.bak.1`), { n: 3 }, 'bak.1 is recent, so no new backup');
+  });
+
+  await t.test('an unchanged db is not written again', async () => {
+    const file = dbFile();
+    const adapter = createAdapter('json', { file, backupCount: 0 });
+    await adapter.save({ n: 1 });
+    fs.utimesSync(file, 0, 0);
+    await adapter.save({ n: 1 });
+    assert.equal(fs.statSync(file).mtimeMs, 0);
+  });
+
+  await t.test('a corrupt or truncated file refuses to load', async () => {
+    for (const raw of ['{"tracks": [{"id": "a"', '', '[]', 'null']) {
+      const file = dbFile();
+      fs.writeFileSync(file, raw);
+      await assert.rejects(createAdapter('json', { file }).load(), (e) => {
+        assert.ok(e instanceof StorageCorruptError, JSON.stringify(raw));
+        assert.equal(e.file, file);
+        assert.match(e.message, /\.bak\.\*/);
+        return true;
+      });
+      assert.equal(fs.readFileSync(file, 'utf-8'), raw, 'the file is left for the admin to restore');
+    }
+  });
+});
+
+test('store', async (t) => {
+  const saved = [];
+  const store = await createStore({ load: async () => ({ tracks: [] }), save: async (db) => { saved.push(structuredClone(db)); } });
+
+  await t.test('older files get the missing collections', async () => {
+    assert.deepEqual(await store.read(), emptyDB());
+  });
+
+  await t.test('updates run one at a time', async () => {
+    let release;
+    const first = store.update(async (db) => {
+      await new Promise(resolve => { release = resolve; });
+      db.tracks.push({ id: 'a' });
+    });
+    const second = store.update(db => { db.tracks.push({ id: 'b' }); return db.tracks.length; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(saved.length, 0, 'the second update waits for the first');
+    release();
+    await first;
+    assert.equal(await second, 2);
+    assert.deepEqual(saved.map(db => db.tracks.map(x => x.id)), [['a'], ['a', 'b']]);
+  });
+
+  await t.test('a failing update writes nothing and does not block the next one', async () => {
+    const before = await store.read();
+    await assert.rejects(store.update(db => { db.tracks = []; throw new Error('nope'); }), /nope/);
+    assert.equal(await store.read(), before);
+    assert.equal(saved.length, 2);
+    await store.update(db => { db.tracks.push({ id: 'c' }); });
+    assert.deepEqual((await store.read()).tracks.map(x => x.id), ['a', 'b', 'c']);
+    assert.deepEqual(before.tracks.map(x => x.id), ['a', 'b'], 'earlier snapshots are not changed');
+  });
+});
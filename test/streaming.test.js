@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, serve } from './helpers.js';
+
+useTempDirs();
+const { parseByteRange, isNotModified, rangeStillValid } = await import('../backend/lib/streaming.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+test('parseByteRange', async (t) => {
+  const size = 1000;
+  const cases = [
+    ['bytes=0-9', { start: 0, end: 9 }],
+    ['bytes=-500', { start: 500, end: 999 }],
+    ['bytes=-5000', { start: 0, end: 999 }],
+    ['bytes=500-', { start: 500, end: 999 }],
+    ['bytes=990-5000', { start: 990, end: 999 }],
+    ['BYTES = 1-2', { start: 1, end: 2 }],
+    ['bytes=1000-', { unsatisfiable: true }],
+    ['bytes=2000-3000', { unsatisfiable: true }],
+    ['bytes=9-0', { unsatisfiable: true }],
+    ['bytes=-0', { unsatisfiable: true }],
+    ['bytes=-', { unsatisfiable: true }],
+    ['bytes=abc', { unsatisfiable: true }],
+    ['bytes=1.5-2', { unsatisfiable: true }],
+    ['bytes=', { unsatisfiable: true }],
+    ['bytes=0-1,5-6', null],
+    ['items=0-9', null],
+    ['nonsense', null],
+    ['', null],
+    [undefined, null]
+  ];
+  for (const [header, expected] of cases) {
+    await t.test(String(header), () => assert.deepEqual(parseByteRange(header, size), expected));
+  }
+  await t.test('empty file', () => {
+    assert.deepEqual(parseByteRange('bytes=-10', 0), { unsatisfiable: true });
+    assert.deepEqual(parseByteRange('bytes=0-', 0), { unsatisfiable: true });
+  });
+});
+
+test('isNotModified and rangeStillValid', () => {
+  const file = { etag: '"3e8-abc"', mtimeMs: Date.parse('2024-01-02T03:04:05Z') + 400 };
+  assert.equal(isNotModified({ 'if-none-match': '"3e8-abc"' }, file), true);
+  assert.equal(isNotModified({ 'if-none-match': 'W/"3e8-abc", "other"' }, file), true);
+  assert.equal(isNotModified({ 'if-none-match': '*' }, file), true);
+  assert.equal(isNotModified({ 'if-none-match': '"other"' }, file), false);
+  // If-None-Match wins over a matching date
+  assert.equal(isNotModified({ 'if-none-match': '"other"', 'if-modified-since': 'Tue, 02 Jan 2024 03:04:05 GMT' }, file), false);
+  assert.equal(isNotModified({ 'if-modified-since': 'Tue, 02 Jan 2024 03:04:05 GMT' }, file), true);
+  assert.equal(isNotModified({ 'if-modified-since': 'Tue, 02 Jan 2024 03:04:04 GMT' }, file), false);
+  assert.equal(isNotModified({ 'if-modified-since': 'garbage' }, file), false);
+
+  assert.equal(rangeStillValid({}, file), true);
+  assert.equal(rangeStillValid({ 'if-range': '"3e8-abc"' }, file), true);
+  assert.equal(rangeStillValid({ 'if-range': 'W/"3e8-abc"' }, file), false); // strong comparison only
+  assert.equal(rangeStillValid({ 'if-range': '"old"' }, file), false);
+  assert.equal(rangeStillValid({ 'if-range': 'Tue, 02 Jan 2024 03:04:05 GMT' }, file), true);
+  assert.equal(rangeStillValid({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }, file), false);
+});
+
+test('GET /api/music/stream/:id', async (t) => {
+  const body = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+  fs.writeFileSync(path.join(process.env.UPLOAD_DIR, 'song.mp3'), body);
+  const store = await memoryStore({
+    tracks: [
+      { id: 't1', type: 'file', path: 'song.mp3', title: 'Song' },
+      { id: 'gone', type: 'file', path: 'nothing-here.mp3', title: 'Gone' },
+      { id: 'lost', type: 'file', source: 'library', path: '/nowhere/x.mp3', missing: true, title: 'Lost' }
+    ]
+  });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })));
+  t.after(() => server.close());
+  const url = `${server.url}/api/music/stream/t1`;
+
+  await t.test('whole file', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(res.headers.get('content-length'), '1000');
+    assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+    assert.ok(res.headers.get('etag'));
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), body);
+  });
+
+  await t.test('range -> 206 with Content-Range', async () => {
+    const res = await fetch(url, { headers: { range: 'bytes=10-19' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 10-19/1000');
+    assert.equal(res.headers.get('content-length'), '10');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), body.subarray(10, 20));
+  });
+
+  await t.test('suffix range', async () => {
+    const res = await fetch(url, { headers: { range: 'bytes=-100' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 900-999/1000');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), body.subarray(900));
+  });
+
+  await t.test('unsatisfiable range -> 416 with bytes */size', async () => {
+    for (const range of ['bytes=1000-', 'bytes=5-1', 'bytes=x-y']) {
+      const res = await fetch(url, { headers: { range } });
+      assert.equal(res.status, 416, range);
+      assert.equal(res.headers.get('content-range'), 'bytes */1000');
+    }
+  });
+
+  await t.test('multiple ranges -> whole file', async () => {
+    const res = await fetch(url, { headers: { range: 'bytes=0-1,4-5' } });
+    assert.equal(res.status, 200);
+    assert.equal((await res.arrayBuffer()).byteLength, 1000);
+  });
+
+  await t.test('HEAD', async () => {
+    let res = await fetch(url, { method: 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-length'), '1000');
+    assert.equal((await res.arrayBuffer()).byteLength, 0);
+    res = await fetch(url, { method: 'HEAD', headers: { range: 'bytes=0-9' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 0-9/1000');
+  });
+
+  await t.test('If-None-Match -> 304', async () => {
+    const etag = (await fetch(url, { method: 'HEAD' })).headers.get('etag');
+    const res = await fetch(url, { headers: { 'if-none-match': etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.headers.get('etag'), etag);
+    assert.equal((await fetch(url, { headers: { 'if-none-match': '"stale"' } })).status, 200);
+  });
+
+  await t.test('If-Range', async () => {
+    const etag = (await fetch(url, { method: 'HEAD' })).headers.get('etag');
+    let res = await fetch(url, { headers: { range: 'bytes=0-9', 'if-range': etag } });
+    assert.equal(res.status, 206);
+    await res.arrayBuffer();
+    res = await fetch(url, { headers: { range: 'bytes=0-9', 'if-range': '"stale"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-range'), null);
+    assert.equal((await res.arrayBuffer()).byteLength, 1000);
+  });
+
+  await t.test('unknown, missing and vanished files', async () => {
+    assert.equal((await fetch(`${server.url}/api/music/stream/nope`)).status, 404);
+    assert.equal((await fetch(`${server.url}/api/music/stream/gone`)).status, 404);
+    assert.equal((await fetch(`${server.url}/api/music/stream/lost`)).status, 410);
+  });
+});
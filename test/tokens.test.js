@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, listen, admin, listener } from './helpers.js';
+
+const dir = useTempDirs();
+const { default: express } = await import('express');
+const { authenticate, requireUser, createApiToken } = await import('../backend/lib/auth.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { default: playlistRoutes } = await import('../backend/routes/playlists.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+test('stream tokens', async (t) => {
+  fs.writeFileSync(path.join(dir, 'uploads', 'song.mp3'), Buffer.alloc(100, 1));
+  const db = {
+    users: { [admin.id]: { ...admin }, [listener.id]: { ...listener } },
+    apiTokens: {}, logins: {},
+    tracks: [{ id: 'song', type: 'file', path: 'song.mp3', title: 'Song' }],
+    playlists: { pl: { id: 'pl', name: 'Mix', ownerId: admin.id, shared: false, trackIds: ['song'], revision: 0 } }
+  };
+  const { secret: apiSecret } = createApiToken(db, admin.id, 'script');
+  const { secret: streamSecret } = createApiToken(db, admin.id, 'links', 'stream');
+  const { secret: otherSecret } = createApiToken(db, listener.id, 'links', 'stream');
+  const store = await memoryStore(db);
+  const events = createEventHub();
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate({ store }), requireUser);
+  app.use('/api/music', musicRoutes({ store, events }));
+  app.use('/api/playlists', playlistRoutes({ store, events }));
+  const server = await listen(app);
+  t.after(() => server.close());
+  const get = (p, headers) => fetch(`${server.url}${p}`, { headers });
+  const bearer = (secret) => ({ authorization: `Bearer ${secret}` });
+
+  await t.test('a stream token opens stream URLs, in the query or the header', async () => {
+    assert.equal((await get(`/api/music/stream/song?token=${streamSecret}`)).status, 200);
+    assert.equal((await get('/api/music/stream/song', bearer(streamSecret))).status, 200);
+    assert.equal((await get('/api/music/stream/song')).status, 401);
+    assert.equal((await get('/api/music/stream/song?token=nope')).status, 401);
+  });
+  await t.test('and nothing else', async () => {
+    assert.equal((await get('/api/playlists', bearer(streamSecret))).status, 401);
+    assert.equal((await get(`/api/playlists?token=${streamSecret}`)).status, 401);
+    assert.equal((await get(`/api/music/song/lyrics?token=${streamSecret}`)).status, 401);
+  });
+  await t.test('API tokens only work in the header', async () => {
+    assert.equal((await get('/api/playlists', bearer(apiSecret))).status, 200);
+    assert.equal((await get(`/api/music/stream/song?token=${apiSecret}`)).status, 401);
+  });
+  await t.test('export adds the token to stream URLs', async () => {
+    const plain = await (await get('/api/playlists/pl/export', bearer(apiSecret))).text();
+    assert.match(plain, /\/api\/music\/stream\/song\n/);
+    const res = await get(`/api/playlists/pl/export?token=${streamSecret}`, bearer(apiSecret));
+    assert.equal(res.status, 200);
+    const link = (await res.text()).split('\n').find(l => l.includes('/api/music/stream/'));
+    assert.equal(link, `${server.url}/api/music/stream/song?token=${streamSecret}`);
+    assert.equal((await get(link.slice(server.url.length))).status, 200);
+  });
+  await t.test('export only takes the caller\'s stream tokens', async () => {
+    assert.equal((await get(`/api/playlists/pl/export?token=${apiSecret}`, bearer(apiSecret))).status, 400);
+    assert.equal((await get(`/api/playlists/pl/export?token=${otherSecret}`, bearer(apiSecret))).status, 400);
+    assert.equal((await get('/api/playlists/pl/export?token=nope', bearer(apiSecret))).status, 400);
+  });
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDirs, memoryStore, serve, admin } from './helpers.js';
+
+const dir = useTempDirs();
+process.env.UPLOAD_MAX_BYTES = String(100 * 1024);
+const { sniffAudioType, safeFileName, decodeOriginalName } = await import('../backend/lib/uploads.js');
+const { default: musicRoutes } = await import('../backend/routes/music.js');
+const { createEventHub } = await import('../backend/lib/events.js');
+
+// A silent 8 kHz mono 16-bit WAV, `bytes` of samples long.
+function wav(bytes) {
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0); h.writeUInt32LE(36 + bytes, 4); h.write('WAVE', 8);
+  h.write('fmt ', 12); h.writeUInt32LE(16, 16); h.writeUInt16LE(1, 20); h.writeUInt16LE(1, 22);
+  h.writeUInt32LE(8000, 24); h.writeUInt32LE(16000, 28); h.writeUInt16LE(2, 32); h.writeUInt16LE(16, 34);
+  h.write('data', 36); h.writeUInt32LE(bytes, 40);
+  return Buffer.concat([h, Buffer.alloc(bytes)]);
+}
+
+test('sniffAudioType', () => {
+  assert.equal(sniffAudioType(Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)])), '.mp3');
+  assert.equal(sniffAudioType(Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(20)])), '.flac');
+  assert.equal(sniffAudioType(wav(16)), '.wav');
+  assert.equal(sniffAudioType(Buffer.from('<!doctype html><script>alert(1)</script>')), null);
+  assert.equal(sniffAudioType(Buffer.from('RIFF\0\0\0\0AVI LIST')), null);
+  assert.equal(sniffAudioType(Buffer.from('ID3')), null, 'too short to tell');
+});
+
+test('safeFileName', () => {
+  assert.equal(safeFileName('song.exe', '.mp3'), 'song.mp3', 'the detected type sets the extension');
+  assert.equal(safeFileName('../../etc/passwd', '.mp3'), 'passwd.mp3');
+  assert.equal(safeFileName('C:\\Users\\me\\..\\evil.mp3', '.wav'), 'evil.wav');
+  assert.equal(safeFileName('a<b>:c|d?\u0000\u001f*.flac', '.flac'), 'a_b_c_d_.flac');
+  assert.equal(safeFileName('.. song .mp3', '.ogg'), 'song.ogg');
+  assert.equal(safeFileName('...', '.ogg'), 'track.ogg');
+  assert.equal(safeFileName('x'.repeat(300), '.mp3'), `${'x'.repeat(100)}.mp3`);
+  assert.equal(decodeOriginalName(Buffer.from('Café.mp3').toString('latin1')), 'Café.mp3');
+});
+
+test('POST /api/music/upload', async (t) => {
+  const uploads = path.join(dir, 'uploads');
+  const store = await memoryStore({ tracks: [], playlists: {} });
+  const server = await serve(app => app.use('/api/music', musicRoutes({ store, events: createEventHub() })), { user: admin });
+  t.after(() => server.close());
+  const upload = async (files) => {
+    const form = new FormData();
+    for (const [name, content] of files) form.append('files', new Blob([content]), name);
+    const res = await fetch(`${server.url}/api/music/upload`, { method: 'POST', body: form });
+    return { status: res.status, body: await res.json() };
+  };
+
+  await t.test('files that are not audio are refused and not kept', async () => {
+    const { status, body } = await upload([
+      ['page.mp3', '<!doctype html><html><body><script>alert(document.cookie)</script></body></html>'],
+      ['empty.mp3', ''],
+      ['big.wav', wav(120 * 1024)]
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.files, [
+      { file: 'page.mp3', status: 'rejected', reason: 'not a supported audio file' },
+      { file: 'empty.mp3', status: 'rejected', reason: 'empty file' },
+      { file: 'big.wav', status: 'rejected', reason: 'larger than 0.1 MB' }
+    ]);
+    assert.deepEqual(fs.readdirSync(uploads), []);
+    assert.equal((await store.read()).tracks.length, 0);
+  });
+
+  await t.test('the stored name gets the detected extension and stays in the uploads folder', async () => {
+    const { body } = await upload([['../../Song?.mp3', wav(1000)]]);
+    assert.equal(body.files[0].status, 'accepted');
+    const track = (await store.read()).tracks.find(x => x.id === body.files[0].trackId);
+    assert.match(track.path, /^\d+-Song_\.wav$/);
+    assert.deepEqual(fs.readdirSync(uploads), [track.path]);
+  });
+
+  await t.test('no files', async () => {
+    assert.equal((await upload([])).status, 400);
+  });
+});